@@ -26,7 +26,7 @@ export default class ConvenientEffectsApp extends Application {
           contentSelector: '.directory-list',
         },
       ],
-      title: 'Convenient Effects',
+      title: game.i18n.localize('ConvenientEffects.Title'),
       template:
         'modules/dfreds-convenient-effects/templates/convenient-effects-app.hbs',
       scrollY: ['ol.directory-list'],
@@ -106,12 +106,19 @@ export default class ConvenientEffectsApp extends Application {
     this._allDirectories.addClass('collapsed');
   }
 
+  /**
+   * Updates the actors shown as affected by clicking an effect
+   */
+  refreshTargetPreview() {
+    this._targetPreview?.text(this._controller.targetPreview);
+  }
+
   /**
    * Indicate to the user that a reload is required to update status effects
    */
   showReloadRequired() {
     ui.notifications.warn(
-      'Foundry must be reloaded to update token status effects.'
+      game.i18n.localize('ConvenientEffects.Notifications.ReloadRequired')
     );
   }
 
@@ -148,12 +155,24 @@ export default class ConvenientEffectsApp extends Application {
       'click',
       this._controller.onResetStatusEffectsClick.bind(this._controller)
     );
+    this._undoEffectOperationButton.on(
+      'click',
+      this._controller.onUndoEffectOperationClick.bind(this._controller)
+    );
+    this._redoEffectOperationButton.on(
+      'click',
+      this._controller.onRedoEffectOperationClick.bind(this._controller)
+    );
+    this._targetModeSelect.on(
+      'change',
+      this._controller.onTargetModeChange.bind(this._controller)
+    );
   }
 
   _initContextMenus() {
     new ContextMenu(this._rootView, '.convenient-effect', [
       {
-        name: 'Edit Effect',
+        name: 'ConvenientEffects.App.ContextMenu.EditEffect',
         icon: '<i class="fas fa-edit fa-fw"></i>',
         condition: (effectItem) => {
           return (
@@ -164,7 +183,7 @@ export default class ConvenientEffectsApp extends Application {
         callback: this._controller.onEditEffectClick.bind(this._controller),
       },
       {
-        name: 'Delete Effect',
+        name: 'ConvenientEffects.App.ContextMenu.DeleteEffect',
         icon: '<i class="fas fa-trash fa-fw"></i>',
         condition: (effectItem) => {
           return (
@@ -175,7 +194,7 @@ export default class ConvenientEffectsApp extends Application {
         callback: this._controller.onDeleteEffectClick.bind(this._controller),
       },
       {
-        name: 'Add Favorite',
+        name: 'ConvenientEffects.App.ContextMenu.AddFavorite',
         icon: '<i class="fas fa-star fa-fw"></i>',
         condition: (effectItem) => {
           return !this._controller.isFavoritedEffect(effectItem);
@@ -183,7 +202,7 @@ export default class ConvenientEffectsApp extends Application {
         callback: this._controller.onAddFavorite.bind(this._controller),
       },
       {
-        name: 'Remove Favorite',
+        name: 'ConvenientEffects.App.ContextMenu.RemoveFavorite',
         icon: '<i class="far fa-star fa-fw"></i>',
         condition: (effectItem) => {
           return this._controller.isFavoritedEffect(effectItem);
@@ -191,12 +210,41 @@ export default class ConvenientEffectsApp extends Application {
         callback: this._controller.onRemoveFavorite.bind(this._controller),
       },
       {
-        name: 'Toggle as Overlay',
+        name: 'ConvenientEffects.App.ContextMenu.ToggleAsOverlay',
         icon: '<i class="far fa-dot-circle fa-fw"></i>',
         callback: this._controller.onToggleOverlay.bind(this._controller),
       },
       {
-        name: 'Toggle Status Effect',
+        name: 'ConvenientEffects.App.ContextMenu.AddStack',
+        icon: '<i class="fas fa-plus fa-fw"></i>',
+        condition: (effectItem) => {
+          return this._controller.isStackableEffect(effectItem);
+        },
+        callback: this._controller.onAddStack.bind(this._controller),
+      },
+      {
+        name: 'ConvenientEffects.App.ContextMenu.RemoveStack',
+        icon: '<i class="fas fa-minus fa-fw"></i>',
+        condition: (effectItem) => {
+          return this._controller.isStackableEffect(effectItem);
+        },
+        callback: this._controller.onRemoveStack.bind(this._controller),
+      },
+      {
+        name: 'ConvenientEffects.App.ContextMenu.ApplyToTemplate',
+        icon: '<i class="fas fa-ruler-combined fa-fw"></i>',
+        condition: () => {
+          return canvas.ready;
+        },
+        callback: this._controller.onApplyToTemplate.bind(this._controller),
+      },
+      {
+        name: 'ConvenientEffects.App.ContextMenu.PreviewEffect',
+        icon: '<i class="fas fa-search fa-fw"></i>',
+        callback: this._controller.onPreviewEffect.bind(this._controller),
+      },
+      {
+        name: 'ConvenientEffects.App.ContextMenu.ToggleStatusEffect',
         icon: '<i class="fas fa-street-view fa-fw"></i>',
         condition: () => {
           return game.user.isGM;
@@ -204,7 +252,25 @@ export default class ConvenientEffectsApp extends Application {
         callback: this._controller.onToggleStatusEffect.bind(this._controller),
       },
       {
-        name: 'Duplicate as Custom',
+        name: 'ConvenientEffects.App.ContextMenu.ToggleGmOnly',
+        icon: '<i class="fas fa-lock fa-fw"></i>',
+        condition: () => {
+          return game.user.isGM;
+        },
+        callback: this._controller.onToggleGmOnly.bind(this._controller),
+      },
+      {
+        name: 'ConvenientEffects.App.ContextMenu.ToggleExpiryExcluded',
+        icon: '<i class="fas fa-infinity fa-fw"></i>',
+        condition: () => {
+          return game.user.isGM;
+        },
+        callback: this._controller.onToggleExpiryExcluded.bind(
+          this._controller
+        ),
+      },
+      {
+        name: 'ConvenientEffects.App.ContextMenu.DuplicateAsCustom',
         icon: '<i class="far fa-copy fa-fw"></i>',
         condition: () => {
           return (
@@ -247,4 +313,20 @@ export default class ConvenientEffectsApp extends Application {
   get _resetStatusEffectsButton() {
     return this._rootView.find('.reset-status-effects');
   }
+
+  get _redoEffectOperationButton() {
+    return this._rootView.find('.redo-effect-operation');
+  }
+
+  get _targetModeSelect() {
+    return this._rootView.find('.target-mode');
+  }
+
+  get _targetPreview() {
+    return this._rootView?.find('.target-preview');
+  }
+
+  get _undoEffectOperationButton() {
+    return this._rootView.find('.undo-effect-operation');
+  }
 }
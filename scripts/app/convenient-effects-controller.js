@@ -1,6 +1,7 @@
 import Constants from '../constants.js';
 import CustomEffectsHandler from '../effects/custom-effects-handler.js';
 import DynamicEffectsAdderDelegate from '../systems/dynamic-effects-adder-delegate.js';
+import EffectHelpers from '../effects/effect-helpers.js';
 import FoundryHelpers from '../util/foundry-helpers.js';
 import Settings from '../settings.js';
 
@@ -18,6 +19,7 @@ export default class ConvenientEffectsController {
 
     this._customEffectsHandler = new CustomEffectsHandler();
     this._dynamicEffectsAdderDelegate = new DynamicEffectsAdderDelegate();
+    this._effectHelpers = new EffectHelpers();
     this._foundryHelpers = new FoundryHelpers();
     this._settings = new Settings();
   }
@@ -33,7 +35,7 @@ export default class ConvenientEffectsController {
       (folderData) => {
         const unfavoritedEffects = folderData.effects.filter((effect) => {
           return (
-            !this._settings.isFavoritedEffect(effect.name) &&
+            !this._settings.isFavoritedEffect(this._getEffectId(effect)) &&
             effect.getFlag(Constants.MODULE_ID, Constants.FLAGS.IS_VIEWABLE)
           );
         });
@@ -46,15 +48,28 @@ export default class ConvenientEffectsController {
     );
 
     return {
+      targetMode: this._settings.targetMode,
+      targetModes: {
+        [Constants.TARGET_MODES.AUTO]: 'ConvenientEffects.TargetModes.Auto',
+        [Constants.TARGET_MODES.SELECTED]:
+          'ConvenientEffects.TargetModes.Selected',
+        [Constants.TARGET_MODES.TARGETED]:
+          'ConvenientEffects.TargetModes.Targeted',
+        [Constants.TARGET_MODES.BOTH]: 'ConvenientEffects.TargetModes.Both',
+        [Constants.TARGET_MODES.SELF]: 'ConvenientEffects.TargetModes.Self',
+        [Constants.TARGET_MODES.ORIGIN_AND_TARGETS]:
+          'ConvenientEffects.TargetModes.OriginAndTargets',
+      },
+      targetPreview: this.targetPreview,
       folders: [
         {
           id: 'favorites',
-          name: 'Favorites',
+          name: game.i18n.localize('ConvenientEffects.Folders.Favorites'),
           effects: this._fetchFavorites(),
         },
         {
           id: 'custom',
-          name: 'Custom',
+          name: game.i18n.localize('ConvenientEffects.Folders.Custom'),
           effects: this._fetchUnfavoritedCustomEffects(),
         },
         ...foldersWithoutFavorites,
@@ -63,9 +78,9 @@ export default class ConvenientEffectsController {
   }
 
   _fetchFavorites() {
-    return this._settings.favoriteEffectNames
-      .map((name) => {
-        return game.dfreds.effects.all.find((effect) => effect.name == name);
+    return this._settings.favoriteEffectIds
+      .map((id) => {
+        return game.dfreds.effectInterface.findEffectById(id);
       })
       .filter((effect) => effect)
       .sort((a, b) => {
@@ -81,7 +96,42 @@ export default class ConvenientEffectsController {
   _fetchUnfavoritedCustomEffects() {
     return this._customEffectsHandler
       .getCustomEffects()
-      .filter((effect) => !this._settings.isFavoritedEffect(effect.name));
+      .filter(
+        (effect) => !this._settings.isFavoritedEffect(this._getEffectId(effect))
+      );
+  }
+
+  _getEffectId(effect) {
+    return effect.getFlag(Constants.MODULE_ID, Constants.FLAGS.CE_EFFECT_ID);
+  }
+
+  /**
+   * Describes which actors clicking an effect would affect with the chosen
+   * target mode
+   *
+   * @returns {string} the localized names of the actors
+   */
+  get targetPreview() {
+    const names = this._foundryHelpers
+      .getActorUuids()
+      .map((uuid) => this._foundryHelpers.getActorByUuid(uuid)?.name)
+      .filter((name) => name);
+
+    return names.length > 0
+      ? game.i18n.format('ConvenientEffects.App.TargetPreview', {
+          names: names.join(', '),
+        })
+      : game.i18n.localize('ConvenientEffects.App.NoTargets');
+  }
+
+  /**
+   * Handles switching the target mode in the app header
+   *
+   * @param {Event} event - event that corresponds to changing the target mode
+   */
+  async onTargetModeChange(event) {
+    await this._settings.setTargetMode(event.currentTarget.value);
+    this._viewMvc.refreshTargetPreview();
   }
 
   /**
@@ -108,10 +158,9 @@ export default class ConvenientEffectsController {
    * @param {jQuery} effectItem - jQuery element representing the effect list item
    */
   async onEditEffectClick(effectItem) {
-    const effectName = effectItem.data().effectName;
-    const customEffect = this._customEffectsHandler
-      .getCustomEffects()
-      .find((effect) => effect.name == effectName);
+    const effectId = effectItem.data().effectId;
+    const customEffect =
+      game.dfreds.effectInterface.findCustomEffectById(effectId);
 
     await this._customEffectsHandler.editCustomEffect(customEffect);
   }
@@ -122,10 +171,9 @@ export default class ConvenientEffectsController {
    * @param {jQuery} effectItem - jQuery element representing the effect list item
    */
   async onDeleteEffectClick(effectItem) {
-    const effectName = effectItem.data().effectName;
-    const customEffect = this._customEffectsHandler
-      .getCustomEffects()
-      .find((effect) => effect.name == effectName);
+    const effectId = effectItem.data().effectId;
+    const customEffect =
+      game.dfreds.effectInterface.findCustomEffectById(effectId);
 
     await this._customEffectsHandler.deleteCustomEffect(customEffect);
     this._viewMvc.render();
@@ -138,8 +186,8 @@ export default class ConvenientEffectsController {
    * @returns true if the effect is custom
    */
   isCustomEffect(effectItem) {
-    const effectName = effectItem.data().effectName;
-    return this._customEffectsHandler.isCustomEffect(effectName);
+    const effectId = effectItem.data().effectId;
+    return !!game.dfreds.effectInterface.findCustomEffectById(effectId);
   }
 
   /**
@@ -158,9 +206,12 @@ export default class ConvenientEffectsController {
    */
   async onResetStatusEffectsClick(event) {
     return Dialog.confirm({
-      title: 'Reset Status Effects',
-      content:
-        '<h4>Are You Sure?</h4><p>This will reset all configured status effects to the module defaults and reload Foundry.',
+      title: game.i18n.localize(
+        'ConvenientEffects.Dialogs.ResetStatusEffects.Title'
+      ),
+      content: game.i18n.localize(
+        'ConvenientEffects.Dialogs.ResetStatusEffects.Content'
+      ),
       yes: async () => {
         await this._settings.resetStatusEffects();
         window.location.reload();
@@ -168,6 +219,24 @@ export default class ConvenientEffectsController {
     });
   }
 
+  /**
+   * Handles clicks on the undo button
+   *
+   * @param {MouseEvent} event - event that corresponds to clicking the undo button
+   */
+  async onUndoEffectOperationClick(event) {
+    await game.dfreds.effectInterface.undo();
+  }
+
+  /**
+   * Handles clicks on the redo button
+   *
+   * @param {MouseEvent} event - event that corresponds to clicking the redo button
+   */
+  async onRedoEffectOperationClick(event) {
+    await game.dfreds.effectInterface.redo();
+  }
+
   /**
    * Handles clicks on the collapse all button
    *
@@ -205,14 +274,15 @@ export default class ConvenientEffectsController {
    * @param {MouseEvent} event - event that corresponds to clicking an effect item
    */
   async onEffectClick(event) {
-    const effectName = this._findNearestEffectName(event);
-    await game.dfreds.effectInterface.toggleEffect(effectName);
+    const effectId = this._findNearestEffectId(event);
+    await game.dfreds.effectInterface.toggleEffect(effectId);
   }
 
-  _findNearestEffectName(event) {
-    return $(event.target)
-      .closest('[data-effect-name], .convenient-effect')
-      .data()?.effectName;
+  _findNearestEffectId(event) {
+    const data = $(event.target)
+      .closest('[data-effect-id], [data-effect-name], .convenient-effect')
+      .data();
+    return data?.effectId ?? data?.effectName;
   }
 
   /**
@@ -221,12 +291,12 @@ export default class ConvenientEffectsController {
    * @param {jQuery} effectItem - jQuery element representing the effect list item
    */
   async onAddFavorite(effectItem) {
-    const effectName = effectItem.data().effectName;
+    const effectId = effectItem.data().effectId;
 
     // Don't add favorites twice
-    if (this._settings.isFavoritedEffect(effectName)) return;
+    if (this._settings.isFavoritedEffect(effectId)) return;
 
-    await this._settings.addFavoriteEffect(effectName);
+    await this._settings.addFavoriteEffect(effectId);
     this._viewMvc.render();
   }
 
@@ -236,9 +306,9 @@ export default class ConvenientEffectsController {
    * @param {jQuery} effectItem - jQuery element representing the effect list item
    */
   async onRemoveFavorite(effectItem) {
-    const effectName = effectItem.data().effectName;
+    const effectId = effectItem.data().effectId;
 
-    await this._settings.removeFavoriteEffect(effectName);
+    await this._settings.removeFavoriteEffect(effectId);
     this._viewMvc.render();
   }
 
@@ -249,8 +319,8 @@ export default class ConvenientEffectsController {
    * @returns true if the effect is favorited
    */
   isFavoritedEffect(effectItem) {
-    const effectName = effectItem.data().effectName;
-    return this._settings.isFavoritedEffect(effectName);
+    const effectId = effectItem.data().effectId;
+    return this._settings.isFavoritedEffect(effectId);
   }
 
   /**
@@ -259,41 +329,263 @@ export default class ConvenientEffectsController {
    * @param {jQuery} effectItem - jQuery element representing the effect list item
    */
   async onToggleOverlay(effectItem) {
-    const effectName = effectItem.data().effectName;
-    await game.dfreds.effectInterface.toggleEffect(effectName, {
+    const effectId = effectItem.data().effectId;
+    await game.dfreds.effectInterface.toggleEffect(effectId, {
       overlay: true,
     });
   }
 
+  /**
+   * Checks if the provided effect can have multiple stacks
+   *
+   * @param {jQuery} effectItem - jQuery element representing the effect list item
+   * @returns true if the effect is stackable
+   */
+  isStackableEffect(effectItem) {
+    const effectId = effectItem.data().effectId;
+    const effect = game.dfreds.effectInterface.findEffect(effectId);
+    return !!effect && this._effectHelpers.isStackable(effect);
+  }
+
+  /**
+   * Handle adding a stack of the effect to the selected or targeted actors
+   *
+   * @param {jQuery} effectItem - jQuery element representing the effect list item
+   */
+  async onAddStack(effectItem) {
+    await this._changeStacks(effectItem, (params) =>
+      game.dfreds.effectInterface.incrementEffect(params)
+    );
+  }
+
+  /**
+   * Handle removing a stack of the effect from the selected or targeted actors
+   *
+   * @param {jQuery} effectItem - jQuery element representing the effect list item
+   */
+  async onRemoveStack(effectItem) {
+    await this._changeStacks(effectItem, (params) =>
+      game.dfreds.effectInterface.decrementEffect(params)
+    );
+  }
+
+  async _changeStacks(effectItem, changeStacks) {
+    const effectName = effectItem.data().effectName;
+    const uuids = this._foundryHelpers.getActorUuids();
+
+    if (uuids.length === 0) {
+      ui.notifications.error(
+        game.i18n.format(
+          'ConvenientEffects.Notifications.SelectTokenToToggle',
+          {
+            effectName,
+          }
+        )
+      );
+      return;
+    }
+
+    const effectId = effectItem.data().effectId;
+    for (const uuid of uuids) {
+      await changeStacks({ effectName: effectId, uuid });
+    }
+  }
+
+  /**
+   * Handle previewing the changes the effect would make to the first selected
+   * or targeted actor without applying it
+   *
+   * @param {jQuery} effectItem - jQuery element representing the effect list item
+   */
+  async onPreviewEffect(effectItem) {
+    const effectName = effectItem.data().effectName;
+    const uuid = this._foundryHelpers.getActorUuids()[0];
+
+    if (!uuid) {
+      ui.notifications.error(
+        game.i18n.format(
+          'ConvenientEffects.Notifications.SelectTokenToPreview',
+          { effectName }
+        )
+      );
+      return;
+    }
+
+    const effectId = effectItem.data().effectId;
+    const preview = await game.dfreds.effectInterface.previewEffect({
+      effectName: effectId,
+      uuid,
+    });
+    if (!preview) return;
+
+    const actor = this._foundryHelpers.getActorByUuid(uuid);
+    const content = await renderTemplate(
+      'modules/dfreds-convenient-effects/templates/effect-preview-dialog.hbs',
+      {
+        actorName: Handlebars.escapeExpression(actor.name),
+        effects: preview.effects,
+        replacedEffects: preview.replacedEffects,
+        changes: preview.changes.map(({ key, before, after }) => ({
+          key,
+          before: this._formatPreviewValue(before),
+          after: this._formatPreviewValue(after),
+        })),
+      }
+    );
+
+    new Dialog({
+      title: game.i18n.format('ConvenientEffects.Dialogs.Preview.Title', {
+        effectName,
+      }),
+      content,
+      buttons: {
+        apply: {
+          icon: '<i class="fas fa-check"></i>',
+          label: game.i18n.localize('ConvenientEffects.Dialogs.Preview.Apply'),
+          callback: () =>
+            game.dfreds.effectInterface.addEffect({
+              effectName: effectId,
+              uuid,
+            }),
+        },
+        close: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize('ConvenientEffects.Dialogs.Close'),
+        },
+      },
+      default: 'close',
+    }).render(true);
+  }
+
+  /**
+   * Handle applying the effect to every token inside of the selected measured
+   * template, or one the user places if none is selected
+   *
+   * @param {jQuery} effectItem - jQuery element representing the effect list item
+   */
+  async onApplyToTemplate(effectItem) {
+    const { effectId, effectName } = effectItem.data();
+
+    const content = await renderTemplate(
+      'modules/dfreds-convenient-effects/templates/template-application-dialog.hbs',
+      {}
+    );
+
+    // undefined if the dialog closed without applying the effect
+    const filters = await Dialog.prompt({
+      title: game.i18n.format(
+        'ConvenientEffects.Dialogs.TemplateApplication.Title',
+        { effectName }
+      ),
+      content,
+      label: game.i18n.localize(
+        'ConvenientEffects.Dialogs.TemplateApplication.Apply'
+      ),
+      callback: (html) => new FormDataExtended(html.find('form')[0]).object,
+      rejectClose: false,
+    });
+    if (!filters) return;
+
+    let template = canvas.templates.controlled[0]?.document;
+    if (!template) {
+      ui.notifications.info(
+        game.i18n.format('ConvenientEffects.Notifications.PlaceTemplate', {
+          effectName,
+        })
+      );
+      template = await this._foundryHelpers.waitForTemplatePlacement();
+    }
+    if (!template) {
+      ui.notifications.info(
+        game.i18n.format(
+          'ConvenientEffects.Notifications.PlaceTemplateCancelled',
+          { effectName }
+        )
+      );
+      return;
+    }
+
+    const dispositions = [
+      filters.friendly && CONST.TOKEN_DISPOSITIONS.FRIENDLY,
+      filters.neutral && CONST.TOKEN_DISPOSITIONS.NEUTRAL,
+      filters.hostile && CONST.TOKEN_DISPOSITIONS.HOSTILE,
+    ].filter((disposition) => disposition !== false);
+
+    await game.dfreds.effectInterface.addEffectToTemplate({
+      effectName: effectId,
+      template,
+      dispositions,
+      excludeCaster: filters.excludeCaster,
+    });
+  }
+
+  _formatPreviewValue(value) {
+    if (value === undefined || value === null) return '-';
+    if (value instanceof Set) return Array.from(value).join(', ') || '-';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
   /**
    * Handle adding/removing the effect from the to/from the status effect settings
    *
    * @param {jQuery} effectItem - jQuery element representing the effect list item
    */
   async onToggleStatusEffect(effectItem) {
-    const effectName = effectItem.data().effectName;
+    const effectId = effectItem.data().effectId;
 
-    if (this._settings.isStatusEffect(effectName)) {
-      await this._settings.removeStatusEffect(effectName);
+    if (this._settings.isStatusEffect(effectId)) {
+      await this._settings.removeStatusEffect(effectId);
     } else {
-      await this._settings.addStatusEffect(effectName);
+      await this._settings.addStatusEffect(effectId);
     }
 
     this._viewMvc.showReloadRequired();
     this._viewMvc.render();
   }
 
+  /**
+   * Handle adding/removing the effect from the to/from the GM only effect settings
+   *
+   * @param {jQuery} effectItem - jQuery element representing the effect list item
+   */
+  async onToggleGmOnly(effectItem) {
+    const effectId = effectItem.data().effectId;
+
+    if (this._settings.isGmOnlyEffect(effectId)) {
+      await this._settings.removeGmOnlyEffect(effectId);
+    } else {
+      await this._settings.addGmOnlyEffect(effectId);
+    }
+
+    this._viewMvc.render();
+  }
+
+  /**
+   * Handle adding/removing the effect from the to/from the expiry excluded effect settings
+   *
+   * @param {jQuery} effectItem - jQuery element representing the effect list item
+   */
+  async onToggleExpiryExcluded(effectItem) {
+    const effectId = effectItem.data().effectId;
+
+    if (this._settings.isExpiryExcludedEffect(effectId)) {
+      await this._settings.removeExpiryExcludedEffect(effectId);
+    } else {
+      await this._settings.addExpiryExcludedEffect(effectId);
+    }
+
+    this._viewMvc.render();
+  }
+
   /**
    * Handle duplicating an effect and adding as a custom effect
    *
    * @param {jQuery} effectItem - jQuery element representing the effect list item
    */
   async onDuplicateAsCustom(effectItem) {
-    const effectName = effectItem.data().effectName;
-
-    const effect = game.dfreds.effects.all.find(
-      (effect) => effect.name === effectName
-    );
+    const effectId = effectItem.data().effectId;
+    const effect = game.dfreds.effectInterface.findEffectById(effectId);
 
     await this._customEffectsHandler.duplicateExistingEffect(effect);
 
@@ -329,15 +621,16 @@ export default class ConvenientEffectsController {
    * @param {DragEvent} event - event that corresponds to the drag start
    */
   onEffectDragStart(event) {
-    const effectName = event.target.dataset.effectName;
+    const { effectId, effectName } = event.target.dataset;
 
-    const effect = game.dfreds.effectInterface.findEffectByName(effectName);
+    const effect = game.dfreds.effectInterface.findEffectById(effectId);
 
     // special handling for nested effects
     if (game.dfreds.effectInterface.hasNestedEffects(effect)) {
       event.dataTransfer.setData(
         'text/plain',
         JSON.stringify({
+          effectId,
           effectName,
         })
       );
@@ -347,6 +640,7 @@ export default class ConvenientEffectsController {
     event.dataTransfer.setData(
       'text/plain',
       JSON.stringify({
+        effectId,
         effectName,
         type: 'ActiveEffect',
         data: effect,
@@ -381,7 +675,7 @@ export default class ConvenientEffectsController {
 
       if (isEntity) {
         let match =
-          isSearch && matchingItems.effectNames.has(el.dataset.effectName);
+          isSearch && matchingItems.effectIds.has(el.dataset.effectId);
         el.style.display = !isSearch || match ? 'flex' : 'none';
       } else if (isFolder) {
         let match =
@@ -400,20 +694,20 @@ export default class ConvenientEffectsController {
   }
 
   _getMatchingItems(regex) {
-    let effectNames = new Set();
+    let effectIds = new Set();
     let folderIds = new Set();
 
     for (let folder of this.data.folders) {
       for (let effect of folder.effects) {
         if (regex.test(SearchFilter.cleanQuery(effect.name))) {
-          effectNames.add(effect.name);
+          effectIds.add(this._getEffectId(effect));
           folderIds.add(folder.id);
         }
       }
     }
 
     return {
-      effectNames,
+      effectIds,
       folderIds,
     };
   }
@@ -4,12 +4,51 @@
 export default class Constants {
   static MODULE_ID = 'dfreds-convenient-effects';
   static FLAGS = {
+    AURA: 'aura',
+    AURA_SOURCE: 'auraSource',
+    CE_EFFECT_ID: 'ceEffectId',
+    CONCENTRATION: 'concentration',
     DESCRIPTION: 'description',
+    EXCLUSIVE_GROUP: 'exclusiveGroup',
+    IMPLIED_BY: 'impliedBy',
+    IMPLIED_EFFECTS: 'impliedEffects',
     IS_CONVENIENT: 'isConvenient',
     IS_DYNAMIC: 'isDynamic',
     IS_VIEWABLE: 'isViewable',
+    MAX_STACKS: 'maxStacks',
     NESTED_EFFECTS: 'nestedEffects',
+    PARAM_VALUES: 'paramValues',
+    PARAMETERS: 'parameters',
+    PARENT_EFFECT_ID: 'parentEffectId',
+    REQUIRES_CONCENTRATION: 'requiresConcentration',
+    PENDING_REQUESTS: 'pendingRequests',
+    RECURRING_DAMAGE: 'recurringDamage',
+    RECURRING_SAVE: 'recurringSave',
+    STACKS: 'stacks',
     SUB_EFFECTS: 'subEffects',
+    TURN_DURATION: 'turnDuration',
+  };
+
+  static FAILURE_REASONS = {
+    ACTOR_NOT_FOUND: 'actorNotFound',
+    CANCELLED: 'cancelled',
+    EFFECT_NOT_FOUND: 'effectNotFound',
+    IMMUNE: 'immune',
+    NO_GM_CONNECTED: 'noGmConnected',
+    NOT_APPLIED: 'notApplied',
+    QUEUED: 'queued',
+    UNAUTHORIZED: 'unauthorized',
+  };
+
+  // AUTO picks the targets, the selected tokens, or the user's character
+  // depending on the prioritize targets setting
+  static TARGET_MODES = {
+    AUTO: 'auto',
+    SELECTED: 'selected',
+    TARGETED: 'targeted',
+    BOTH: 'both',
+    SELF: 'self',
+    ORIGIN_AND_TARGETS: 'originAndTargets',
   };
 
   static COLORS = {
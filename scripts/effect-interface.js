@@ -2,7 +2,10 @@ import Constants from './constants.js';
 import CustomEffectsHandler from './effects/custom-effects-handler.js';
 import EffectHandler from './effects/effect-handler.js';
 import EffectHelpers from './effects/effect-helpers.js';
+import EffectHistory from './effects/effect-history.js';
 import FoundryHelpers from './util/foundry-helpers.js';
+import PendingRequestsHandler from './effects/pending-requests-handler.js';
+import RecurringSaveHandler from './effects/recurring-save-handler.js';
 import Settings from './settings.js';
 
 /**
@@ -13,7 +16,10 @@ export default class EffectInterface {
     this._customEffectsHandler = new CustomEffectsHandler();
     this._effectHandler = new EffectHandler();
     this._effectHelpers = new EffectHelpers();
+    this._effectHistory = new EffectHistory();
     this._foundryHelpers = new FoundryHelpers();
+    this._pendingRequestsHandler = new PendingRequestsHandler();
+    this._recurringSaveHandler = new RecurringSaveHandler();
     this._settings = new Settings();
   }
 
@@ -26,23 +32,130 @@ export default class EffectInterface {
   }
 
   _registerFunctions() {
-    this._socket.register(
-      'toggleEffect',
-      this._effectHandler.toggleEffect.bind(this._effectHandler)
+    for (const [name, handler] of Object.entries(this._gmFunctions)) {
+      this._registerGmFunction(name, handler);
+    }
+
+    this._socket.register('rollRecurringSave', (effectUuid) =>
+      this._recurringSaveHandler.rollRecurringSave(effectUuid)
     );
-    this._socket.register(
-      'addEffect',
-      this._effectHandler.addEffect.bind(this._effectHandler)
+  }
+
+  /**
+   * The functions executed by the GM, each receiving the ID of the user that
+   * made the request so it can be authorized
+   */
+  get _gmFunctions() {
+    return {
+      toggleEffect: (userId, effectName, params) =>
+        this._effectHandler.toggleEffect(effectName, { ...params, userId }),
+      addEffect: (userId, params) =>
+        this._effectHandler.addEffect({ ...params, userId }),
+      removeEffect: (userId, params) =>
+        this._effectHandler.removeEffect({ ...params, userId }),
+      addEffects: (userId, { operations }) =>
+        this._effectHandler.addEffects({ operations, userId }),
+      removeEffects: (userId, params) =>
+        this._effectHandler.removeEffects({ ...params, userId }),
+      changeEffectStacks: (userId, params) =>
+        this._effectHandler.changeEffectStacks({ ...params, userId }),
+      restoreEffects: (userId, params) =>
+        this._effectHandler.restoreEffects({ ...params, userId }),
+    };
+  }
+
+  /**
+   * Registers a socket function that receives the ID of the user that sent
+   * the request, as provided by socketlib, so it can be authorized by the GM
+   */
+  _registerGmFunction(name, handler) {
+    this._socket.register(name, function (...args) {
+      return handler(this.socketdata.userId, ...args);
+    });
+  }
+
+  /**
+   * Replays the requests players queued while no GM was connected. Only the
+   * active GM replays them, authorizing each as the player that made it.
+   */
+  async replayPendingRequests() {
+    const gmFunctions = this._gmFunctions;
+
+    await this._pendingRequestsHandler.replayPendingRequests(
+      (handler, userId, args) => {
+        // The queue is stored on user flags the player can write to
+        if (!Object.hasOwn(gmFunctions, handler) || !Array.isArray(args)) {
+          throw new Error(`Unknown pending request ${handler}`);
+        }
+
+        return gmFunctions[handler](userId, ...args);
+      }
+    );
+  }
+
+  /**
+   * Asks a user to roll the recurring save of an applied effect
+   *
+   * @param {string} userId - the ID of the user to roll the save
+   * @param {string} effectUuid - the UUID of the applied effect
+   * @returns {Promise<boolean>} a promise that resolves to true if the save
+   * succeeded
+   */
+  async requestRecurringSave(userId, effectUuid) {
+    if (userId === game.user.id) {
+      return this._recurringSaveHandler.rollRecurringSave(effectUuid);
+    }
+
+    return this._socket.executeAsUser('rollRecurringSave', userId, effectUuid);
+  }
+
+  /**
+   * Searches through the list of available effects and returns one matching the
+   * effect ID, falling back to one matching the effect name
+   *
+   * @param {string} effectIdOrName - the effect ID or name to search for
+   * @returns {ActiveEffect} the found effect
+   */
+  findEffect(effectIdOrName) {
+    return (
+      this.findEffectById(effectIdOrName) ??
+      this.findEffectByName(effectIdOrName)
     );
-    this._socket.register(
-      'removeEffect',
-      this._effectHandler.removeEffect.bind(this._effectHandler)
+  }
+
+  /**
+   * Searches through the list of available effects and returns one matching the
+   * effect ID. Prioritizes finding custom effects first.
+   *
+   * @param {string} effectId - the effect ID to search for
+   * @returns {ActiveEffect} the found effect
+   */
+  findEffectById(effectId) {
+    const effect = this.findCustomEffectById(effectId);
+    if (effect) return effect;
+
+    return game.dfreds.effects.all.find(
+      (effect) => this._effectHelpers.getCeEffectId(effect) == effectId
     );
   }
 
+  /**
+   * Searches through the list of available custom effects and returns one
+   * matching the effect ID
+   *
+   * @param {string} effectId - the effect ID to search for
+   * @returns {ActiveEffect} the found effect
+   */
+  findCustomEffectById(effectId) {
+    return this._customEffectsHandler
+      .getCustomEffects()
+      .find((effect) => this._effectHelpers.getCeEffectId(effect) == effectId);
+  }
+
   /**
    * Searches through the list of available effects and returns one matching the
-   * effect name. Prioritizes finding custom effects first.
+   * effect name. Prioritizes finding custom effects first. Built-in effects
+   * also match their English name, so the same name works in every language.
    *
    * @param {string} effectName - the effect name to search for
    * @returns {ActiveEffect} the found effect
@@ -51,7 +164,12 @@ export default class EffectInterface {
     const effect = this.findCustomEffectByName(effectName);
     if (effect) return effect;
 
-    return game.dfreds.effects.all.find((effect) => effect.name == effectName);
+    return (
+      game.dfreds.effects.all.find((effect) => effect.name == effectName) ??
+      game.dfreds.effects.all.find(
+        (effect) => this._effectHelpers.getEnglishName(effect) == effectName
+      )
+    );
   }
 
   /**
@@ -71,53 +189,92 @@ export default class EffectInterface {
 
   /**
    * Toggles the effect on the provided actor UUIDS as the GM via sockets. If no actor
-   * UUIDs are provided, it finds one of these in this priority:
-   *
-   * 1. The targeted tokens (if prioritize targets is enabled)
-   * 2. The currently selected tokens on the canvas
-   * 3. The user configured character
+   * UUIDs are provided, the actors are found by the target mode.
    *
-   * @param {string} effectName - name of the effect to toggle
+   * @param {string} effectName - ID or name of the effect to toggle
    * @param {object} params - the effect parameters
    * @param {boolean} params.overlay - if the effect is an overlay or not
    * @param {string[]} params.uuids - UUIDS of the actors to toggle the effect on
-   * @returns {Promise} a promise that resolves when the GM socket function completes
+   * @param {string} params.targetMode - which actors to toggle the effect on
+   * when no UUIDs are provided: `selected`, `targeted`, `both`, `self`,
+   * `originAndTargets`, or `auto`. Defaults to the mode chosen in the app.
+   * @param {string} params.origin - the origin UUID whose actor is included
+   * in the `originAndTargets` mode
+   * @param {object} params.params - the values to fill in the parameters of
+   * the effect with, keyed by name. If undefined, the user is prompted for them.
+   * @returns {Promise<object>} a promise that resolves to the result of the GM socket function,
+   * containing `success`, the failure `reason`, and the `created` and `deleted`
+   * effect IDs, the `createdEffects` and `deletedEffects` data, and `failures`
+   * for each actor
    */
-  async toggleEffect(effectName, { overlay, uuids = [] } = {}) {
+  async toggleEffect(
+    effectName,
+    { overlay, uuids = [], targetMode, origin, params } = {}
+  ) {
     if (uuids.length == 0) {
-      uuids = this._foundryHelpers.getActorUuids();
+      uuids = this._foundryHelpers.getActorUuids({ targetMode, origin });
     }
 
     if (uuids.length == 0) {
       ui.notifications.error(
-        `Please select or target a token to toggle ${effectName}`
+        game.i18n.format(
+          'ConvenientEffects.Notifications.SelectTokenToToggle',
+          { effectName }
+        )
+      );
+      return this._effectHelpers.createFailureResult(
+        Constants.FAILURE_REASONS.ACTOR_NOT_FOUND
       );
-      return;
     }
 
-    let effect = this.findEffectByName(effectName);
+    let effect = this.findEffect(effectName);
 
     if (!effect) {
-      ui.notifications.error(`Effect ${effectName} was not found`);
-      return;
+      ui.notifications.error(
+        game.i18n.format('ConvenientEffects.Notifications.EffectNotFound', {
+          effectName,
+        })
+      );
+      return this._effectHelpers.createFailureResult(
+        Constants.FAILURE_REASONS.EFFECT_NOT_FOUND
+      );
     }
 
     if (this.hasNestedEffects(effect)) {
       effect = await this._getNestedEffectSelection(effect);
-      if (!effect) return; // dialog closed without selecting one
+      if (!effect) {
+        // dialog closed without selecting one
+        return this._effectHelpers.createFailureResult(
+          Constants.FAILURE_REASONS.CANCELLED
+        );
+      }
+    }
+
+    // Parameters are only needed if the effect is added to any of the actors
+    const effectId = this._getEffectId(effect);
+    let paramValues = {};
+    if (uuids.some((uuid) => !this.hasEffectApplied(effectId, uuid))) {
+      paramValues = await this._getParamValues(effect, params);
+      if (!paramValues) {
+        // dialog closed without filling them in
+        return this._effectHelpers.createFailureResult(
+          Constants.FAILURE_REASONS.CANCELLED
+        );
+      }
     }
 
-    return this._socket.executeAsGM('toggleEffect', effect.name, {
+    return this._executeOperation('toggleEffect', effectId, {
       overlay,
       uuids,
+      params: paramValues,
     });
   }
 
   /**
    * Checks to see if any of the current active effects applied to the actor
-   * with the given UUID match the effect name and are a convenient effect
+   * with the given UUID match the effect and are a convenient effect
    *
-   * @param {string} effectName - the name of the effect to check
+   * @param {string} effectName - the ID or name of the effect to check
    * @param {string} uuid - the uuid of the actor to see if the effect is
    * applied to
    * @returns {boolean} true if the effect is applied, false otherwise
@@ -126,37 +283,130 @@ export default class EffectInterface {
     return this._effectHandler.hasEffectApplied(effectName, uuid);
   }
 
+  /**
+   * Gets structured data about every convenient effect applied to the actor
+   * with the given UUID. Each entry contains the `id`, `uuid`, `effectId`, `name`,
+   * `origin`, `remainingRounds`, `remainingSeconds`, `disabled`, `overlay`,
+   * `stacks`, `maxStacks`, `paramValues`, `turnDuration` as a label such as
+   * "Until the end of Goblin's next turn", `parentEffectId`, and
+   * `subEffectIds` of the applied effect.
+   *
+   * @param {string} uuid - the uuid of the actor to get the applied effects for
+   * @param {object} filters - optional filters for the applied effects
+   * @param {string} filters.effectName - only include effects with this name
+   * @param {string} filters.folderId - only include effects defined in the
+   * folder with this ID, such as `conditions` or `custom`
+   * @param {string} filters.origin - only include effects with this origin
+   * @param {boolean} filters.includeDisabled - if disabled effects should be included
+   * @returns {object[]} the data for each applied convenient effect
+   */
+  getAppliedEffects(uuid, filters = {}) {
+    return this._effectHandler.getAppliedEffects(uuid, filters);
+  }
+
+  /**
+   * Computes what adding the effect to the actor with the given UUID would do
+   * without applying it. This includes dynamic changes, sub-effects, and any
+   * effects that would be applied or replaced alongside it.
+   *
+   * @param {object} params - the params for previewing an effect
+   * @param {string} params.effectName - the ID or name of the effect to preview
+   * @param {string} params.uuid - the UUID of the actor to preview the effect on
+   * @param {string} params.origin - the origin of the effect
+   * @param {object} params.params - the values to fill in the parameters of
+   * the effect with, keyed by name. Missing values use their defaults.
+   * @returns {Promise<object | null>} a promise that resolves to the `effects`
+   * that would be created, the names of the `replacedEffects`, and the
+   * `changes` to the actor data with their `key`, `before` and `after`
+   * values, or null if the preview could not be computed
+   */
+  async previewEffect({ effectName, uuid, origin, params = {} }) {
+    let effect = this.findEffect(effectName);
+
+    if (!effect) {
+      ui.notifications.error(
+        game.i18n.format('ConvenientEffects.Notifications.EffectNotFound', {
+          effectName,
+        })
+      );
+      return null;
+    }
+
+    const actor = this._foundryHelpers.getActorByUuid(uuid);
+
+    if (!actor) {
+      ui.notifications.error(
+        game.i18n.format('ConvenientEffects.Notifications.ActorNotFound', {
+          uuid,
+        })
+      );
+      return null;
+    }
+
+    if (this.hasNestedEffects(effect)) {
+      effect = await this._getNestedEffectSelection(effect);
+      if (!effect) return null; // dialog closed without selecting one
+    }
+
+    const effectData = effect.toObject();
+    this._effectHelpers.setParamValues(effectData, params);
+
+    return this._effectHandler.previewEffect({
+      effect: effectData,
+      uuid,
+      origin,
+    });
+  }
+
   /**
    * Removes the effect from the provided actor UUID as the GM via sockets
    *
    * @param {object} params - the effect params
-   * @param {string} params.effectName - the name of the effect to remove
+   * @param {string} params.effectName - the ID or name of the effect to remove
    * @param {string} params.uuid - the UUID of the actor to remove the effect from
    * @param {string | undefined} params.origin - only removes the effect if the origin
    * matches. If undefined, removes any effect with the matching name
-   * @returns {Promise} a promise that resolves when the GM socket function completes
+   * @returns {Promise<object>} a promise that resolves to the result of the GM socket function
    */
   async removeEffect({ effectName, uuid, origin }) {
-    let effect = this.findEffectByName(effectName);
+    let effect = this.findEffect(effectName);
 
     if (!effect) {
-      ui.notifications.error(`Effect ${effectName} could not be found`);
-      return;
+      ui.notifications.error(
+        game.i18n.format('ConvenientEffects.Notifications.EffectNotFound', {
+          effectName,
+        })
+      );
+      return this._effectHelpers.createFailureResult(
+        Constants.FAILURE_REASONS.EFFECT_NOT_FOUND
+      );
     }
 
     const actor = this._foundryHelpers.getActorByUuid(uuid);
 
     if (!actor) {
-      ui.notifications.error(`Actor ${uuid} could not be found`);
-      return;
+      ui.notifications.error(
+        game.i18n.format('ConvenientEffects.Notifications.ActorNotFound', {
+          uuid,
+        })
+      );
+      return this._effectHelpers.createFailureResult(
+        Constants.FAILURE_REASONS.ACTOR_NOT_FOUND
+      );
     }
 
     if (this.hasNestedEffects(effect)) {
       effect = await this._getNestedEffectSelection(effect);
-      if (!effect) return; // dialog closed without selecting one
+      if (!effect) {
+        // dialog closed without selecting one
+        return this._effectHelpers.createFailureResult(
+          Constants.FAILURE_REASONS.CANCELLED
+        );
+      }
     }
 
-    return this._socket.executeAsGM('removeEffect', {
+    return this._executeOperation('removeEffect', {
+      effectId: this._getEffectId(effect),
       effectName: effect.name,
       uuid,
       origin,
@@ -167,52 +417,619 @@ export default class EffectInterface {
    * Adds the effect to the provided actor UUID as the GM via sockets
    *
    * @param {object} params - the params for adding an effect
-   * @param {string} params.effectName - the name of the effect to add
+   * @param {string} params.effectName - the ID or name of the effect to add
    * @param {string} params.uuid - the UUID of the actor to add the effect to
    * @param {string} params.origin - the origin of the effect
    * @param {boolean} params.overlay - if the effect is an overlay or not
    * @param {object} params.metadata - additional contextual data for the application of the effect (likely provided by midi-qol)
-   * @returns {Promise} a promise that resolves when the GM socket function completes
+   * @param {object} params.params - the values to fill in the parameters of
+   * the effect with, keyed by name. If undefined, the user is prompted for them.
+   * @returns {Promise<object>} a promise that resolves to the result of the GM socket function
    */
-  async addEffect({ effectName, uuid, origin, overlay, metadata }) {
-    let effect = this.findEffectByName(effectName);
+  async addEffect({ effectName, uuid, origin, overlay, metadata, params }) {
+    let effect = this.findEffect(effectName);
 
     if (!effect) {
-      ui.notifications.error(`Effect ${effectName} could not be found`);
-      return;
+      ui.notifications.error(
+        game.i18n.format('ConvenientEffects.Notifications.EffectNotFound', {
+          effectName,
+        })
+      );
+      return this._effectHelpers.createFailureResult(
+        Constants.FAILURE_REASONS.EFFECT_NOT_FOUND
+      );
     }
 
     const actor = this._foundryHelpers.getActorByUuid(uuid);
 
     if (!actor) {
-      ui.notifications.error(`Actor ${uuid} could not be found`);
-      return;
+      ui.notifications.error(
+        game.i18n.format('ConvenientEffects.Notifications.ActorNotFound', {
+          uuid,
+        })
+      );
+      return this._effectHelpers.createFailureResult(
+        Constants.FAILURE_REASONS.ACTOR_NOT_FOUND
+      );
     }
 
-    if (this.hasNestedEffects(effect) > 0) {
+    if (this.hasNestedEffects(effect)) {
       effect = await this._getNestedEffectSelection(effect);
-      if (!effect) return; // dialog closed without selecting one
+      if (!effect) {
+        // dialog closed without selecting one
+        return this._effectHelpers.createFailureResult(
+          Constants.FAILURE_REASONS.CANCELLED
+        );
+      }
+    }
+
+    const effectData = await this._getEffectData(effect, params);
+    if (!effectData) {
+      // dialog closed without filling in the parameters
+      return this._effectHelpers.createFailureResult(
+        Constants.FAILURE_REASONS.CANCELLED
+      );
+    }
+
+    return this._executeOperation('addEffect', {
+      effect: effectData,
+      uuid,
+      origin,
+      overlay,
+      metadata,
+    });
+  }
+
+  /**
+   * Adds stacks of a stackable effect to the provided actor UUID as the GM via
+   * sockets. The effect is added if it is not applied yet, and the count is
+   * capped at the max stacks of the effect.
+   *
+   * @param {object} params - the params for adding stacks
+   * @param {string} params.effectName - the ID or name of the effect to add stacks of
+   * @param {string} params.uuid - the UUID of the actor to add the stacks to
+   * @param {string} params.origin - the origin of the effect
+   * @param {boolean} params.overlay - if the effect is an overlay when it is added
+   * @param {number} params.count - the number of stacks to add
+   * @param {object} params.params - the values to fill in the parameters of
+   * the effect with when it is added, keyed by name. If undefined, the user
+   * is prompted for them.
+   * @returns {Promise<object>} a promise that resolves to the result of the GM socket function
+   */
+  async incrementEffect({
+    effectName,
+    uuid,
+    origin,
+    overlay,
+    count = 1,
+    params,
+  }) {
+    return this._changeEffectStacks({
+      effectName,
+      uuid,
+      origin,
+      overlay,
+      delta: count,
+      params,
+    });
+  }
+
+  /**
+   * Removes stacks of a stackable effect from the provided actor UUID as the
+   * GM via sockets. The effect is removed once its last stack is removed.
+   *
+   * @param {object} params - the params for removing stacks
+   * @param {string} params.effectName - the ID or name of the effect to remove stacks of
+   * @param {string} params.uuid - the UUID of the actor to remove the stacks from
+   * @param {string | undefined} params.origin - only changes the effect if the origin
+   * matches. If undefined, changes any effect with the matching name
+   * @param {number} params.count - the number of stacks to remove
+   * @returns {Promise<object>} a promise that resolves to the result of the GM socket function
+   */
+  async decrementEffect({ effectName, uuid, origin, count = 1 }) {
+    return this._changeEffectStacks({
+      effectName,
+      uuid,
+      origin,
+      delta: -count,
+    });
+  }
+
+  async _changeEffectStacks({
+    effectName,
+    uuid,
+    origin,
+    overlay,
+    delta,
+    params,
+  }) {
+    let effect = this.findEffect(effectName);
+
+    if (!effect) {
+      ui.notifications.error(
+        game.i18n.format('ConvenientEffects.Notifications.EffectNotFound', {
+          effectName,
+        })
+      );
+      return this._effectHelpers.createFailureResult(
+        Constants.FAILURE_REASONS.EFFECT_NOT_FOUND
+      );
+    }
+
+    const actor = this._foundryHelpers.getActorByUuid(uuid);
+
+    if (!actor) {
+      ui.notifications.error(
+        game.i18n.format('ConvenientEffects.Notifications.ActorNotFound', {
+          uuid,
+        })
+      );
+      return this._effectHelpers.createFailureResult(
+        Constants.FAILURE_REASONS.ACTOR_NOT_FOUND
+      );
+    }
+
+    if (this.hasNestedEffects(effect)) {
+      effect = await this._getNestedEffectSelection(effect);
+      if (!effect) {
+        // dialog closed without selecting one
+        return this._effectHelpers.createFailureResult(
+          Constants.FAILURE_REASONS.CANCELLED
+        );
+      }
+    }
+
+    // Parameters are only needed if the first stack adds the effect
+    const effectData =
+      delta > 0 && !this.hasEffectApplied(this._getEffectId(effect), uuid)
+        ? await this._getEffectData(effect, params)
+        : effect.toObject();
+    if (!effectData) {
+      // dialog closed without filling in the parameters
+      return this._effectHelpers.createFailureResult(
+        Constants.FAILURE_REASONS.CANCELLED
+      );
     }
 
-    return this._socket.executeAsGM('addEffect', {
-      effect: effect.toObject(),
+    return this._executeOperation('changeEffectStacks', {
+      effect: effectData,
       uuid,
+      delta,
       origin,
       overlay,
     });
   }
 
   /**
-   * Adds the defined effect to the provided actor UUID as the GM via sockets
+   * Adds the effect to the actor of every token inside of a measured template
+   * as the GM via a single socket call
+   *
+   * @param {object} params - the params for adding the effect
+   * @param {string} params.effectName - the ID or name of the effect to add
+   * @param {MeasuredTemplateDocument | string} params.template - the template
+   * or its UUID
+   * @param {string} params.origin - the origin of the effect, defaulting to
+   * the origin of the template
+   * @param {boolean} params.overlay - if the effect is an overlay or not
+   * @param {object} params.params - the values to fill in the parameters of
+   * the effect with. If undefined, the user is prompted for them.
+   * @param {number[]} params.dispositions - only add the effect to tokens with
+   * one of these `CONST.TOKEN_DISPOSITIONS`. If undefined, tokens of any
+   * disposition are included.
+   * @param {boolean} params.excludeCaster - if the token of the origin actor,
+   * or of the character of the user that placed the template, is left out
+   * @returns {Promise<object>} a promise that resolves to the result of the GM socket function
+   */
+  async addEffectToTemplate({
+    effectName,
+    template,
+    origin,
+    overlay,
+    params,
+    dispositions,
+    excludeCaster = false,
+  }) {
+    const templateDocument =
+      typeof template === 'string' ? fromUuidSync(template) : template;
+    const templateOrigin =
+      origin ?? templateDocument?.getFlag(game.system.id, 'origin');
+    const caster = excludeCaster
+      ? this._foundryHelpers.getActorByOrigin(templateOrigin) ??
+        templateDocument?.user?.character
+      : null;
+
+    const tokens = this._foundryHelpers
+      .getTokensInTemplate(templateDocument)
+      .filter(
+        (token) =>
+          token.actor &&
+          (!dispositions || dispositions.includes(token.disposition)) &&
+          (!caster || token.actor !== caster)
+      );
+
+    if (tokens.length === 0) {
+      ui.notifications.warn(
+        game.i18n.localize('ConvenientEffects.Notifications.NoTokensInTemplate')
+      );
+      return this._effectHelpers.createResult([]);
+    }
+
+    return this.addEffects({
+      operations: tokens.map((token) => ({
+        effectName,
+        uuid: token.actor.uuid,
+        origin: templateOrigin,
+        overlay,
+        params,
+      })),
+    });
+  }
+
+  /**
+   * Adds multiple effects to multiple actors as the GM via a single socket
+   * call. The effects are created together for each actor.
+   *
+   * @param {object} params - the params for adding the effects
+   * @param {object[]} params.operations - the effects to add
+   * @param {string} params.operations[].effectName - the ID or name of the effect to add
+   * @param {string} params.operations[].uuid - the UUID of the actor to add the effect to
+   * @param {string} params.operations[].origin - the origin of the effect
+   * @param {boolean} params.operations[].overlay - if the effect is an overlay or not
+   * @param {object} params.operations[].metadata - additional contextual data for the application of the effect
+   * @param {object} params.operations[].params - the values to fill in the
+   * parameters of the effect with. If undefined, the user is prompted for
+   * them once per effect.
+   * @returns {Promise<object>} a promise that resolves to the result of the GM socket function
+   */
+  async addEffects({ operations }) {
+    const nestedEffectChoices = new Map();
+    const paramChoices = new Map();
+    const resolvedOperations = [];
+
+    const failedResults = [];
+
+    for (const {
+      effectName,
+      uuid,
+      origin,
+      overlay,
+      metadata,
+      params,
+    } of operations) {
+      const { effect, reason } = await this._resolveBatchEffect({
+        effectName,
+        uuid,
+        nestedEffectChoices,
+      });
+
+      if (!effect) {
+        failedResults.push(
+          this._createFailedActorResult({ effectName, uuid, reason })
+        );
+        continue;
+      }
+
+      const effectId = this._getEffectId(effect);
+      if (params === undefined && !paramChoices.has(effectId)) {
+        paramChoices.set(effectId, await this._getParamValues(effect));
+      }
+
+      const paramValues = params ?? paramChoices.get(effectId);
+      if (!paramValues) {
+        failedResults.push(
+          this._createFailedActorResult({
+            effectName,
+            uuid,
+            reason: Constants.FAILURE_REASONS.CANCELLED,
+          })
+        );
+        continue;
+      }
+
+      const effectData = effect.toObject();
+      this._effectHelpers.setParamValues(effectData, paramValues);
+
+      resolvedOperations.push({
+        effect: effectData,
+        uuid,
+        origin,
+        overlay,
+        metadata,
+      });
+    }
+
+    if (resolvedOperations.length === 0) {
+      return this._effectHelpers.createResult(failedResults);
+    }
+
+    const result = await this._executeOperation('addEffects', {
+      operations: resolvedOperations,
+    });
+
+    return this._effectHelpers.mergeResults(
+      this._effectHelpers.createResult(failedResults),
+      result
+    );
+  }
+
+  /**
+   * Removes multiple effects from multiple actors as the GM via a single
+   * socket call. The effects are deleted together for each actor.
+   *
+   * @param {object} params - the params for removing the effects
+   * @param {object[]} params.operations - the effects to remove
+   * @param {string} params.operations[].effectName - the ID or name of the effect to remove
+   * @param {string} params.operations[].uuid - the UUID of the actor to remove the effect from
+   * @param {string | undefined} params.operations[].origin - only removes the effect if the origin
+   * matches. If undefined, removes any effect with the matching name
+   * @param {object} params.operations[].metadata - additional contextual data for the removal of the effect
+   * @returns {Promise<object>} a promise that resolves to the result of the GM socket function
+   */
+  async removeEffects({ operations }) {
+    const nestedEffectChoices = new Map();
+    const resolvedOperations = [];
+
+    const failedResults = [];
+
+    for (const { effectName, uuid, origin, metadata } of operations) {
+      const { effect, reason } = await this._resolveBatchEffect({
+        effectName,
+        uuid,
+        nestedEffectChoices,
+      });
+
+      if (!effect) {
+        failedResults.push(
+          this._createFailedActorResult({ effectName, uuid, reason })
+        );
+        continue;
+      }
+
+      resolvedOperations.push({
+        effectId: this._getEffectId(effect),
+        effectName: effect.name,
+        uuid,
+        origin,
+        metadata,
+      });
+    }
+
+    if (resolvedOperations.length === 0) {
+      return this._effectHelpers.createResult(failedResults);
+    }
+
+    const result = await this._executeOperation('removeEffects', {
+      operations: resolvedOperations,
+    });
+
+    return this._effectHelpers.mergeResults(
+      this._effectHelpers.createResult(failedResults),
+      result
+    );
+  }
+
+  /**
+   * Finds the effect for a single batch operation, only asking for a nested
+   * effect selection once per effect in the batch
+   */
+  async _resolveBatchEffect({ effectName, uuid, nestedEffectChoices }) {
+    const effect = this.findEffect(effectName);
+
+    if (!effect) {
+      ui.notifications.error(
+        game.i18n.format('ConvenientEffects.Notifications.EffectNotFound', {
+          effectName,
+        })
+      );
+      return { reason: Constants.FAILURE_REASONS.EFFECT_NOT_FOUND };
+    }
+
+    const actor = this._foundryHelpers.getActorByUuid(uuid);
+
+    if (!actor) {
+      ui.notifications.error(
+        game.i18n.format('ConvenientEffects.Notifications.ActorNotFound', {
+          uuid,
+        })
+      );
+      return { reason: Constants.FAILURE_REASONS.ACTOR_NOT_FOUND };
+    }
+
+    if (!this.hasNestedEffects(effect)) return { effect };
+
+    const effectId = this._getEffectId(effect);
+    if (!nestedEffectChoices.has(effectId)) {
+      nestedEffectChoices.set(
+        effectId,
+        await this._getNestedEffectSelection(effect)
+      );
+    }
+
+    const nestedEffect = nestedEffectChoices.get(effectId);
+
+    // undefined if the dialog closed without selecting one
+    return nestedEffect
+      ? { effect: nestedEffect }
+      : { reason: Constants.FAILURE_REASONS.CANCELLED };
+  }
+
+  /**
+   * Gets the object form of the effect with its parameters filled in,
+   * prompting for them if none were given. Resolves to null if the prompt
+   * was closed.
+   */
+  async _getEffectData(effect, params) {
+    const paramValues = await this._getParamValues(effect, params);
+    if (!paramValues) return null;
+
+    const effectData = effect.toObject();
+    this._effectHelpers.setParamValues(effectData, paramValues);
+    return effectData;
+  }
+
+  async _getParamValues(effect, params) {
+    const parameters = this._effectHelpers.getParameters(effect);
+    if (parameters.length === 0) return {};
+    if (params) return params;
+
+    const content = await renderTemplate(
+      'modules/dfreds-convenient-effects/templates/parameters-dialog.hbs',
+      {
+        effect,
+        parameters: parameters.map((parameter) => ({
+          ...parameter,
+          label: parameter.label || parameter.name,
+          isNumber: parameter.type === 'number',
+          isChoice: parameter.type === 'choice',
+        })),
+      }
+    );
+
+    // undefined if the dialog closed without filling them in
+    const paramValues = await Dialog.prompt(
+      {
+        title: effect.name,
+        content,
+        label: game.i18n.localize('ConvenientEffects.Dialogs.Parameters.Apply'),
+        callback: (html) => new FormDataExtended(html.find('form')[0]).object,
+        rejectClose: false,
+      },
+      { width: 300 }
+    );
+
+    return paramValues ?? null;
+  }
+
+  _getEffectId(effect) {
+    return this._effectHelpers.getCeEffectId(effect);
+  }
+
+  _createFailedActorResult({ effectName, uuid, reason }) {
+    const actorResult = this._effectHelpers.createActorResult(uuid);
+    actorResult.failures.push({ effectName, reason });
+    return actorResult;
+  }
+
+  /**
+   * Undoes the last effect operation made by this user. Effects it created
+   * are deleted and effects it removed, including sub-effects and replaced
+   * effects, are restored exactly as they were with their remaining duration.
+   *
+   * @returns {Promise<object | null>} a promise that resolves to the result of
+   * the GM socket function, or null if there was nothing to undo
+   */
+  async undo() {
+    return this._effectHistory.undo((actors) =>
+      this._executeAsGM('restoreEffects', { actors })
+    );
+  }
+
+  /**
+   * Redoes the last effect operation undone by this user
+   *
+   * @returns {Promise<object | null>} a promise that resolves to the result of
+   * the GM socket function, or null if there was nothing to redo
+   */
+  async redo() {
+    return this._effectHistory.redo((actors) =>
+      this._executeAsGM('restoreEffects', { actors })
+    );
+  }
+
+  /**
+   * Executes an effect operation as the GM and records it so it can be undone
+   */
+  async _executeOperation(handler, ...args) {
+    const result = await this._executeAsGM(handler, ...args);
+    this._effectHistory.record(result);
+    return result;
+  }
+
+  /**
+   * Executes the socket function as the GM, falling back to the configured
+   * no GM behavior instead of rejecting if no GM is connected
+   */
+  async _executeAsGM(handler, ...args) {
+    let result;
+    try {
+      result = await this._socket.executeAsGM(handler, ...args);
+    } catch (error) {
+      if (error.name !== 'SocketlibNoGMConnectedError') throw error;
+
+      result = await this._executeWithoutGM(handler, args);
+    }
+
+    if (result?.reason === Constants.FAILURE_REASONS.UNAUTHORIZED) {
+      ui.notifications.warn(
+        game.i18n.localize('ConvenientEffects.Notifications.Unauthorized')
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Executes the request locally if the user owns every actor it modifies,
+   * otherwise queues it until a GM connects if the fallback allows it
+   */
+  async _executeWithoutGM(handler, args) {
+    const fallback = this._settings.noGmFallback;
+
+    if (fallback !== 'none' && this._ownsActors(handler, args)) {
+      return this._gmFunctions[handler](game.user.id, ...args);
+    }
+
+    if (fallback === 'ownedOrQueue') {
+      await this._pendingRequestsHandler.queueRequest({ handler, args });
+      return this._effectHelpers.createFailureResult(
+        Constants.FAILURE_REASONS.QUEUED
+      );
+    }
+
+    ui.notifications.error(
+      game.i18n.localize('ConvenientEffects.Notifications.NoGmConnected')
+    );
+    return this._effectHelpers.createFailureResult(
+      Constants.FAILURE_REASONS.NO_GM_CONNECTED
+    );
+  }
+
+  _ownsActors(handler, args) {
+    return this._getRequestUuids(handler, args).every(
+      (uuid) => this._foundryHelpers.getActorByUuid(uuid)?.isOwner
+    );
+  }
+
+  _getRequestUuids(handler, [params, options]) {
+    switch (handler) {
+      case 'toggleEffect':
+        return options.uuids;
+      case 'addEffects':
+      case 'removeEffects':
+        return params.operations.map(({ uuid }) => uuid);
+      case 'restoreEffects':
+        return params.actors.map(({ uuid }) => uuid);
+      default:
+        return [params.uuid];
+    }
+  }
+
+  /**
+   * Adds the defined effect to the provided actor UUID as the GM via sockets.
+   * When a player's request is relayed to the GM, the effect is rebuilt from
+   * the convenient effect with the same ID, so effects that are not defined
+   * can only be added this way by the GM or by owners of every actor.
    *
    * @param {object} params - the params for adding an effect
    * @param {object} params.effectData - the object containing all of the relevant effect data
    * @param {string} params.uuid - the UUID of the actor to add the effect to
    * @param {string} params.origin - the origin of the effect
    * @param {boolean} params.overlay - if the effect is an overlay or not
-   * @returns {Promise} a promise that resolves when the GM socket function completes
+   * @param {object} params.params - the values to fill in the parameters of
+   * the effect with, keyed by name. If undefined, the user is prompted for them.
+   * @returns {Promise<object>} a promise that resolves to the result of the GM socket function
    */
-  async addEffectWith({ effectData, uuid, origin, overlay }) {
+  async addEffectWith({ effectData, uuid, origin, overlay, params }) {
     let effect = this._effectHelpers.createActiveEffect({
       ...effectData,
       origin,
@@ -220,17 +1037,36 @@ export default class EffectInterface {
     const actor = this._foundryHelpers.getActorByUuid(uuid);
 
     if (!actor) {
-      ui.notifications.error(`Actor ${uuid} could not be found`);
-      return;
+      ui.notifications.error(
+        game.i18n.format('ConvenientEffects.Notifications.ActorNotFound', {
+          uuid,
+        })
+      );
+      return this._effectHelpers.createFailureResult(
+        Constants.FAILURE_REASONS.ACTOR_NOT_FOUND
+      );
     }
 
     if (this.hasNestedEffects(effect)) {
       effect = await this._getNestedEffectSelection(effect);
-      if (!effect) return; // dialog closed without selecting one
+      if (!effect) {
+        // dialog closed without selecting one
+        return this._effectHelpers.createFailureResult(
+          Constants.FAILURE_REASONS.CANCELLED
+        );
+      }
+    }
+
+    const activeEffectData = await this._getEffectData(effect, params);
+    if (!activeEffectData) {
+      // dialog closed without filling in the parameters
+      return this._effectHelpers.createFailureResult(
+        Constants.FAILURE_REASONS.CANCELLED
+      );
     }
 
-    return this._socket.executeAsGM('addEffect', {
-      effect: effect.toObject(),
+    return this._executeOperation('addEffect', {
+      effect: activeEffectData,
       uuid,
       origin,
       overlay,
@@ -264,12 +1100,10 @@ export default class EffectInterface {
   }
 
   async _getNestedEffectSelection(effect) {
-    const nestedEffectNames =
+    const nestedEffectIds =
       effect.getFlag(Constants.MODULE_ID, Constants.FLAGS.NESTED_EFFECTS) ?? [];
-    const nestedEffects = nestedEffectNames
-      .map((nestedEffect) =>
-        game.dfreds.effectInterface.findEffectByName(nestedEffect)
-      )
+    const nestedEffects = nestedEffectIds
+      .map((nestedEffect) => this.findEffect(nestedEffect))
       .filter((effect) => effect !== undefined);
 
     const content = await renderTemplate(
@@ -280,7 +1114,9 @@ export default class EffectInterface {
       {
         title: effect.name,
         content: content,
-        label: 'Select Effect',
+        label: game.i18n.localize(
+          'ConvenientEffects.Dialogs.NestedEffects.SelectEffect'
+        ),
         callback: (html) => {
           const htmlChoice = html.find('select[name="effect-choice"]').val();
           return htmlChoice;
@@ -290,26 +1126,34 @@ export default class EffectInterface {
       { width: 300 }
     );
 
-    return nestedEffects.find((nestedEffect) => nestedEffect.name == choice);
+    return nestedEffects.find(
+      (nestedEffect) => this._getEffectId(nestedEffect) == choice
+    );
   }
 
   /**
-   * Adds the given effect name to the status effects. Note that Foundry
+   * Adds the given effect to the status effects. Note that Foundry
    * needs to be refreshed to reflect the changes on the token HUD.
    *
-   * @param {string} effectName - the effect name to add as a status effect
+   * @param {string} effectName - the effect ID or name to add as a status effect
    */
   async addStatusEffect(effectName) {
-    await this._settings.addStatusEffect(effectName);
+    const effectId = this._getEffectId(this.findEffect(effectName));
+    if (!effectId) return;
+
+    await this._settings.addStatusEffect(effectId);
   }
 
   /**
-   * Removes the given effect name from the status effects. Note that Foundry
+   * Removes the given effect from the status effects. Note that Foundry
    * needs to be refreshed to reflect the changes on the token HUD.
    *
-   * @param {string} effectName - the effect name to remove as a status effect
+   * @param {string} effectName - the effect ID or name to remove as a status effect
    */
   async removeStatusEffect(effectName) {
-    await this._settings.removeStatusEffect(effectName);
+    const effectId = this._getEffectId(this.findEffect(effectName));
+    if (!effectId) return;
+
+    await this._settings.removeStatusEffect(effectId);
   }
 }
@@ -0,0 +1,266 @@
+import Constants from '../constants.js';
+import EffectHandler from './effect-handler.js';
+import EffectHelpers from './effect-helpers.js';
+import FoundryHelpers from '../util/foundry-helpers.js';
+import log from '../logger.js';
+
+/**
+ * Handles the effects auras give to the tokens within their radius. The
+ * active GM works out which tokens on each scene are in range of each aura,
+ * giving the effect to the tokens that entered and removing it from the
+ * tokens that left.
+ */
+export default class AuraHandler {
+  constructor() {
+    this._effectHandler = new EffectHandler();
+    this._effectHelpers = new EffectHelpers();
+    this._foundryHelpers = new FoundryHelpers();
+
+    // Refreshes are chained so one never sees the half-applied changes of
+    // another, and debounced while tokens are moved one after another, with
+    // the scenes to refresh collected in the meantime. A failed refresh is
+    // logged so it does not stop the ones after it.
+    this._refreshing = Promise.resolve();
+    this._scenesToRefresh = new Set();
+    this._refreshScenes = foundry.utils.debounce(() => {
+      const scenes = [...this._scenesToRefresh];
+      this._scenesToRefresh.clear();
+
+      for (const scene of scenes) {
+        this._refreshing = this._refreshing
+          .then(() => this._refreshAuras(scene))
+          .catch((error) => log(error));
+      }
+    }, 100);
+  }
+
+  /**
+   * Refreshes the auras on the given scenes
+   *
+   * @param {Scene[]} scenes - the scenes to refresh, every scene by default
+   */
+  refreshAuras(scenes = game.scenes.contents) {
+    if (!this._isAuraHandler) return;
+
+    for (const scene of scenes) {
+      this._scenesToRefresh.add(scene);
+    }
+    this._refreshScenes();
+  }
+
+  /**
+   * Refreshes the auras on the scene of a token that moved or changed
+   * disposition
+   *
+   * @param {TokenDocument} token - the token that was updated
+   * @param {object} changes - the changes to the token
+   */
+  onUpdateToken(token, changes) {
+    if (!('x' in changes || 'y' in changes || 'disposition' in changes)) {
+      return;
+    }
+
+    this.refreshAuras([token.parent]);
+  }
+
+  /**
+   * Refreshes the auras on the scene a token was added to or removed from
+   *
+   * @param {TokenDocument} token - the token that was created or deleted
+   */
+  onChangeToken(token) {
+    this.refreshAuras([token.parent]);
+  }
+
+  /**
+   * Refreshes the auras on the scenes of the actor an aura effect was added
+   * to, changed, or enabled on
+   *
+   * @param {ActiveEffect} effect - the effect that was created or updated
+   */
+  onChangeActiveEffect(effect) {
+    if (!this._effectHelpers.getAura(effect)) return;
+
+    this.refreshAuras(this._getScenesOf(effect.parent));
+  }
+
+  /**
+   * Removes every effect an aura gave once the aura effect is removed, from
+   * actors in any scene
+   *
+   * @param {ActiveEffect} effect - the effect that was deleted
+   */
+  onDeleteActiveEffect(effect) {
+    if (!this._isAuraHandler) return;
+    if (!this._effectHelpers.getAura(effect)) return;
+
+    this._refreshing = this._refreshing
+      .then(() => this._removeEffectsOfAura(effect.uuid))
+      .catch((error) => log(error));
+  }
+
+  get _isAuraHandler() {
+    return game.user === game.users.activeGM;
+  }
+
+  // The actor of an unlinked token is only on the scene of its token
+  _getScenesOf(actor) {
+    if (!(actor instanceof Actor)) return [];
+    if (actor.isToken) return [actor.token.parent];
+
+    return game.scenes.filter((scene) =>
+      scene.tokens.some(
+        (token) => token.actorLink && token.actorId === actor.id
+      )
+    );
+  }
+
+  async _removeEffectsOfAura(sourceUuid) {
+    const auraEffects = this._findAuraEffects(
+      this._foundryHelpers.getAllActors()
+    ).filter(
+      (effect) => this._effectHelpers.getAuraSource(effect) === sourceUuid
+    );
+    if (auraEffects.length === 0) return;
+
+    await this._effectHandler.removeAuraEffects(auraEffects);
+  }
+
+  async _refreshAuras(scene) {
+    if (!this._isAuraHandler || !game.scenes.has(scene.id)) return;
+
+    const tokens = scene.tokens.filter((token) => token.actor);
+    const auras = this._findAuras(tokens);
+
+    // The effects each actor should have, keyed by the UUID of their aura
+    const effectsInRange = new Map();
+    for (const token of tokens) {
+      for (const aura of auras) {
+        if (!this._isInRange(token, aura)) continue;
+
+        const sourceUuids = effectsInRange.get(token.actor) ?? new Set();
+        sourceUuids.add(aura.effect.uuid);
+        effectsInRange.set(token.actor, sourceUuids);
+      }
+    }
+
+    // Effects from auras outside of this scene are left alone, unless the
+    // aura is gone altogether
+    const sourcesInScene = new Set(auras.map((aura) => aura.effect.uuid));
+    const existingEffects = this._findAuraEffects(
+      this._foundryHelpers.getAllActors()
+    );
+    const staleEffects = existingEffects.filter((effect) => {
+      const sourceUuid = this._effectHelpers.getAuraSource(effect);
+      const source = this._foundryHelpers.getOriginDocument(sourceUuid);
+      if (!this._effectHelpers.getAura(source) || source.disabled) return true;
+
+      return (
+        sourcesInScene.has(sourceUuid) &&
+        !effectsInRange.get(effect.parent)?.has(sourceUuid)
+      );
+    });
+
+    if (staleEffects.length > 0) {
+      await this._effectHandler.removeAuraEffects(staleEffects);
+    }
+
+    const operations = [];
+    for (const [actor, sourceUuids] of effectsInRange) {
+      for (const sourceUuid of sourceUuids) {
+        const hasEffect = existingEffects.some(
+          (effect) =>
+            effect.parent === actor &&
+            this._effectHelpers.getAuraSource(effect) === sourceUuid
+        );
+        if (hasEffect) continue;
+
+        const aura = auras.find((aura) => aura.effect.uuid === sourceUuid);
+        const operation = this._createOperation(actor, aura);
+        if (operation) operations.push(operation);
+      }
+    }
+
+    if (operations.length > 0) {
+      await this._effectHandler.addEffects({
+        operations,
+        userId: game.user.id,
+        isSilent: true,
+      });
+    }
+  }
+
+  // A linked actor with several tokens radiates its auras from each of them
+  _findAuras(tokens) {
+    return tokens.flatMap((token) =>
+      token.actor.effects
+        .filter(
+          (effect) =>
+            this._effectHelpers.isConvenient(effect) &&
+            !effect.disabled &&
+            this._effectHelpers.getAura(effect)
+        )
+        .map((effect) => ({
+          token,
+          effect,
+          ...this._effectHelpers.getAura(effect),
+        }))
+    );
+  }
+
+  _findAuraEffects(actors) {
+    return actors.flatMap((actor) =>
+      actor.effects.filter((effect) =>
+        this._effectHelpers.getAuraSource(effect)
+      )
+    );
+  }
+
+  _isInRange(token, aura) {
+    if (token.actor === aura.token.actor) {
+      return !!aura.includeSelf && token === aura.token;
+    }
+
+    return (
+      this._matchesDisposition(token, aura) &&
+      this._foundryHelpers.getTokenDistance(aura.token, token) <= aura.radius
+    );
+  }
+
+  // Allies share the disposition of the aura's token, and enemies are on the
+  // opposite side, leaving neutral tokens out of both
+  _matchesDisposition(token, aura) {
+    switch (aura.disposition) {
+      case 'allies':
+        return token.disposition === aura.token.disposition;
+      case 'enemies':
+        return (
+          Math.sign(token.disposition) * Math.sign(aura.token.disposition) < 0
+        );
+      default:
+        return true;
+    }
+  }
+
+  // The effect comes from the same origin as its aura, or from the actor
+  // radiating it so references to the caster still resolve
+  _createOperation(actor, aura) {
+    const effect = game.dfreds.effectInterface.findEffectById(aura.effectId);
+    if (!effect) return null;
+
+    const effectData = effect.toObject();
+    this._effectHelpers.setParamValues(effectData);
+    foundry.utils.setProperty(
+      effectData,
+      `flags.${Constants.MODULE_ID}.${Constants.FLAGS.AURA_SOURCE}`,
+      aura.effect.uuid
+    );
+
+    return {
+      effect: effectData,
+      uuid: actor.uuid,
+      origin: aura.effect.origin || aura.effect.parent.uuid,
+      overlay: false,
+    };
+  }
+}
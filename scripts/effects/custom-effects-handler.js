@@ -1,3 +1,4 @@
+import Constants from '../constants.js';
 import EffectHelpers from './effect-helpers.js';
 import FoundryHelpers from '../util/foundry-helpers.js';
 import Settings from '../settings.js';
@@ -62,7 +63,7 @@ export default class CustomEffectsHandler {
   async createNewCustomEffect() {
     const item = await this._findOrCreateCustomEffectsItem();
     const newEffect = this._effectHelpers.createActiveEffect({
-      name: 'New Effect',
+      name: game.i18n.localize('ConvenientEffects.CustomEffects.NewEffect'),
       origin: item.uuid,
     });
 
@@ -116,14 +117,21 @@ export default class CustomEffectsHandler {
   }
 
   /**
-   * Duplicates an exisiting effect
+   * Duplicates an exisiting effect, giving the duplicate its own ID
    *
    * @param {ActiveEffect} effect - the effect to duplicate
    */
   async duplicateExistingEffect(effect) {
     const item = await this._findOrCreateCustomEffectsItem();
+    const effectData = effect.toObject();
+    foundry.utils.setProperty(
+      effectData,
+      `flags.${Constants.MODULE_ID}.${Constants.FLAGS.CE_EFFECT_ID}`,
+      foundry.utils.randomID()
+    );
+
     const effects = await item.createEmbeddedDocuments('ActiveEffect', [
-      effect,
+      this._effectHelpers.createActiveEffect({ ...effectData }),
     ]);
 
     effects[0].sheet.render(true);
@@ -156,17 +164,24 @@ export default class CustomEffectsHandler {
     const importPromise = new Promise((resolve, reject) => {
       new Dialog(
         {
-          title: `Import Data: ${item.name}`,
+          title: game.i18n.format(
+            'ConvenientEffects.Dialogs.ImportData.Title',
+            { name: item.name }
+          ),
           content: content,
           buttons: {
             import: {
               icon: '<i class="fas fa-file-import"></i>',
-              label: 'Import',
+              label: game.i18n.localize(
+                'ConvenientEffects.Dialogs.ImportData.Import'
+              ),
               callback: (html) => {
                 const form = html.find('form')[0];
                 if (!form.data.files.length) {
                   return ui.notifications.error(
-                    'You did not upload a data file!'
+                    game.i18n.localize(
+                      'ConvenientEffects.Notifications.NoDataFile'
+                    )
                   );
                 }
                 readTextFromFile(form.data.files[0]).then((json) => {
@@ -181,7 +196,7 @@ export default class CustomEffectsHandler {
             },
             no: {
               icon: '<i class="fas fa-times"></i>',
-              label: 'Cancel',
+              label: game.i18n.localize('ConvenientEffects.Dialogs.Cancel'),
             },
           },
           default: 'import',
@@ -208,7 +223,7 @@ export default class CustomEffectsHandler {
 
   async _createCustomEffectsItem() {
     const item = await CONFIG.Item.documentClass.create({
-      name: 'Custom Convenient Effects',
+      name: game.i18n.localize('ConvenientEffects.CustomEffects.ItemName'),
       img: 'modules/dfreds-convenient-effects/images/magic-palm.svg',
       type: 'base',
     });
@@ -1,7 +1,10 @@
+import ChatHandler from '../ui/chat-handler.js';
 import Constants from '../constants.js';
 import DynamicEffectsAdderDelegate from '../systems/dynamic-effects-adder-delegate.js';
 import EffectHelpers from './effect-helpers.js';
 import FoundryHelpers from '../util/foundry-helpers.js';
+import PermissionHandler from './permission-handler.js';
+import SaveRollerDelegate from '../systems/save-roller-delegate.js';
 import Settings from '../settings.js';
 import log from '../logger.js';
 
@@ -10,84 +13,545 @@ import log from '../logger.js';
  */
 export default class EffectHandler {
   constructor() {
+    this._chatHandler = new ChatHandler();
     this._effectHelpers = new EffectHelpers();
     this._foundryHelpers = new FoundryHelpers();
     this._dynamicEffectsAdderDelegate = new DynamicEffectsAdderDelegate();
+    this._permissionHandler = new PermissionHandler();
+    this._saveRollerDelegate = new SaveRollerDelegate();
     this._settings = new Settings();
   }
 
   /**
-   * Toggles an effect on or off by name on an actor by UUID
+   * Toggles an effect on or off by ID or name on an actor by UUID
    *
-   * @param {string} effectName - name of the effect to toggle
+   * @param {string} effectIdOrName - ID or name of the effect to toggle
    * @param {object} params - the effect parameters
    * @param {boolean} params.overlay - if the effect is an overlay or not
    * @param {string[]} params.uuids - UUIDS of the actors to toggle the effect on
+   * @param {object} params.params - the values to fill in the parameters of
+   * the effect with when it is added
+   * @param {string} params.userId - the ID of the user that made the request
+   * @returns {Promise<object>} the result with the created and deleted effect IDs per actor
    */
-  async toggleEffect(effectName, { overlay, uuids }) {
+  async toggleEffect(effectIdOrName, { overlay, uuids, params, userId }) {
+    const effect = game.dfreds.effectInterface.findEffect(effectIdOrName);
+
+    if (!effect) {
+      return this._effectHelpers.createFailureResult(
+        Constants.FAILURE_REASONS.EFFECT_NOT_FOUND
+      );
+    }
+
+    const addOperations = [];
+    const removeOperations = [];
+
+    const effectId = this._effectHelpers.getCeEffectId(effect);
+    const effectData = effect.toObject();
+    this._effectHelpers.setParamValues(effectData, params);
+
     for (const uuid of uuids) {
-      if (this.hasEffectApplied(effectName, uuid)) {
-        await this.removeEffect({ effectName, uuid });
+      if (this.hasEffectApplied(effectIdOrName, uuid)) {
+        removeOperations.push({ effectId, effectName: effect.name, uuid });
       } else {
-        let effect = game.dfreds.effectInterface.findEffectByName(effectName);
-        await this.addEffect({ effect: effect.toObject(), uuid, overlay });
+        addOperations.push({
+          effect: foundry.utils.deepClone(effectData),
+          uuid,
+          overlay,
+        });
       }
     }
+
+    const removeResult = await this.removeEffects({
+      operations: removeOperations,
+      userId,
+    });
+    const addResult = await this.addEffects({
+      operations: addOperations,
+      userId,
+    });
+
+    return this._effectHelpers.mergeResults(removeResult, addResult);
   }
 
   /**
    * Checks to see if any of the current active effects applied to the actor
-   * with the given UUID match the effect name and are a convenient effect
+   * with the given UUID match the effect and are a convenient effect
    *
-   * @param {string} effectName - the name of the effect to check
+   * @param {string} effectIdOrName - the ID or name of the effect to check
    * @param {string} uuid - the uuid of the actor to see if the effect is
    * applied to
    * @returns {boolean} true if the effect is applied, false otherwise
    */
-  hasEffectApplied(effectName, uuid) {
+  hasEffectApplied(effectIdOrName, uuid) {
     const actor = this._foundryHelpers.getActorByUuid(uuid);
+    const effectReference = this._getEffectReference(effectIdOrName);
+
     return actor?.effects?.some(
       (activeEffect) =>
         this._effectHelpers.isConvenient(activeEffect) &&
-        activeEffect?.name == effectName &&
+        this._effectHelpers.matchesEffect(activeEffect, effectReference) &&
         !activeEffect?.disabled
     );
   }
 
   /**
-   * Removes the effect with the provided name from an actor matching the
+   * Gets structured data about the convenient effects applied to the actor
+   * with the given UUID
+   *
+   * @param {string} uuid - the uuid of the actor to get the applied effects for
+   * @param {object} filters - optional filters for the applied effects
+   * @param {string} filters.effectName - only include effects with this ID or name
+   * @param {string} filters.folderId - only include effects defined in the
+   * folder with this ID, such as `conditions` or `custom`
+   * @param {string} filters.origin - only include effects with this origin
+   * @param {boolean} filters.includeDisabled - if disabled effects should be included
+   * @returns {object[]} the data for each applied convenient effect
+   */
+  getAppliedEffects(
+    uuid,
+    { effectName, folderId, origin, includeDisabled = true } = {}
+  ) {
+    const actor = this._foundryHelpers.getActorByUuid(uuid);
+    if (!actor) return [];
+
+    const convenientEffects = actor.effects.filter((activeEffect) =>
+      this._effectHelpers.isConvenient(activeEffect)
+    );
+    const effectReference = effectName
+      ? this._getEffectReference(effectName)
+      : null;
+
+    return convenientEffects
+      .filter(
+        (activeEffect) =>
+          (!effectReference ||
+            this._effectHelpers.matchesEffect(activeEffect, effectReference)) &&
+          (!folderId ||
+            this._effectHelpers.isInFolder(activeEffect, folderId)) &&
+          (!origin || activeEffect.origin == origin) &&
+          (includeDisabled || !activeEffect.disabled)
+      )
+      .map((activeEffect) =>
+        this._getAppliedEffectData(activeEffect, convenientEffects)
+      );
+  }
+
+  _getAppliedEffectData(activeEffect, convenientEffects) {
+    const duration = activeEffect.duration;
+    const parentEffect = convenientEffects.find((effect) =>
+      this._effectHelpers.isSubEffectOf(activeEffect, effect)
+    );
+    const subEffects = convenientEffects.filter((effect) =>
+      this._effectHelpers.isSubEffectOf(effect, activeEffect)
+    );
+
+    return {
+      id: activeEffect.id,
+      uuid: activeEffect.uuid,
+      effectId: this._effectHelpers.getCeEffectId(activeEffect) ?? null,
+      name: activeEffect.name,
+      origin: activeEffect.origin,
+      remainingRounds: this._getRemainingRounds(duration),
+      remainingSeconds: this._getRemainingSeconds(duration),
+      disabled: activeEffect.disabled,
+      overlay: !!activeEffect.getFlag('core', 'overlay'),
+      stacks: this._effectHelpers.getStacks(activeEffect),
+      maxStacks: this._effectHelpers.getMaxStacks(activeEffect),
+      paramValues: this._effectHelpers.getParamValues(activeEffect),
+      turnDuration: this._effectHelpers.getTurnDurationLabel(activeEffect),
+      parentEffectId: parentEffect?.id ?? null,
+      subEffectIds: subEffects.map((effect) => effect.id),
+    };
+  }
+
+  _getRemainingRounds(duration) {
+    if (duration.remaining === null || duration.remaining === undefined) {
+      return null;
+    }
+
+    return duration.type === 'turns'
+      ? duration.remaining
+      : duration.remaining / CONFIG.time.roundTime;
+  }
+
+  _getRemainingSeconds(duration) {
+    if (duration.remaining === null || duration.remaining === undefined) {
+      return null;
+    }
+
+    return duration.type === 'seconds'
+      ? duration.remaining
+      : duration.remaining * CONFIG.time.roundTime;
+  }
+
+  /**
+   * Removes the effect with the provided ID or name from an actor matching the
    * provided UUID
    *
    * @param {object} params - the effect parameters
-   * @param {string} params.effectName - the name of the effect to remove
+   * @param {string} params.effectId - the ID of the effect to remove
+   * @param {string} params.effectName - the name of the effect to remove, used
+   * for effects applied before IDs existed
    * @param {string} params.uuid - the uuid of the actor to remove the effect from
    * @param {string | undefined} params.origin - only removes the effect if the origin
    * matches. If undefined, removes any effect with the matching name
+   * @param {string} params.userId - the ID of the user that made the request
+   * @returns {Promise<object>} the result with the deleted effect IDs per actor
    */
-  async removeEffect({ effectName, uuid, origin }) {
-    const actor = this._foundryHelpers.getActorByUuid(uuid);
+  async removeEffect({ effectId, effectName, uuid, origin, userId }) {
+    return this.removeEffects({
+      operations: [{ effectId, effectName, uuid, origin }],
+      userId,
+    });
+  }
 
-    let effectToRemove;
+  /**
+   * Removes multiple effects from multiple actors, deleting all of the effects
+   * for a single actor at once. The `dfreds-convenient-effects.preRemoveEffect`
+   * hook is called for each removal and can return false to cancel it, and the
+   * `dfreds-convenient-effects.removeEffect` hook is called once it is deleted.
+   *
+   * @param {object} params - the effect parameters
+   * @param {object[]} params.operations - the removals to perform, each
+   * containing the `effectId`, `effectName`, `uuid`, and optional `origin` as described in
+   * `removeEffect` along with optional `metadata` passed to the hooks
+   * @param {string} params.userId - the ID of the user that made the request
+   * @returns {Promise<object>} the result with the deleted effect IDs per actor
+   */
+  async removeEffects({ operations, userId }) {
+    const isBatch = operations.length > 1;
+    const actorResults = [];
+    const removedEffectsByActor = [];
+    const concentrationEffects = [];
 
-    if (origin) {
-      effectToRemove = actor.effects.find(
-        (activeEffect) =>
-          this._effectHelpers.isConvenient(activeEffect) &&
-          activeEffect?.name == effectName &&
-          activeEffect?.origin == origin
+    for (const [uuid, actorOperations] of this._groupByUuid(operations)) {
+      const actorResult = this._effectHelpers.createActorResult(uuid);
+      actorResults.push(actorResult);
+
+      const actor = this._foundryHelpers.getActorByUuid(uuid);
+      if (!actor) {
+        this._addFailures(
+          actorResult,
+          actorOperations,
+          Constants.FAILURE_REASONS.ACTOR_NOT_FOUND
+        );
+        continue;
+      }
+
+      const user = this._getRequestingUser(userId);
+      const effectsToRemove = [];
+      const removals = [];
+      for (const {
+        effectId,
+        effectName,
+        origin,
+        metadata,
+      } of actorOperations) {
+        if (
+          !this._permissionHandler.canModifyEffect({
+            userId,
+            effectId,
+            effectName,
+            uuid,
+          })
+        ) {
+          actorResult.failures.push({
+            effectName,
+            reason: Constants.FAILURE_REASONS.UNAUTHORIZED,
+          });
+          continue;
+        }
+
+        const effectToRemove = this._findEffectToRemove({
+          actor,
+          effectId,
+          effectName,
+          origin,
+        });
+
+        if (!effectToRemove) {
+          actorResult.failures.push({
+            effectName,
+            reason: Constants.FAILURE_REASONS.NOT_APPLIED,
+          });
+          continue;
+        }
+
+        const hookData = {
+          effect: effectToRemove,
+          actor,
+          origin,
+          user,
+          metadata,
+        };
+
+        if (
+          Hooks.call(`${Constants.MODULE_ID}.preRemoveEffect`, hookData) ===
+          false
+        ) {
+          actorResult.failures.push({
+            effectName,
+            reason: Constants.FAILURE_REASONS.CANCELLED,
+          });
+          continue;
+        }
+
+        effectsToRemove.push(effectToRemove);
+        removals.push(hookData);
+      }
+
+      const effectsToDelete = this._findEffectsToDelete(actor, effectsToRemove);
+
+      if (effectsToDelete.length === 0) continue;
+      concentrationEffects.push(
+        ...effectsToDelete.filter((effect) =>
+          this._effectHelpers.getConcentration(effect)
+        )
       );
-    } else {
-      effectToRemove = actor.effects.find(
-        (activeEffect) =>
-          this._effectHelpers.isConvenient(activeEffect) &&
-          activeEffect?.name == effectName
+
+      const deletedEffectsData = effectsToDelete.map((effect) =>
+        effect.toObject()
+      );
+
+      const deletedEffects = await actor.deleteEmbeddedDocuments(
+        'ActiveEffect',
+        effectsToDelete.map((effect) => effect.id),
+        { [Constants.MODULE_ID]: { isBatch } }
+      );
+      log(
+        `Removed effects ${effectsToRemove
+          .map((effect) => effect.name)
+          .join(', ')} from ${actor.name} - ${actor.id}`
+      );
+
+      actorResult.deleted.push(...deletedEffects.map((effect) => effect.id));
+      actorResult.deletedEffects.push(...deletedEffectsData);
+      for (const hookData of removals) {
+        Hooks.callAll(`${Constants.MODULE_ID}.removeEffect`, hookData);
+      }
+
+      removedEffectsByActor.push({ actor, effects: effectsToRemove });
+    }
+
+    if (isBatch) {
+      await this._chatHandler.createChatForBatch({
+        effectsByActor: removedEffectsByActor,
+        reason: game.i18n.localize('ConvenientEffects.Chat.RemovedFrom'),
+        isCreateActiveEffect: false,
+      });
+    }
+
+    const concentrationResult = await this.removeConcentrationLinks(
+      concentrationEffects
+    );
+
+    return this._effectHelpers.mergeResults(
+      this._effectHelpers.createResult(actorResults),
+      concentrationResult
+    );
+  }
+
+  /**
+   * Removes the effects that Concentrating effects were maintaining from
+   * every actor they were applied to, in any scene
+   *
+   * @param {ActiveEffect[]} concentrationEffects - the Concentrating effects
+   * that ended
+   * @returns {Promise<object>} the result with the deleted effect IDs per actor
+   */
+  async removeConcentrationLinks(concentrationEffects) {
+    const effectsByActor = new Map();
+
+    for (const effectUuid of concentrationEffects.flatMap(
+      (effect) => this._effectHelpers.getConcentration(effect).effectUuids
+    )) {
+      const linkedEffect = fromUuidSync(effectUuid);
+      const actor = linkedEffect?.parent;
+      if (!(actor instanceof Actor)) continue; // already removed
+
+      effectsByActor.set(actor, [
+        ...(effectsByActor.get(actor) ?? []),
+        linkedEffect,
+      ]);
+    }
+
+    const actorResults = [];
+    for (const [actor, linkedEffects] of effectsByActor) {
+      const actorResult = this._effectHelpers.createActorResult(actor.uuid);
+      actorResults.push(actorResult);
+
+      const effectsToDelete = this._findEffectsToDelete(actor, linkedEffects);
+      const deletedEffectsData = effectsToDelete.map((effect) =>
+        effect.toObject()
+      );
+
+      await actor.deleteEmbeddedDocuments(
+        'ActiveEffect',
+        effectsToDelete.map((effect) => effect.id),
+        { [Constants.MODULE_ID]: { isBatch: false } }
+      );
+      log(
+        `Removed effects maintained by concentration from ${actor.name} - ${actor.id}`
+      );
+
+      actorResult.deleted.push(...effectsToDelete.map((effect) => effect.id));
+      actorResult.deletedEffects.push(...deletedEffectsData);
+    }
+
+    return this._effectHelpers.createResult(actorResults);
+  }
+
+  /**
+   * Removes effects whose duration has run out, summarizing them in a single
+   * chat message
+   *
+   * @param {ActiveEffect[]} expiredEffects - the expired effects to remove
+   * @returns {Promise<object>} the result with the deleted effect IDs per actor
+   */
+  async expireEffects(expiredEffects) {
+    return this._deleteEffects({
+      effects: expiredEffects,
+      reason: game.i18n.localize('ConvenientEffects.Chat.ExpiredFrom'),
+    });
+  }
+
+  /**
+   * Removes effects given by auras from the actors that left their range or
+   * whose aura ended. Like the aura adding them, this posts no chat message.
+   *
+   * @param {ActiveEffect[]} auraEffects - the effects given by auras to remove
+   * @returns {Promise<object>} the result with the deleted effect IDs per actor
+   */
+  async removeAuraEffects(auraEffects) {
+    return this._deleteEffects({
+      effects: auraEffects,
+      reason: game.i18n.localize('ConvenientEffects.Chat.RemovedFrom'),
+      isSilent: true,
+    });
+  }
+
+  // Like removals, the effects go along with their sub-effects, orphaned
+  // implied effects, and whatever their concentration maintained
+  async _deleteEffects({ effects, reason, isSilent = false }) {
+    const effectsByActor = new Map();
+    for (const effect of effects) {
+      effectsByActor.set(effect.parent, [
+        ...(effectsByActor.get(effect.parent) ?? []),
+        effect,
+      ]);
+    }
+
+    const actorResults = [];
+    const removedEffectsByActor = [];
+    const concentrationEffects = [];
+
+    for (const [actor, actorEffects] of effectsByActor) {
+      const actorResult = this._effectHelpers.createActorResult(actor.uuid);
+      actorResults.push(actorResult);
+
+      const effectsToDelete = this._findEffectsToDelete(actor, actorEffects);
+      concentrationEffects.push(
+        ...effectsToDelete.filter((effect) =>
+          this._effectHelpers.getConcentration(effect)
+        )
+      );
+
+      const deletedEffectsData = effectsToDelete.map((effect) =>
+        effect.toObject()
+      );
+
+      await actor.deleteEmbeddedDocuments(
+        'ActiveEffect',
+        effectsToDelete.map((effect) => effect.id),
+        { [Constants.MODULE_ID]: { isBatch: true, isSilent } }
+      );
+      log(
+        `Removed effects ${actorEffects
+          .map((effect) => effect.name)
+          .join(', ')} from ${actor.name} - ${actor.id}`
       );
+
+      actorResult.deleted.push(...effectsToDelete.map((effect) => effect.id));
+      actorResult.deletedEffects.push(...deletedEffectsData);
+      removedEffectsByActor.push({ actor, effects: actorEffects });
+    }
+
+    if (!isSilent) {
+      await this._chatHandler.createChatForBatch({
+        effectsByActor: removedEffectsByActor,
+        reason,
+        isCreateActiveEffect: false,
+      });
     }
 
-    if (!effectToRemove) return;
+    const concentrationResult = await this.removeConcentrationLinks(
+      concentrationEffects
+    );
+
+    return this._effectHelpers.mergeResults(
+      this._effectHelpers.createResult(actorResults),
+      concentrationResult
+    );
+  }
+
+  // Sub-effects are deleted along with their parent and implied effects along
+  // with the last effect implying them, so the result holds everything the
+  // removal took off of the actor
+  _findEffectsToDelete(actor, effectsToRemove) {
+    const effectsToDelete = [
+      ...new Set([
+        ...effectsToRemove,
+        ...this._findSubEffects(actor, effectsToRemove),
+      ]),
+    ];
+    const impliedEffects = this._effectHelpers.findOrphanedImpliedEffects(
+      actor,
+      effectsToDelete
+    );
+
+    return [
+      ...new Set([
+        ...effectsToDelete,
+        ...impliedEffects,
+        ...this._findSubEffects(actor, impliedEffects),
+      ]),
+    ];
+  }
 
-    await effectToRemove.delete();
-    log(`Removed effect ${effectName} from ${actor.name} - ${actor.id}`);
+  _findSubEffects(actor, parentEffects) {
+    const subEffects = actor.effects.filter(
+      (effect) =>
+        !parentEffects.includes(effect) &&
+        parentEffects.some((parentEffect) =>
+          this._effectHelpers.isSubEffectOf(effect, parentEffect)
+        )
+    );
+
+    return subEffects.length > 0
+      ? [...subEffects, ...this._findSubEffects(actor, subEffects)]
+      : [];
+  }
+
+  _findEffectToRemove({ actor, effectId, effectName, origin }) {
+    return actor.effects.find(
+      (activeEffect) =>
+        this._effectHelpers.isConvenient(activeEffect) &&
+        this._effectHelpers.matchesEffect(activeEffect, {
+          effectId,
+          effectName,
+        }) &&
+        (!origin || activeEffect?.origin == origin)
+    );
+  }
+
+  _getEffectReference(effectIdOrName) {
+    const effect = game.dfreds.effectInterface.findEffect(effectIdOrName);
+
+    return {
+      effectId: this._effectHelpers.getCeEffectId(effect),
+      effectName: effect?.name ?? effectIdOrName,
+    };
   }
 
   /**
@@ -99,25 +563,641 @@ export default class EffectHandler {
    * @param {string} params.uuid - the uuid of the actor to add the effect to
    * @param {string} params.origin - the origin of the effect
    * @param {boolean} params.overlay - if the effect is an overlay or not
+   * @param {object} params.metadata - additional contextual data for the application of the effect
+   * @param {string} params.userId - the ID of the user that made the request
+   * @returns {Promise<object>} the result with the created effect IDs per actor
+   */
+  async addEffect({ effect, uuid, origin, overlay, metadata, userId }) {
+    return this.addEffects({
+      operations: [{ effect, uuid, origin, overlay, metadata }],
+      userId,
+    });
+  }
+
+  /**
+   * Adds multiple effects to multiple actors, creating all of the effects for
+   * a single actor at once. The `dfreds-convenient-effects.preAddEffect` hook
+   * is called for each addition once its sub-effects and dynamic changes are
+   * resolved and can return false to cancel it, and the
+   * `dfreds-convenient-effects.addEffect` hook is called once it is created.
+   *
+   * @param {object} params - the effect parameters
+   * @param {object[]} params.operations - the additions to perform, each
+   * containing the `effect`, `uuid`, `origin`, `overlay`, and `metadata` as
+   * described in `addEffect`
+   * @param {string} params.userId - the ID of the user that made the request
+   * @param {boolean} params.isSilent - if no chat message is posted for the
+   * additions, such as for those made automatically
+   * @returns {Promise<object>} the result with the created effect IDs per actor
+   */
+  async addEffects({ operations, userId, isSilent = false }) {
+    const isBatch = operations.length > 1;
+    const actorResults = [];
+    const addedEffectsByActor = [];
+    const concentrationLinks = [];
+
+    for (const [uuid, actorOperations] of this._groupByUuid(operations)) {
+      const actorResult = this._effectHelpers.createActorResult(uuid);
+      actorResults.push(actorResult);
+
+      const actor = this._foundryHelpers.getActorByUuid(uuid);
+      if (!actor) {
+        this._addFailures(
+          actorResult,
+          actorOperations,
+          Constants.FAILURE_REASONS.ACTOR_NOT_FOUND
+        );
+        continue;
+      }
+
+      const user = this._getRequestingUser(userId);
+      const activeEffectsToApply = [];
+      const additions = [];
+
+      for (const {
+        effect: requestedEffect,
+        origin,
+        overlay,
+        metadata,
+      } of this._withoutReplacedOperations(actorOperations)) {
+        const effect = this._getTrustedEffectData(requestedEffect, userId);
+        if (!effect) {
+          actorResult.failures.push({
+            effectName: requestedEffect.name,
+            reason: Constants.FAILURE_REASONS.UNAUTHORIZED,
+          });
+          continue;
+        }
+
+        if (
+          !this._permissionHandler.canModifyEffect({
+            userId,
+            effectId: this._effectHelpers.getCeEffectId(effect),
+            effectName: effect.name,
+            uuid,
+          })
+        ) {
+          actorResult.failures.push({
+            effectName: effect.name,
+            reason: Constants.FAILURE_REASONS.UNAUTHORIZED,
+          });
+          continue;
+        }
+
+        if (this._effectHelpers.isImmune(effect, actor)) {
+          actorResult.failures.push({
+            effectName: effect.name,
+            reason: Constants.FAILURE_REASONS.IMMUNE,
+          });
+          continue;
+        }
+
+        const preparedEffects = await this._prepareEffects({
+          effect,
+          actor,
+          origin,
+          overlay,
+        });
+        const hookData = {
+          effect,
+          effects: preparedEffects,
+          actor,
+          origin,
+          user,
+          metadata,
+        };
+
+        if (
+          Hooks.call(`${Constants.MODULE_ID}.preAddEffect`, hookData) === false
+        ) {
+          actorResult.failures.push({
+            effectName: effect.name,
+            reason: Constants.FAILURE_REASONS.CANCELLED,
+          });
+          continue;
+        }
+
+        const exclusiveResult = await this._removeExclusiveEffects({
+          effect,
+          uuid,
+          userId,
+        });
+        for (const result of exclusiveResult.actors) {
+          actorResult.deleted.push(...result.deleted);
+          actorResult.deletedEffects.push(...result.deletedEffects);
+        }
+
+        // The effect is not added next to an effect it should have replaced
+        if (!exclusiveResult.success) {
+          actorResult.failures.push({
+            effectName: effect.name,
+            reason: exclusiveResult.reason,
+          });
+          continue;
+        }
+
+        additions.push({
+          hookData,
+          start: activeEffectsToApply.length,
+          count: preparedEffects.length,
+        });
+        activeEffectsToApply.push(...preparedEffects);
+      }
+
+      if (activeEffectsToApply.length === 0) continue;
+
+      // The IDs are kept so sub-effects stay linked to their parent
+      const createdEffects = await actor.createEmbeddedDocuments(
+        'ActiveEffect',
+        activeEffectsToApply,
+        { keepId: true, [Constants.MODULE_ID]: { isBatch, isSilent } }
+      );
+      log(
+        `Added effects ${activeEffectsToApply
+          .map((effect) => effect.name)
+          .join(', ')} to ${actor.name} - ${actor.id}`
+      );
+
+      await this._dynamicEffectsAdderDelegate.applyDynamicChanges(
+        createdEffects,
+        actor
+      );
+
+      actorResult.created.push(...createdEffects.map((effect) => effect.id));
+      actorResult.createdEffects.push(
+        ...createdEffects.map((effect) => effect.toObject())
+      );
+      for (const { hookData, start, count } of additions) {
+        Hooks.callAll(`${Constants.MODULE_ID}.addEffect`, {
+          ...hookData,
+          createdEffects: createdEffects.slice(start, start + count),
+        });
+
+        if (
+          hookData.origin &&
+          this._effectHelpers.requiresConcentration(hookData.effect)
+        ) {
+          concentrationLinks.push({
+            origin: hookData.origin,
+            effectId: this._effectHelpers.getCeEffectId(hookData.effect),
+            effectUuid: createdEffects[start].uuid,
+          });
+        }
+      }
+
+      addedEffectsByActor.push({ actor, effects: createdEffects });
+    }
+
+    if (isBatch && !isSilent) {
+      await this._chatHandler.createChatForBatch({
+        effectsByActor: addedEffectsByActor,
+        reason: game.i18n.localize('ConvenientEffects.Chat.AppliedTo'),
+        isCreateActiveEffect: true,
+      });
+    }
+
+    const concentrationResult = await this._linkConcentration({
+      links: concentrationLinks,
+      userId,
+    });
+
+    return this._effectHelpers.mergeResults(
+      this._effectHelpers.createResult(actorResults),
+      concentrationResult
+    );
+  }
+
+  // Puts Concentrating on the caster of each concentration effect and links
+  // it to every instance of the effect. A caster already concentrating on
+  // something else stops, removing everything that was linked to it.
+  async _linkConcentration({ links, userId }) {
+    const concentratingEffect =
+      game.dfreds.effectInterface.findEffectById('ce-concentrating');
+    if (!concentratingEffect || links.length === 0) {
+      return this._effectHelpers.createResult([]);
+    }
+
+    const results = [];
+    const linksBySource = links.reduce((groups, link) => {
+      const key = `${link.origin}|${link.effectId}`;
+      return groups.set(key, [...(groups.get(key) ?? []), link]);
+    }, new Map());
+
+    for (const sourceLinks of linksBySource.values()) {
+      const { origin, effectId } = sourceLinks[0];
+      const effectUuids = sourceLinks.map((link) => link.effectUuid);
+      const caster = this._foundryHelpers.getActorByOrigin(origin);
+      if (!caster) continue;
+
+      const currentConcentration = this._findEffectToRemove({
+        actor: caster,
+        effectId: 'ce-concentrating',
+        effectName: concentratingEffect.name,
+      });
+      const concentration =
+        currentConcentration &&
+        this._effectHelpers.getConcentration(currentConcentration);
+
+      // More instances of the same effect join the current concentration
+      if (
+        concentration?.origin === origin &&
+        concentration.effectId === effectId
+      ) {
+        const actorResult = this._effectHelpers.createActorResult(caster.uuid);
+        const before = currentConcentration.toObject();
+        await currentConcentration.setFlag(
+          Constants.MODULE_ID,
+          Constants.FLAGS.CONCENTRATION,
+          {
+            ...concentration,
+            effectUuids: [...concentration.effectUuids, ...effectUuids],
+          }
+        );
+
+        actorResult.updated.push(currentConcentration.id);
+        actorResult.updatedEffects.push({
+          before,
+          after: currentConcentration.toObject(),
+        });
+        results.push(this._effectHelpers.createResult([actorResult]));
+        continue;
+      }
+
+      if (currentConcentration) {
+        results.push(
+          await this.removeEffects({
+            operations: [
+              {
+                effectId: 'ce-concentrating',
+                effectName: currentConcentration.name,
+                uuid: caster.uuid,
+              },
+            ],
+            userId,
+          })
+        );
+      }
+
+      const concentratingData = concentratingEffect.toObject();
+      foundry.utils.setProperty(
+        concentratingData,
+        `flags.${Constants.MODULE_ID}.${Constants.FLAGS.CONCENTRATION}`,
+        { origin, effectId, effectUuids }
+      );
+      results.push(
+        await this.addEffect({
+          effect: concentratingData,
+          uuid: caster.uuid,
+          origin,
+          userId,
+        })
+      );
+    }
+
+    return this._effectHelpers.mergeResults(...results);
+  }
+
+  /**
+   * Changes the number of stacks of a stackable effect on an actor. Adding a
+   * stack to an effect that is not applied adds it, the count is capped at the
+   * max stacks of the effect, and removing the last stack removes it.
+   *
+   * @param {object} params - the effect parameters
+   * @param {object} params.effect - the object form of the ActiveEffect to change
+   * @param {string} params.uuid - the uuid of the actor to change the stacks on
+   * @param {number} params.delta - the number of stacks to add, or remove if negative
+   * @param {string} params.origin - the origin of the effect
+   * @param {boolean} params.overlay - if the effect is an overlay when it is added
+   * @param {string} params.userId - the ID of the user that made the request
+   * @returns {Promise<object>} the result with the created, updated, and deleted effect IDs per actor
    */
-  async addEffect({ effect, uuid, origin, overlay }) {
+  async changeEffectStacks({ effect, uuid, delta, origin, overlay, userId }) {
+    const effectId = this._effectHelpers.getCeEffectId(effect);
     const actor = this._foundryHelpers.getActorByUuid(uuid);
-    const activeEffectsToApply = [];
+    const appliedEffect = actor
+      ? this._findEffectToRemove({
+          actor,
+          effectId,
+          effectName: effect.name,
+          origin,
+        })
+      : null;
+
+    if (!appliedEffect) {
+      if (delta <= 0) {
+        return this.removeEffect({
+          effectId,
+          effectName: effect.name,
+          uuid,
+          origin,
+          userId,
+        });
+      }
+
+      const stackedEffect = foundry.utils.deepClone(effect);
+      foundry.utils.setProperty(
+        stackedEffect,
+        `flags.${Constants.MODULE_ID}.${Constants.FLAGS.STACKS}`,
+        Math.min(delta, this._effectHelpers.getMaxStacks(effect))
+      );
+
+      return this.addEffect({
+        effect: stackedEffect,
+        uuid,
+        origin,
+        overlay,
+        userId,
+      });
+    }
+
+    const stacks = Math.min(
+      this._effectHelpers.getStacks(appliedEffect) + delta,
+      this._effectHelpers.getMaxStacks(appliedEffect)
+    );
+
+    if (stacks <= 0) {
+      return this.removeEffect({
+        effectId,
+        effectName: effect.name,
+        uuid,
+        origin,
+        userId,
+      });
+    }
+
+    const actorResult = this._effectHelpers.createActorResult(uuid);
+
+    if (
+      !this._permissionHandler.canModifyEffect({
+        userId,
+        effectId: this._effectHelpers.getCeEffectId(appliedEffect),
+        effectName: effect.name,
+        uuid,
+      })
+    ) {
+      actorResult.failures.push({
+        effectName: effect.name,
+        reason: Constants.FAILURE_REASONS.UNAUTHORIZED,
+      });
+      return this._effectHelpers.createResult([actorResult]);
+    }
+
+    if (stacks !== this._effectHelpers.getStacks(appliedEffect)) {
+      const before = appliedEffect.toObject();
+      await appliedEffect.setFlag(
+        Constants.MODULE_ID,
+        Constants.FLAGS.STACKS,
+        stacks
+      );
+      log(
+        `Changed stacks of ${appliedEffect.name} to ${stacks} on ${actor.name} - ${actor.id}`
+      );
+
+      actorResult.updated.push(appliedEffect.id);
+      actorResult.updatedEffects.push({
+        before,
+        after: appliedEffect.toObject(),
+      });
+    }
+
+    return this._effectHelpers.createResult([actorResult]);
+  }
+
+  /**
+   * Restores actors to an earlier state by deleting the effects with the given
+   * IDs and recreating the given effects with their original IDs. Given effects
+   * that still exist are updated back to the given data instead. This is how
+   * effect operations are undone and redone.
+   *
+   * @param {object} params - the restore parameters
+   * @param {object[]} params.actors - the actors to restore, each containing
+   * the `uuid`, the `effectIds` to delete, and the `effects` to recreate
+   * @param {string} params.userId - the ID of the user that made the request
+   * @returns {Promise<object>} the result with the created and deleted effect IDs per actor
+   */
+  async restoreEffects({ actors, userId }) {
+    const actorResults = [];
+    const restoredEffectUuids = this._getRestoredEffectUuids(actors);
+
+    for (const { uuid, effectIds, effects } of actors) {
+      const actorResult = this._effectHelpers.createActorResult(uuid);
+      actorResults.push(actorResult);
+
+      const actor = this._foundryHelpers.getActorByUuid(uuid);
+      if (!actor) {
+        this._addFailures(
+          actorResult,
+          effects.map((effect) => ({ effect })),
+          Constants.FAILURE_REASONS.ACTOR_NOT_FOUND
+        );
+        continue;
+      }
+
+      const restoredIds = effects.map((effect) => effect._id);
+      const effectsToDelete = effectIds
+        .filter((effectId) => !restoredIds.includes(effectId))
+        .map((effectId) => actor.effects.get(effectId))
+        .filter((effect) => effect);
+
+      const restoredEffects = [];
+      const forgedEffects = [];
+      for (const effect of effects) {
+        const restoredEffect = await this._getTrustedRestoreData({
+          effect,
+          effects,
+          actor,
+          userId,
+          restoredEffectUuids,
+        });
+        if (restoredEffect) {
+          restoredEffects.push(restoredEffect);
+        } else {
+          forgedEffects.push(effect);
+        }
+      }
+
+      const effectsToCreate = restoredEffects.filter(
+        (effect) => !actor.effects.has(effect._id)
+      );
+      const effectsToUpdate = restoredEffects.filter((effect) =>
+        actor.effects.has(effect._id)
+      );
+
+      const unauthorizedEffects = [
+        ...forgedEffects,
+        ...effectsToDelete,
+        ...effectsToCreate,
+        ...effectsToUpdate,
+      ].filter(
+        (effect) =>
+          forgedEffects.includes(effect) ||
+          !this._permissionHandler.canModifyEffect({
+            userId,
+            effectId: this._effectHelpers.getCeEffectId(effect),
+            effectName: effect.name,
+            uuid,
+          })
+      );
+
+      if (unauthorizedEffects.length > 0) {
+        this._addFailures(
+          actorResult,
+          unauthorizedEffects.map((effect) => ({ effect })),
+          Constants.FAILURE_REASONS.UNAUTHORIZED
+        );
+        continue;
+      }
+
+      if (effectsToDelete.length > 0) {
+        const deletedEffectsData = effectsToDelete.map((effect) =>
+          effect.toObject()
+        );
+        await actor.deleteEmbeddedDocuments(
+          'ActiveEffect',
+          effectsToDelete.map((effect) => effect.id),
+          { [Constants.MODULE_ID]: { isBatch: false } }
+        );
+
+        actorResult.deleted.push(...effectsToDelete.map((effect) => effect.id));
+        actorResult.deletedEffects.push(...deletedEffectsData);
+      }
 
-    activeEffectsToApply.push(effect);
+      if (effectsToCreate.length > 0) {
+        const createdEffects = await actor.createEmbeddedDocuments(
+          'ActiveEffect',
+          effectsToCreate,
+          { keepId: true }
+        );
 
-    if (effect.name.startsWith('Exhaustion')) {
-      await this._removeAllExhaustionEffects(uuid);
+        actorResult.created.push(...createdEffects.map((effect) => effect.id));
+        actorResult.createdEffects.push(
+          ...createdEffects.map((effect) => effect.toObject())
+        );
+      }
+
+      for (const effectData of effectsToUpdate) {
+        const effect = actor.effects.get(effectData._id);
+        const before = effect.toObject();
+        await effect.update(effectData);
+
+        actorResult.updated.push(effect.id);
+        actorResult.updatedEffects.push({ before, after: effect.toObject() });
+      }
+
+      log(`Restored effects on ${actor.name} - ${actor.id}`);
     }
 
-    if (effect.name == 'Unconscious') {
-      activeEffectsToApply.push(this._getProneEffect());
+    return this._effectHelpers.createResult(actorResults);
+  }
+
+  /**
+   * Computes the effects that adding the given effect to an actor would create
+   * and how the actor data would change, without writing anything
+   *
+   * @param {object} params - the effect parameters
+   * @param {object} params.effect - the object form of an ActiveEffect to preview
+   * @param {string} params.uuid - the uuid of the actor to preview the effect on
+   * @param {string} params.origin - the origin of the effect
+   * @returns {Promise<object>} the `effects` that would be created, the names
+   * of the `replacedEffects` that would be removed, and the `changes` to the
+   * actor data, each with the `key` and the values `before` and `after`
+   */
+  async previewEffect({ effect, uuid, origin }) {
+    const actor = this._foundryHelpers.getActorByUuid(uuid);
+    const effects = await this._prepareEffects({
+      effect,
+      actor,
+      origin,
+      isPreview: true,
+    });
+    const replacedEffects = this._findExclusiveEffects(actor, effect);
+
+    const replacedEffectIds = replacedEffects.map(
+      (replacedEffect) => replacedEffect.id
+    );
+    const previewActor = actor.clone(
+      {
+        effects: [
+          ...actor.effects
+            .filter(
+              (activeEffect) => !replacedEffectIds.includes(activeEffect.id)
+            )
+            .map((activeEffect) => activeEffect.toObject()),
+          ...effects,
+        ],
+      },
+      { keepId: true }
+    );
+
+    const keys = new Set(
+      effects.flatMap((effectData) =>
+        effectData.changes.map((change) => change.key)
+      )
+    );
+    const changes = [...keys]
+      .map((key) => ({
+        key,
+        before: foundry.utils.getProperty(actor, key),
+        after: foundry.utils.getProperty(previewActor, key),
+      }))
+      .filter(
+        ({ before, after }) => before !== undefined || after !== undefined
+      );
+
+    return {
+      effects,
+      replacedEffects: replacedEffects.map(
+        (replacedEffect) => replacedEffect.name
+      ),
+      changes,
+    };
+  }
+
+  /**
+   * Prepares the effect for the given actor, returning it along with any
+   * effects that should be applied alongside it. When previewing, nothing
+   * outside of the returned effects is modified.
+   */
+  async _prepareEffects({
+    effect,
+    actor,
+    origin,
+    overlay,
+    isPreview = false,
+    parentEffectId = null,
+    preparedEffectIds = new Set(),
+  }) {
+    const activeEffectsToApply = [effect];
+    const effectId = this._effectHelpers.getCeEffectId(effect);
+    preparedEffectIds.add(effectId);
+
+    // The ID is chosen up front so the effects applied along with this one
+    // can link to it before it is created
+    effect._id = foundry.utils.randomID();
+    if (parentEffectId) {
+      foundry.utils.setProperty(
+        effect,
+        `flags.${Constants.MODULE_ID}.${Constants.FLAGS.PARENT_EFFECT_ID}`,
+        parentEffectId
+      );
     }
 
     if (origin) {
       effect.origin = origin;
     }
 
+    // References to the caster are frozen when the effect is applied. An
+    // effect without an origin actor was applied by the actor to itself.
+    const originActor = this._foundryHelpers.getActorByOrigin(origin);
+    const rollData = (originActor ?? actor).getRollData();
+    effect.changes = effect.changes.map((change) =>
+      this._effectHelpers.resolveRollData(change, rollData)
+    );
+
+    this._trackTurnDuration({ effect, actor, originActor });
+    this._resolveSaveDc({ effect, origin });
+    this._trackRecurringDamage(effect);
+
     let coreFlags = {
       core: {
         overlay,
@@ -126,37 +1206,427 @@ export default class EffectHandler {
     effect.flags = foundry.utils.mergeObject(effect.flags, coreFlags);
 
     if (effect.flags[Constants.MODULE_ID]?.[Constants.FLAGS.IS_DYNAMIC]) {
-      await this._dynamicEffectsAdderDelegate.addDynamicEffects(effect, actor);
+      await this._dynamicEffectsAdderDelegate.addDynamicEffects(effect, actor, {
+        isPreview,
+      });
     }
 
-    await actor.createEmbeddedDocuments('ActiveEffect', activeEffectsToApply);
-    log(`Added effect ${effect.name} to ${actor.name} - ${actor.id}`);
-
     const subEffects =
-      effect.flags[Constants.MODULE_ID]?.[Constants.FLAGS.SUB_EFFECTS];
-    if (subEffects) {
-      // Apply all sub-effects with the original effect being the origin
-      for (const subEffect of subEffects) {
-        await game.dfreds.effectInterface.addEffectWith({
-          effectData: subEffect,
-          uuid,
-          origin: this._effectHelpers.getId(effect.name),
-        });
+      effect.flags[Constants.MODULE_ID]?.[Constants.FLAGS.SUB_EFFECTS] ?? [];
+
+    // Apply all sub-effects linked to this effect and from the same origin
+    for (const subEffect of subEffects) {
+      const subEffectData = this._getSubEffectData(subEffect, origin);
+      if (!subEffectData) continue;
+
+      // Custom effects that are sub-effects of each other are applied once
+      if (
+        typeof subEffect === 'string' &&
+        preparedEffectIds.has(this._effectHelpers.getCeEffectId(subEffectData))
+      ) {
+        continue;
+      }
+
+      activeEffectsToApply.push(
+        ...(await this._prepareEffects({
+          effect: subEffectData,
+          actor,
+          origin,
+          isPreview,
+          parentEffectId: effect._id,
+          preparedEffectIds,
+        }))
+      );
+    }
+
+    for (const {
+      effectId: impliedEffectId,
+      removeWithSource,
+      overlay,
+    } of this._effectHelpers.getImpliedEffects(effect)) {
+      // Effects already on the actor or already being applied are not
+      // applied again, which also stops rules that imply each other
+      if (
+        preparedEffectIds.has(impliedEffectId) ||
+        this.hasEffectApplied(impliedEffectId, actor.uuid)
+      ) {
+        continue;
+      }
+
+      const impliedEffect =
+        game.dfreds.effectInterface.findEffectById(impliedEffectId);
+      if (!impliedEffect) continue;
+
+      const impliedEffectData = impliedEffect.toObject();
+      if (removeWithSource) {
+        foundry.utils.setProperty(
+          impliedEffectData,
+          `flags.${Constants.MODULE_ID}.${Constants.FLAGS.IMPLIED_BY}`,
+          effect._id
+        );
+      }
+
+      activeEffectsToApply.push(
+        ...(await this._prepareEffects({
+          effect: impliedEffectData,
+          actor,
+          origin,
+          overlay: !!overlay,
+          isPreview,
+          preparedEffectIds,
+        }))
+      );
+    }
+
+    return activeEffectsToApply;
+  }
+
+  // Sub-effects chosen in the effect config are stored by their convenient
+  // effect ID, while the built-in definitions and older custom effects hold
+  // the full effect data
+  _getSubEffectData(subEffect, origin) {
+    if (typeof subEffect === 'string') {
+      const effect = game.dfreds.effectInterface.findEffect(subEffect);
+      if (!effect) return null;
+
+      return { ...effect.toObject(), origin };
+    }
+
+    return this._effectHelpers
+      .createActiveEffect({ ...subEffect, origin })
+      .toObject();
+  }
+
+  // A turn duration is tracked from the turn the effect was applied on until
+  // the turn of the combatant it is relative to
+  _trackTurnDuration({ effect, actor, originActor }) {
+    const turnDuration = this._effectHelpers.getTurnDuration(effect);
+    const combat = game.combat;
+    if (!turnDuration || !combat?.started) return;
+
+    const combatant = this._foundryHelpers.getCombatant(
+      turnDuration.of === 'origin' ? originActor : actor,
+      combat
+    );
+    if (!combatant) return;
+
+    foundry.utils.setProperty(
+      effect,
+      `flags.${Constants.MODULE_ID}.${Constants.FLAGS.TURN_DURATION}`,
+      {
+        ...turnDuration,
+        combatId: combat.id,
+        combatantId: combatant.id,
+        round: combat.round,
+        turn: combat.turn,
+      }
+    );
+  }
+
+  // Like other references to the caster, the DC of a recurring save is
+  // frozen when the effect is applied
+  _resolveSaveDc({ effect, origin }) {
+    const recurringSave = this._effectHelpers.getRecurringSave(effect);
+    if (!recurringSave || Number.isNumeric(recurringSave.dc)) return;
+
+    foundry.utils.setProperty(
+      effect,
+      `flags.${Constants.MODULE_ID}.${Constants.FLAGS.RECURRING_SAVE}`,
+      {
+        ...recurringSave,
+        dc: this._saveRollerDelegate.getSaveDc(origin),
+      }
+    );
+  }
+
+  // Damage over time is only dealt on turns after the one it was applied on
+  _trackRecurringDamage(effect) {
+    const recurringDamage = this._effectHelpers.getRecurringDamage(effect);
+    const combat = game.combat;
+    if (!recurringDamage || !combat?.started) return;
+
+    foundry.utils.setProperty(
+      effect,
+      `flags.${Constants.MODULE_ID}.${Constants.FLAGS.RECURRING_DAMAGE}`,
+      {
+        ...recurringDamage,
+        combatId: combat.id,
+        round: combat.round,
+        turn: combat.turn,
+      }
+    );
+  }
+
+  // Effect data sent by a player is rebuilt from the definition with the same
+  // ID, so neither the ID checked for permissions nor the changes can be
+  // forged. Only the filled in parameters, the stack count, and links to the
+  // effects a concentration maintains that the player may modify are kept.
+  _getTrustedEffectData(effect, userId, { restoredEffectUuids } = {}) {
+    if (this._isTrustedUser(userId)) return effect;
+
+    const definition = game.dfreds.effectInterface.findEffectById(
+      this._effectHelpers.getCeEffectId(effect)
+    );
+    if (!definition) return null;
+
+    const effectData = definition.toObject();
+    this._effectHelpers.setParamValues(
+      effectData,
+      this._effectHelpers.getParamValues(effect)
+    );
+    foundry.utils.setProperty(
+      effectData,
+      `flags.${Constants.MODULE_ID}.${Constants.FLAGS.STACKS}`,
+      Math.clamped(
+        this._effectHelpers.getStacks(effect),
+        1,
+        this._effectHelpers.getMaxStacks(definition)
+      )
+    );
+
+    const concentration = this._effectHelpers.getConcentration(effect);
+    if (concentration) {
+      foundry.utils.setProperty(
+        effectData,
+        `flags.${Constants.MODULE_ID}.${Constants.FLAGS.CONCENTRATION}`,
+        {
+          origin: concentration.origin,
+          effectId: concentration.effectId,
+          effectUuids: (concentration.effectUuids ?? []).filter((effectUuid) =>
+            this._isConcentrationLink({
+              effectUuid,
+              concentration,
+              userId,
+              restoredEffectUuids,
+            })
+          ),
+        }
+      );
+    }
+
+    return effectData;
+  }
+
+  // Restored effects are prepared again from their definition, or from the
+  // definition of the effect they were a sub-effect of, keeping only the state
+  // they had while applied from the player's data
+  async _getTrustedRestoreData({
+    effect,
+    effects,
+    actor,
+    userId,
+    restoredEffectUuids,
+  }) {
+    if (this._isTrustedUser(userId)) return effect;
+
+    const restoredEffect = await this._prepareTrustedEffect({
+      effect,
+      effects,
+      actor,
+      userId,
+      restoredEffectUuids,
+    });
+    if (!restoredEffect) return null;
+
+    restoredEffect._id = effect._id;
+    restoredEffect.disabled = !!effect.disabled;
+    restoredEffect.duration = effect.duration;
+    for (const key of this._restoredStateKeys) {
+      const path = `flags.${Constants.MODULE_ID}.${key}`;
+      const value = foundry.utils.getProperty(effect, path);
+      if (value !== undefined) {
+        foundry.utils.setProperty(restoredEffect, path, value);
       }
     }
+
+    return restoredEffect;
+  }
+
+  async _prepareTrustedEffect({
+    effect,
+    effects,
+    actor,
+    userId,
+    restoredEffectUuids,
+  }) {
+    const trustedEffect = this._getTrustedEffectData(effect, userId, {
+      restoredEffectUuids,
+    });
+    if (trustedEffect) {
+      const [preparedEffect] = await this._prepareEffects({
+        effect: trustedEffect,
+        actor,
+        origin: effect.origin,
+        overlay: !!effect.flags?.core?.overlay,
+        isPreview: true,
+      });
+      return preparedEffect;
+    }
+
+    // Sub-effects defined inline have no definition of their own
+    const parentEffectId = this._effectHelpers.getParentEffectId(effect);
+    const parentEffect =
+      effects.find((otherEffect) => otherEffect._id === parentEffectId) ??
+      actor.effects.get(parentEffectId)?.toObject();
+    const trustedParent =
+      parentEffect && this._getTrustedEffectData(parentEffect, userId);
+    if (!trustedParent) return null;
+
+    const [, ...preparedSubEffects] = await this._prepareEffects({
+      effect: trustedParent,
+      actor,
+      origin: parentEffect.origin,
+      overlay: false,
+      isPreview: true,
+    });
+    return (
+      preparedSubEffects.find(
+        (subEffect) =>
+          this._effectHelpers.getParentEffectId(subEffect) ===
+            trustedParent._id && subEffect.name === effect.name
+      ) ?? null
+    );
+  }
+
+  get _restoredStateKeys() {
+    const { FLAGS } = Constants;
+    return [
+      FLAGS.PARENT_EFFECT_ID,
+      FLAGS.IMPLIED_BY,
+      FLAGS.AURA_SOURCE,
+      `${FLAGS.TURN_DURATION}.combatId`,
+      `${FLAGS.TURN_DURATION}.combatantId`,
+      `${FLAGS.TURN_DURATION}.round`,
+      `${FLAGS.TURN_DURATION}.turn`,
+      `${FLAGS.RECURRING_SAVE}.successCount`,
+      `${FLAGS.RECURRING_DAMAGE}.combatId`,
+      `${FLAGS.RECURRING_DAMAGE}.round`,
+      `${FLAGS.RECURRING_DAMAGE}.turn`,
+      `${FLAGS.RECURRING_DAMAGE}.lastRound`,
+    ];
+  }
+
+  // Removing a concentration removes what it maintains as the GM, so a link
+  // must be to an instance of the concentrated effect the player may modify
+  // themselves. Links to effects that are gone are only kept if they are
+  // restored in the same request, where they are checked on their own.
+  _isConcentrationLink({
+    effectUuid,
+    concentration: { effectId, origin },
+    userId,
+    restoredEffectUuids = new Set(),
+  }) {
+    const linkedEffect = this._foundryHelpers.getOriginDocument(effectUuid);
+    if (!linkedEffect) return restoredEffectUuids.has(effectUuid);
+
+    return (
+      linkedEffect instanceof ActiveEffect &&
+      linkedEffect.parent instanceof Actor &&
+      this._effectHelpers.getCeEffectId(linkedEffect) === effectId &&
+      linkedEffect.origin === origin &&
+      this._permissionHandler.canModifyEffect({
+        userId,
+        effectId,
+        effectName: linkedEffect.name,
+        uuid: linkedEffect.parent.uuid,
+      })
+    );
+  }
+
+  _getRestoredEffectUuids(actors) {
+    return new Set(
+      actors.flatMap(({ uuid, effects }) => {
+        const actor = this._foundryHelpers.getActorByUuid(uuid);
+        if (!actor) return [];
+
+        return effects.map(
+          (effect) => `${actor.uuid}.ActiveEffect.${effect._id}`
+        );
+      })
+    );
   }
 
-  _getProneEffect() {
-    let proneActiveEffectData =
-      game.dfreds.effectInterface.findEffectByName('Prone');
-    return proneActiveEffectData;
+  // Requests made by the GM, or executed by the requesting user themselves,
+  // cannot do anything the user could not already do directly
+  _isTrustedUser(userId) {
+    return !userId || userId === game.user.id || !!game.users.get(userId)?.isGM;
   }
 
-  async _removeAllExhaustionEffects(uuid) {
-    await this.removeEffect({ effectName: 'Exhaustion 1', uuid });
-    await this.removeEffect({ effectName: 'Exhaustion 2', uuid });
-    await this.removeEffect({ effectName: 'Exhaustion 3', uuid });
-    await this.removeEffect({ effectName: 'Exhaustion 4', uuid });
-    await this.removeEffect({ effectName: 'Exhaustion 5', uuid });
+  _addFailures(actorResult, operations, reason) {
+    actorResult.failures.push(
+      ...operations.map((operation) => ({
+        effectName: operation.effectName ?? operation.effect?.name,
+        reason,
+      }))
+    );
+  }
+
+  _getRequestingUser(userId) {
+    return userId ? game.users.get(userId) : game.user;
+  }
+
+  _groupByUuid(operations) {
+    return operations.reduce((groups, operation) => {
+      const group = groups.get(operation.uuid) ?? [];
+      group.push(operation);
+      return groups.set(operation.uuid, group);
+    }, new Map());
+  }
+
+  // Effects applied before exclusive groups existed fall back to the group
+  // of the effect they were created from
+  _getExclusiveGroup(effect) {
+    return (
+      this._effectHelpers.getExclusiveGroup(effect) ??
+      this._effectHelpers.getExclusiveGroup(
+        game.dfreds.effectInterface.findEffectById(
+          this._effectHelpers.getCeEffectId(effect)
+        )
+      )
+    );
+  }
+
+  // Of the additions to an actor in the same exclusive group, only the last
+  // one is made
+  _withoutReplacedOperations(operations) {
+    return operations.filter(({ effect }, index) => {
+      const exclusiveGroup = this._getExclusiveGroup(effect);
+
+      return (
+        !exclusiveGroup ||
+        !operations
+          .slice(index + 1)
+          .some(
+            (operation) =>
+              this._getExclusiveGroup(operation.effect) === exclusiveGroup
+          )
+      );
+    });
+  }
+
+  _findExclusiveEffects(actor, effect) {
+    const exclusiveGroup = this._getExclusiveGroup(effect);
+    if (!exclusiveGroup) return [];
+
+    return actor.effects.filter(
+      (activeEffect) =>
+        this._effectHelpers.isConvenient(activeEffect) &&
+        this._getExclusiveGroup(activeEffect) === exclusiveGroup
+    );
+  }
+
+  async _removeExclusiveEffects({ effect, uuid, userId }) {
+    const actor = this._foundryHelpers.getActorByUuid(uuid);
+
+    return this.removeEffects({
+      operations: this._findExclusiveEffects(actor, effect).map(
+        (exclusiveEffect) => ({
+          effectId: this._effectHelpers.getCeEffectId(exclusiveEffect),
+          effectName: exclusiveEffect.name,
+          uuid,
+        })
+      ),
+      userId,
+    });
   }
 }
@@ -7,6 +7,7 @@ export default class EffectHelpers {
   }
 
   createActiveEffect({
+    id = null,
     name,
     description = '',
     icon = 'icons/svg/aura.svg',
@@ -25,6 +26,15 @@ export default class EffectHelpers {
     tokenMagicChanges = [],
     nestedEffects = [],
     subEffects = [],
+    maxStacks = 1,
+    exclusiveGroup = null,
+    impliedEffects = [],
+    parameters = [],
+    requiresConcentration = false,
+    turnDuration = null,
+    recurringSave = null,
+    recurringDamage = null,
+    aura = null,
   }) {
     if (this._settings.integrateWithAte) {
       changes.push(...atlChanges);
@@ -37,12 +47,28 @@ export default class EffectHelpers {
     let ceFlags = {};
 
     ceFlags[Constants.MODULE_ID] = {};
+    ceFlags[Constants.MODULE_ID][Constants.FLAGS.CE_EFFECT_ID] =
+      id ?? foundry.utils.randomID();
     ceFlags[Constants.MODULE_ID][Constants.FLAGS.IS_CONVENIENT] = true;
     ceFlags[Constants.MODULE_ID][Constants.FLAGS.IS_DYNAMIC] = isDynamic;
     ceFlags[Constants.MODULE_ID][Constants.FLAGS.IS_VIEWABLE] = isViewable;
     ceFlags[Constants.MODULE_ID][Constants.FLAGS.NESTED_EFFECTS] =
       nestedEffects;
     ceFlags[Constants.MODULE_ID][Constants.FLAGS.SUB_EFFECTS] = subEffects;
+    ceFlags[Constants.MODULE_ID][Constants.FLAGS.MAX_STACKS] = maxStacks;
+    ceFlags[Constants.MODULE_ID][Constants.FLAGS.EXCLUSIVE_GROUP] =
+      exclusiveGroup;
+    ceFlags[Constants.MODULE_ID][Constants.FLAGS.IMPLIED_EFFECTS] =
+      impliedEffects;
+    ceFlags[Constants.MODULE_ID][Constants.FLAGS.PARAMETERS] = parameters;
+    ceFlags[Constants.MODULE_ID][Constants.FLAGS.REQUIRES_CONCENTRATION] =
+      requiresConcentration;
+    ceFlags[Constants.MODULE_ID][Constants.FLAGS.TURN_DURATION] = turnDuration;
+    ceFlags[Constants.MODULE_ID][Constants.FLAGS.RECURRING_SAVE] =
+      recurringSave;
+    ceFlags[Constants.MODULE_ID][Constants.FLAGS.RECURRING_DAMAGE] =
+      recurringDamage;
+    ceFlags[Constants.MODULE_ID][Constants.FLAGS.AURA] = aura;
 
     let effectDuration = isEmpty(duration)
       ? {
@@ -52,16 +78,23 @@ export default class EffectHelpers {
         }
       : duration;
 
-    // Fixes an issue where statuses would be a set instead of an array
-    let statusesArray = Array.from(statuses);
-    statusesArray.unshift(this.getId(name));
+    const effectFlags = foundry.utils.mergeObject(ceFlags, flags);
+
+    // Fixes an issue where statuses would be a set instead of an array. The
+    // status ID is re-added from the effect ID in case it was copied.
+    let statusesArray = Array.from(statuses).filter(
+      (status) => !status.startsWith('Convenient Effect: ')
+    );
+    statusesArray.unshift(
+      this.getId(effectFlags[Constants.MODULE_ID][Constants.FLAGS.CE_EFFECT_ID])
+    );
 
     let effect = new CONFIG.ActiveEffect.documentClass({
       changes,
       description,
       disabled: false,
       duration: effectDuration,
-      flags: foundry.utils.mergeObject(ceFlags, flags),
+      flags: effectFlags,
       icon,
       name,
       origin,
@@ -91,13 +124,162 @@ export default class EffectHelpers {
   }
 
   /**
-   * Gets the ID for a convenient effect using its name
+   * Gets the name of a built-in effect in the language of the client
+   *
+   * @param {string} effectId - the ID of the built-in effect
+   * @returns {string} the localized name of the effect
+   */
+  localizeEffectName(effectId) {
+    return game.i18n.localize(this._getEffectTranslationKey(effectId, 'Name'));
+  }
+
+  /**
+   * Gets the description of a built-in effect in the language of the client
+   *
+   * @param {string} effectId - the ID of the built-in effect
+   * @returns {string} the localized description of the effect
+   */
+  localizeEffectDescription(effectId) {
+    return game.i18n.localize(
+      this._getEffectTranslationKey(effectId, 'Description')
+    );
+  }
+
+  /**
+   * Gets the English name of a built-in effect, regardless of the language
+   * of the client. Custom effects have no English name.
    *
-   * @param {string} name - the name of the effect
+   * @param {ActiveEffect} effect - the effect to get the English name of
+   * @returns {string | undefined} the English name of the effect if it is built-in
+   */
+  getEnglishName(effect) {
+    const effectId = this.getCeEffectId(effect);
+    if (!effectId) return undefined;
+
+    // Foundry only loads the English fallback when the client uses another language
+    const key = this._getEffectTranslationKey(effectId, 'Name');
+    return (
+      foundry.utils.getProperty(game.i18n._fallback, key) ??
+      foundry.utils.getProperty(game.i18n.translations, key)
+    );
+  }
+
+  _getEffectTranslationKey(effectId, field) {
+    return `ConvenientEffects.Effects.${effectId}.${field}`;
+  }
+
+  /**
+   * Gets the ID prefixed for use as a status or origin of a convenient effect
+   *
+   * @param {string} effectId - the convenient effect ID of the effect
    * @returns The ID for the effect
    */
-  getId(name) {
-    return `Convenient Effect: ${name}`;
+  getId(effectId) {
+    return `Convenient Effect: ${effectId}`;
+  }
+
+  /**
+   * Gets the permanent convenient effect ID of the effect, which does not
+   * change when the effect is renamed
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {string | undefined} the convenient effect ID, or undefined for
+   * effects created before IDs existed
+   */
+  getCeEffectId(effect) {
+    return effect?.flags?.[Constants.MODULE_ID]?.[Constants.FLAGS.CE_EFFECT_ID];
+  }
+
+  /**
+   * Gets the status ID of the effect, falling back to its name for effects
+   * created before IDs existed
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {string} the status ID for the effect
+   */
+  getStatusId(effect) {
+    return this.getId(this.getCeEffectId(effect) ?? effect.name);
+  }
+
+  /**
+   * Checks if the active effect is an instance of the effect with the given
+   * ID or name. IDs are compared when both are known, otherwise the names are.
+   *
+   * @param {ActiveEffect} activeEffect - the active effect to check
+   * @param {object} params - the effect to compare against
+   * @param {string} params.effectId - the convenient effect ID of the effect
+   * @param {string} params.effectName - the name of the effect
+   * @returns {boolean} true if the active effect matches
+   */
+  matchesEffect(activeEffect, { effectId, effectName }) {
+    const activeEffectId = this.getCeEffectId(activeEffect);
+
+    if (effectId && activeEffectId) return activeEffectId === effectId;
+    return activeEffect.name == effectName;
+  }
+
+  /**
+   * Gets the ID of the ActiveEffect that a sub-effect was added with
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {string | null} the ID of the parent ActiveEffect, or null if it
+   * is not a sub-effect
+   */
+  getParentEffectId(effect) {
+    return (
+      effect?.flags?.[Constants.MODULE_ID]?.[
+        Constants.FLAGS.PARENT_EFFECT_ID
+      ] ?? null
+    );
+  }
+
+  /**
+   * Checks if the active effect was added as a sub-effect of the parent
+   * ActiveEffect instance. Sub-effects added before they were linked to
+   * their parent are matched by their origin instead.
+   *
+   * @param {ActiveEffect} activeEffect - the possible sub-effect
+   * @param {ActiveEffect} parentEffect - the possible parent effect
+   * @returns {boolean} true if the active effect is a sub-effect of the parent
+   */
+  isSubEffectOf(activeEffect, parentEffect) {
+    const parentEffectId = this.getParentEffectId(activeEffect);
+    if (parentEffectId) return parentEffectId === parentEffect.id;
+
+    return [
+      this.getStatusId(parentEffect),
+      this.getId(parentEffect.name),
+    ].includes(activeEffect.origin);
+  }
+
+  /**
+   * Checks if the effect is defined in the folder with the given ID
+   *
+   * @param {ActiveEffect} effect - the effect definition
+   * @param {string} folderId - the ID of the folder, such as `conditions` or `custom`
+   * @returns {boolean} true if the effect is in the folder, false otherwise
+   */
+  isInFolder(effect, folderId) {
+    const effectReference = {
+      effectId: this.getCeEffectId(effect),
+      effectName: effect.name,
+    };
+
+    if (folderId === 'custom') {
+      return !!(effectReference.effectId
+        ? game.dfreds.effectInterface.findCustomEffectById(
+            effectReference.effectId
+          )
+        : game.dfreds.effectInterface.findCustomEffectByName(effect.name));
+    }
+
+    const folder = game.dfreds.effects.folderStructure.find(
+      (folder) => folder.id === folderId
+    );
+
+    return !!folder?.effects.some((folderEffect) =>
+      this.matchesEffect(folderEffect, effectReference)
+    );
   }
 
   /**
@@ -119,14 +301,526 @@ export default class EffectHelpers {
     return isConvenient || isOldConvenient || isOldCustomConvenient;
   }
 
+  /**
+   * Gets the maximum number of stacks of the effect
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {number} the maximum number of stacks, 1 if the effect does not stack
+   */
+  getMaxStacks(effect) {
+    return (
+      effect?.flags?.[Constants.MODULE_ID]?.[Constants.FLAGS.MAX_STACKS] ?? 1
+    );
+  }
+
+  /**
+   * Gets the current number of stacks of an applied effect
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {number} the number of stacks
+   */
+  getStacks(effect) {
+    return effect?.flags?.[Constants.MODULE_ID]?.[Constants.FLAGS.STACKS] ?? 1;
+  }
+
+  /**
+   * Checks if the effect can be applied more than once to stack
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {boolean} true if the effect is stackable
+   */
+  isStackable(effect) {
+    return this.getMaxStacks(effect) > 1;
+  }
+
+  /**
+   * Gets the exclusive group of the effect. Applying an effect removes any
+   * other effect in the same group from the actor.
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {string | null} the exclusive group, or null if it has none
+   */
+  getExclusiveGroup(effect) {
+    return (
+      effect?.flags?.[Constants.MODULE_ID]?.[Constants.FLAGS.EXCLUSIVE_GROUP] ||
+      null
+    );
+  }
+
+  /**
+   * Gets the rules for the effects that applying the effect also applies
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {object[]} the implied effects, each with the `effectId` of the
+   * effect to apply, if it should be removed along with its source as
+   * `removeWithSource`, and optionally if it is applied as an `overlay`
+   */
+  getImpliedEffects(effect) {
+    return (
+      effect?.flags?.[Constants.MODULE_ID]?.[Constants.FLAGS.IMPLIED_EFFECTS] ??
+      []
+    );
+  }
+
+  /**
+   * Gets the ID of the ActiveEffect that implied an applied effect, if it was
+   * applied by a rule that removes it along with its source
+   *
+   * @param {ActiveEffect} effect - the applied effect
+   * @returns {string | null} the ID of the implying ActiveEffect, or null
+   */
+  getImpliedBy(effect) {
+    return (
+      effect?.flags?.[Constants.MODULE_ID]?.[Constants.FLAGS.IMPLIED_BY] ?? null
+    );
+  }
+
+  /**
+   * Finds the effects on the actor that one of the removed effects implied
+   * and that no remaining effect on the actor implies anymore. Effects that
+   * were applied directly or by a rule that keeps them are never included.
+   *
+   * @param {Actor} actor - the actor the effects are removed from
+   * @param {ActiveEffect[]} removedEffects - the effects being removed
+   * @returns {ActiveEffect[]} the implied effects to remove as well
+   */
+  findOrphanedImpliedEffects(actor, removedEffects) {
+    const removedIds = new Set(removedEffects.map((effect) => effect.id));
+    const orphanedEffects = [];
+    let sourceEffects = removedEffects;
+
+    // Repeat for effects implied by the orphaned effects themselves
+    while (sourceEffects.length > 0) {
+      const impliedIds = sourceEffects.flatMap((effect) =>
+        this._getImpliedEffectIds(effect)
+      );
+      const remainingEffects = actor.effects.filter(
+        (effect) => !removedIds.has(effect.id)
+      );
+
+      sourceEffects = remainingEffects.filter((effect) => {
+        const effectId = this.getCeEffectId(effect);
+
+        return (
+          this.getImpliedBy(effect) &&
+          impliedIds.includes(effectId) &&
+          !remainingEffects.some(
+            (otherEffect) =>
+              otherEffect !== effect &&
+              this._getImpliedEffectIds(otherEffect).includes(effectId)
+          )
+        );
+      });
+
+      for (const effect of sourceEffects) {
+        removedIds.add(effect.id);
+      }
+      orphanedEffects.push(...sourceEffects);
+    }
+
+    return orphanedEffects;
+  }
+
+  // Effects applied before implied effects existed fall back to the rules of
+  // the effect they were created from
+  _getImpliedEffectIds(effect) {
+    if (!this.isConvenient(effect)) return [];
+
+    const impliedEffects =
+      effect.flags?.[Constants.MODULE_ID]?.[Constants.FLAGS.IMPLIED_EFFECTS] ??
+      this.getImpliedEffects(
+        game.dfreds.effectInterface.findEffectById(this.getCeEffectId(effect))
+      );
+
+    return impliedEffects.map(({ effectId }) => effectId);
+  }
+
+  /**
+   * Checks if the caster must concentrate to maintain the effect
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {boolean} true if the effect requires concentration
+   */
+  requiresConcentration(effect) {
+    return !!effect?.flags?.[Constants.MODULE_ID]?.[
+      Constants.FLAGS.REQUIRES_CONCENTRATION
+    ];
+  }
+
+  /**
+   * Gets what a Concentrating effect on a caster is maintaining
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {object | null} the `origin` and `effectId` of the effect being
+   * concentrated on and the `effectUuids` of every instance of it, or null if
+   * the effect is not linked to any
+   */
+  getConcentration(effect) {
+    return (
+      effect?.flags?.[Constants.MODULE_ID]?.[Constants.FLAGS.CONCENTRATION] ??
+      null
+    );
+  }
+
+  /**
+   * Gets the combat turn the effect lasts until, such as the start of the
+   * affected actor's next turn or the end of the origin's next turn
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {object | null} the `boundary` of `start` or `end`, whose turn it
+   * is relative to as `of` either `target` or `origin`, and once applied in
+   * combat, the `combatId`, `combatantId`, `round`, and `turn` it is tracked
+   * from. Null if the effect has no turn duration.
+   */
+  getTurnDuration(effect) {
+    const turnDuration =
+      effect?.flags?.[Constants.MODULE_ID]?.[Constants.FLAGS.TURN_DURATION];
+    return turnDuration?.boundary ? turnDuration : null;
+  }
+
+  /**
+   * Describes how long an effect with a turn duration lasts, naming the
+   * combatant once the effect is tracked in a combat
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {string | null} the localized duration, or null if the effect
+   * has no turn duration
+   */
+  getTurnDurationLabel(effect) {
+    const turnDuration = this.getTurnDuration(effect);
+    if (!turnDuration) return null;
+
+    const combatantName = game.combats
+      .get(turnDuration.combatId)
+      ?.combatants.get(turnDuration.combatantId)?.name;
+    const name =
+      combatantName ??
+      game.i18n.localize(
+        turnDuration.of === 'origin'
+          ? 'ConvenientEffects.TurnDuration.Origin'
+          : 'ConvenientEffects.TurnDuration.Target'
+      );
+
+    return game.i18n.format(
+      turnDuration.boundary === 'end'
+        ? 'ConvenientEffects.TurnDuration.UntilEndOfTurn'
+        : 'ConvenientEffects.TurnDuration.UntilStartOfTurn',
+      { name }
+    );
+  }
+
+  /**
+   * Gets the saving throw the affected actor repeats in combat to end the
+   * effect
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {object | null} the `ability` to save with, the `dc` or null to
+   * use the DC of the origin, the `timing` of `start` or `end` of the
+   * affected actor's turn, the number of `successes` needed, and the
+   * `successCount` so far. Null if the effect has no recurring save.
+   */
+  getRecurringSave(effect) {
+    const recurringSave =
+      effect?.flags?.[Constants.MODULE_ID]?.[Constants.FLAGS.RECURRING_SAVE];
+    return recurringSave?.ability ? recurringSave : null;
+  }
+
+  /**
+   * Gets the damage or healing the effect deals to the affected actor over
+   * time in combat
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {object | null} the `formula` to roll, the `damageType` such as
+   * `acid` or `healing`, the `timing` of `start` or `end` of the affected
+   * actor's turn, the `interval` in rounds, and once applied, the
+   * `combatId`, `round`, and `turn` it was applied on and the `lastRound` it
+   * was dealt. Null if the effect deals no damage over time.
+   */
+  getRecurringDamage(effect) {
+    const recurringDamage =
+      effect?.flags?.[Constants.MODULE_ID]?.[Constants.FLAGS.RECURRING_DAMAGE];
+    return recurringDamage?.formula ? recurringDamage : null;
+  }
+
+  /**
+   * Gets the aura the effect radiates from the tokens of the affected actor,
+   * giving another effect to the tokens within range
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {object | null} the `radius` in scene distance units, the
+   * `effectId` of the effect to give, the `disposition` of `all`, `allies`,
+   * or `enemies` to give it to, and if it `includeSelf`. Null if the effect
+   * has no aura.
+   */
+  getAura(effect) {
+    const aura = effect?.flags?.[Constants.MODULE_ID]?.[Constants.FLAGS.AURA];
+    return aura?.effectId && aura.radius > 0 ? aura : null;
+  }
+
+  /**
+   * Gets the aura effect that gave an effect to the actor
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {string | null} the UUID of the aura effect, or null if the
+   * effect was not given by an aura
+   */
+  getAuraSource(effect) {
+    return (
+      effect?.flags?.[Constants.MODULE_ID]?.[Constants.FLAGS.AURA_SOURCE] ??
+      null
+    );
+  }
+
+  /**
+   * Gets the parameters the effect declares, which are filled in when it is
+   * applied and referenced in change values as `@params.<name>`
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {object[]} the parameters, each with the `name`, `label`, `type`
+   * of `number`, `string`, or `choice`, the `choices`, and the `default`
+   */
+  getParameters(effect) {
+    return (
+      effect?.flags?.[Constants.MODULE_ID]?.[Constants.FLAGS.PARAMETERS] ?? []
+    );
+  }
+
+  /**
+   * Gets the values the parameters of an applied effect were filled in with
+   *
+   * @param {ActiveEffect | object} effect - the effect or its object form
+   * @returns {object} the parameter values keyed by name
+   */
+  getParamValues(effect) {
+    return (
+      effect?.flags?.[Constants.MODULE_ID]?.[Constants.FLAGS.PARAM_VALUES] ?? {}
+    );
+  }
+
+  /**
+   * Fills in the parameters of the effect data with the given values. Values
+   * are converted to the type of their parameter, and missing or invalid
+   * values use the default of the parameter.
+   *
+   * @param {object} effectData - the object form of an ActiveEffect to fill in
+   * @param {object} params - the parameter values keyed by name
+   */
+  setParamValues(effectData, params = {}) {
+    const paramValues = Object.fromEntries(
+      this.getParameters(effectData).map((parameter) => [
+        parameter.name,
+        this._normalizeParamValue(parameter, params[parameter.name]),
+      ])
+    );
+
+    foundry.utils.setProperty(
+      effectData,
+      `flags.${Constants.MODULE_ID}.${Constants.FLAGS.PARAM_VALUES}`,
+      paramValues
+    );
+  }
+
+  _normalizeParamValue({ type, choices = [], default: defaultValue }, value) {
+    if (value === undefined || value === null || value === '') {
+      return defaultValue ?? null;
+    }
+
+    switch (type) {
+      case 'number': {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : defaultValue ?? null;
+      }
+      case 'choice':
+        return choices.includes(value) ? value : defaultValue ?? null;
+      default:
+        return String(value);
+    }
+  }
+
+  /**
+   * Resolves the `@origin.` references in the value of a change against the
+   * roll data of the origin actor, such as `@origin.abilities.wis.mod`,
+   * evaluating the value if it is plain arithmetic so it is frozen when the
+   * effect is applied. Every other `@` reference is left for the affected
+   * actor's own roll data. Origin references the origin actor does not have
+   * resolve to 0 with a warning, so they never read the affected actor.
+   *
+   * @param {object} change - the change to resolve
+   * @param {object} rollData - the roll data of the origin actor
+   * @returns {object} the change with the origin references resolved
+   */
+  resolveRollData(change, rollData) {
+    if (
+      typeof change.value !== 'string' ||
+      !change.value.includes('@origin.')
+    ) {
+      return change;
+    }
+
+    let value = change.value.replace(
+      /@origin\.([a-z.0-9_-]+)/gi,
+      (_match, term) =>
+        Roll.replaceFormulaData(`@${term}`, rollData, {
+          missing: '0',
+          warn: true,
+        })
+    );
+
+    const result = this._evaluateArithmetic(value);
+    // Keeps the sign of bonuses such as `+@origin.attributes.prof`
+    value =
+      result !== value && value.trim().startsWith('+') && Number(result) >= 0
+        ? `+${result}`
+        : result;
+
+    return { ...change, value };
+  }
+
+  /**
+   * Resolves `@stacks` in the value of a change of a convenient effect to the
+   * number of stacks of the effect and `@params.<name>` to the value of the
+   * parameter, evaluating the value if it is plain arithmetic such as
+   * `-2 * @stacks`. Changes of other effects are returned as they are.
+   *
+   * @param {ActiveEffect} effect - the effect the change belongs to
+   * @param {object} change - the change to resolve
+   * @returns {object} the change with the stacks and parameters resolved
+   */
+  resolveChange(effect, change) {
+    if (
+      !this.isConvenient(effect) ||
+      typeof change.value !== 'string' ||
+      !change.value.includes('@')
+    ) {
+      return change;
+    }
+
+    const paramValues = this.getParamValues(effect);
+    const value = change.value
+      .replaceAll('@stacks', this.getStacks(effect))
+      .replace(/@params\.(\w+)/g, (match, name) => paramValues[name] ?? match);
+
+    return { ...change, value: this._evaluateArithmetic(value) };
+  }
+
+  // Values that only look like arithmetic, such as `1 2`, are kept as they
+  // are since a change that throws would stop the actor from being prepared
+  _evaluateArithmetic(value) {
+    if (!/^[\d\s.+\-*/()]+$/.test(value)) return value;
+
+    try {
+      return String(Roll.safeEval(value));
+    } catch {
+      return value;
+    }
+  }
+
+  /**
+   * Checks if the actor is immune to any of the statuses of the effect
+   *
+   * @param {object} effect - the object form of an ActiveEffect
+   * @param {Actor} actor - the actor to check the condition immunities of
+   * @returns {boolean} true if the actor is immune to the effect
+   */
+  isImmune(effect, actor) {
+    const conditionImmunities = actor.system?.traits?.ci?.value;
+    if (!conditionImmunities) return false;
+
+    const immunities = new Set(conditionImmunities);
+    return Array.from(effect.statuses ?? []).some((status) =>
+      immunities.has(status)
+    );
+  }
+
+  /**
+   * Creates the serializable result for a single actor, holding the IDs and
+   * data of the effects created on, updated on, and deleted from it along with
+   * any failures. Updated effects hold their data `before` and `after`.
+   *
+   * @param {string} uuid - the UUID of the actor
+   * @returns {object} the result for the actor
+   */
+  createActorResult(uuid) {
+    return {
+      uuid,
+      created: [],
+      deleted: [],
+      updated: [],
+      createdEffects: [],
+      deletedEffects: [],
+      updatedEffects: [],
+      failures: [],
+    };
+  }
+
+  /**
+   * Creates the serializable result returned by the socket functions from the
+   * results of each actor. The result is only successful if nothing failed.
+   *
+   * @param {object[]} actorResults - the results for each actor
+   * @param {string | null} reason - the failure reason for the whole operation, if any
+   * @returns {object} the result containing `success`, `reason`, and `actors`
+   */
+  createResult(actorResults = [], reason = null) {
+    const failureReason =
+      reason ??
+      actorResults.flatMap((actorResult) => actorResult.failures)[0]?.reason ??
+      null;
+
+    return {
+      success: !failureReason,
+      reason: failureReason,
+      actors: actorResults,
+    };
+  }
+
+  /**
+   * Creates a serializable result for an operation that failed entirely
+   *
+   * @param {string} reason - the failure reason, one of `Constants.FAILURE_REASONS`
+   * @returns {object} the failed result
+   */
+  createFailureResult(reason) {
+    return this.createResult([], reason);
+  }
+
+  /**
+   * Merges multiple results into a single result, combining the results of
+   * the same actor
+   *
+   * @param {...object} results - the results to merge
+   * @returns {object} the merged result
+   */
+  mergeResults(...results) {
+    const actorResults = new Map();
+
+    for (const actorResult of results.flatMap((result) => result.actors)) {
+      const merged =
+        actorResults.get(actorResult.uuid) ??
+        this.createActorResult(actorResult.uuid);
+
+      merged.created.push(...actorResult.created);
+      merged.deleted.push(...actorResult.deleted);
+      merged.updated.push(...actorResult.updated);
+      merged.createdEffects.push(...actorResult.createdEffects);
+      merged.deletedEffects.push(...actorResult.deletedEffects);
+      merged.updatedEffects.push(...actorResult.updatedEffects);
+      merged.failures.push(...actorResult.failures);
+      actorResults.set(actorResult.uuid, merged);
+    }
+
+    const reason = results.find((result) => result.reason)?.reason ?? null;
+    return this.createResult([...actorResults.values()], reason);
+  }
+
   /**
    * Updates the convenient effect status ID with the value of the active
-   * effect name
+   * effect ID
    *
    * @param {ActiveEffect} activeEffect - the active effect
    */
   async updateStatusId(activeEffect) {
-    const statusId = this.getId(activeEffect.name);
+    const statusId = this.getStatusId(activeEffect);
     let statusesSet = activeEffect.statuses;
 
     if (statusesSet.has(statusId)) {
@@ -0,0 +1,170 @@
+/**
+ * Keeps the undo and redo history of the effect operations made by the
+ * current user. Each entry holds the full data of the effects an operation
+ * created and deleted on each actor, so it can be reverted exactly.
+ */
+export default class EffectHistory {
+  static MAX_ENTRIES = 50;
+
+  constructor() {
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+
+  /**
+   * Records the result of an effect operation so it can be undone. Recording
+   * a new operation clears the redo history.
+   *
+   * @param {object} result - the result of the effect operation
+   */
+  record(result) {
+    const entry = this._createEntry(result);
+    if (!entry) return;
+
+    this._undoStack.push(entry);
+    if (this._undoStack.length > EffectHistory.MAX_ENTRIES) {
+      this._undoStack.shift();
+    }
+    this._redoStack = [];
+  }
+
+  /**
+   * Undoes the last operation, moving it to the redo history
+   *
+   * @param {function} restore - restores the given actors as the GM,
+   * resolving to the result of the restore
+   * @returns {Promise<object | null>} the result of the restore, or null if
+   * there was nothing to undo
+   */
+  async undo(restore) {
+    return this._revert({
+      from: this._undoStack,
+      to: this._redoStack,
+      restore,
+      notification: 'ConvenientEffects.Notifications.Undone',
+      emptyNotification: 'ConvenientEffects.Notifications.NothingToUndo',
+    });
+  }
+
+  /**
+   * Redoes the last undone operation, moving it back to the undo history
+   *
+   * @param {function} restore - restores the given actors as the GM,
+   * resolving to the result of the restore
+   * @returns {Promise<object | null>} the result of the restore, or null if
+   * there was nothing to redo
+   */
+  async redo(restore) {
+    return this._revert({
+      from: this._redoStack,
+      to: this._undoStack,
+      restore,
+      notification: 'ConvenientEffects.Notifications.Redone',
+      emptyNotification: 'ConvenientEffects.Notifications.NothingToRedo',
+    });
+  }
+
+  async _revert({ from, to, restore, notification, emptyNotification }) {
+    const entry = from.pop();
+    if (!entry) {
+      ui.notifications.info(game.i18n.localize(emptyNotification));
+      return null;
+    }
+
+    // Reverting deletes what the entry created and recreates what it deleted
+    const result = await restore(
+      entry.actors.map(({ uuid, createdEffects, deletedEffects }) => ({
+        uuid,
+        effectIds: createdEffects.map((effect) => effect._id),
+        effects: deletedEffects.map((effect) =>
+          this._shiftDuration(effect, entry)
+        ),
+      }))
+    );
+
+    // Only actors that were reverted move to the other history. The rest,
+    // including every actor when the request was only queued, stay to be
+    // reverted again.
+    const revertedActors = (result?.actors ?? []).filter(
+      ({ failures }) => failures.length === 0
+    );
+    const remainingActors = entry.actors.filter(
+      ({ uuid }) => !revertedActors.some((actor) => actor.uuid === uuid)
+    );
+
+    const revertedEntry = this._createEntry({ actors: revertedActors });
+    if (revertedEntry) to.push(revertedEntry);
+
+    if (remainingActors.length > 0) {
+      from.push({ ...entry, actors: remainingActors });
+      return result;
+    }
+
+    ui.notifications.info(
+      game.i18n.format(notification, { effects: this._getLabel(entry) })
+    );
+
+    return result;
+  }
+
+  // Updated effects are reverted the same way as an effect that was deleted
+  // and recreated with the same ID
+  _createEntry(result) {
+    const actors = (result?.actors ?? [])
+      .map(({ uuid, createdEffects, deletedEffects, updatedEffects }) => ({
+        uuid,
+        createdEffects: [
+          ...createdEffects,
+          ...updatedEffects.map(({ after }) => after),
+        ],
+        deletedEffects: [
+          ...deletedEffects,
+          ...updatedEffects.map(({ before }) => before),
+        ],
+      }))
+      .filter(
+        ({ createdEffects, deletedEffects }) =>
+          createdEffects.length > 0 || deletedEffects.length > 0
+      );
+
+    if (actors.length === 0) return null;
+
+    return {
+      actors,
+      worldTime: game.time.worldTime,
+      combatId: game.combat?.id ?? null,
+      round: game.combat?.round ?? 0,
+      turn: game.combat?.turn ?? 0,
+    };
+  }
+
+  // Moves the start of the duration forward by the time that passed since
+  // the entry was recorded, so the effect keeps the remaining duration it had
+  _shiftDuration(effect, { worldTime, combatId, round, turn }) {
+    const duration = { ...effect.duration };
+
+    if (typeof duration.startTime === 'number') {
+      duration.startTime += game.time.worldTime - worldTime;
+    }
+
+    if (
+      duration.combat &&
+      duration.combat === combatId &&
+      game.combat?.id === combatId
+    ) {
+      duration.startRound += game.combat.round - round;
+      duration.startTurn += game.combat.turn - turn;
+    }
+
+    return { ...effect, duration };
+  }
+
+  _getLabel(entry) {
+    const effectNames = entry.actors.flatMap(
+      ({ createdEffects, deletedEffects }) =>
+        [...createdEffects, ...deletedEffects].map((effect) => effect.name)
+    );
+
+    return [...new Set(effectNames)].join(', ');
+  }
+}
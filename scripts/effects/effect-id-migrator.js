@@ -0,0 +1,134 @@
+import Constants from '../constants.js';
+import EffectHelpers from './effect-helpers.js';
+import Settings from '../settings.js';
+import log from '../logger.js';
+
+/**
+ * Handles migrating references to effects by name over to their permanent
+ * effect IDs
+ */
+export default class EffectIdMigrator {
+  constructor() {
+    this._effectHelpers = new EffectHelpers();
+    this._settings = new Settings();
+  }
+
+  /**
+   * Migrates the custom effects, world settings, macros, and journals once as
+   * the GM, and the favorites of the current user once the world is migrated
+   */
+  async migrate() {
+    if (game.user.isGM && !this._settings.hasMigratedEffectIds) {
+      await this._migrateCustomEffects();
+      await this._migrateWorldSettings();
+      await this._migrateMacros();
+      await this._migrateJournals();
+      await this._settings.setHasMigratedEffectIds(true);
+
+      log('Migrated effect names to effect IDs');
+    }
+
+    // Custom effects need their IDs before favorites can refer to them
+    if (
+      this._settings.hasMigratedEffectIds &&
+      !this._settings.hasMigratedFavoriteEffectIds
+    ) {
+      await this._settings.setFavoriteEffects(
+        this._toEffectIds(this._settings.legacyFavoriteEffectNames)
+      );
+      await this._settings.setHasMigratedFavoriteEffectIds(true);
+    }
+  }
+
+  async _migrateCustomEffects() {
+    const item = game.items.get(this._settings.customEffectsItemId);
+    if (!item) return;
+
+    const idFlag = `flags.${Constants.MODULE_ID}.${Constants.FLAGS.CE_EFFECT_ID}`;
+    const idUpdates = item.effects
+      .filter((effect) => !this._effectHelpers.getCeEffectId(effect))
+      .map((effect) => ({
+        _id: effect.id,
+        [idFlag]: foundry.utils.randomID(),
+      }));
+    await item.updateEmbeddedDocuments('ActiveEffect', idUpdates);
+
+    // Nested effects are migrated after every custom effect has an ID
+    const nestedFlag = `flags.${Constants.MODULE_ID}.${Constants.FLAGS.NESTED_EFFECTS}`;
+    const nestedUpdates = item.effects
+      .filter(
+        (effect) =>
+          effect.getFlag(Constants.MODULE_ID, Constants.FLAGS.NESTED_EFFECTS)
+            ?.length
+      )
+      .map((effect) => ({
+        _id: effect.id,
+        [nestedFlag]: this._toEffectIds(
+          effect.getFlag(Constants.MODULE_ID, Constants.FLAGS.NESTED_EFFECTS)
+        ),
+      }));
+    await item.updateEmbeddedDocuments('ActiveEffect', nestedUpdates);
+  }
+
+  async _migrateWorldSettings() {
+    await this._settings.setStatusEffects(
+      this._toEffectIds(this._settings.legacyStatusEffectNames)
+    );
+  }
+
+  async _migrateMacros() {
+    const toggleEffectPattern =
+      /(game\.dfreds\.effectInterface\.toggleEffect\()(["'])(.+?)\2/g;
+
+    for (const macro of game.macros) {
+      if (!macro.command) continue;
+
+      const command = macro.command.replace(
+        toggleEffectPattern,
+        (match, call, quote, effectName) => {
+          const effectId = this._toEffectId(effectName);
+          return effectId ? `${call}${quote}${effectId}${quote}` : match;
+        }
+      );
+
+      if (command !== macro.command) await macro.update({ command });
+    }
+  }
+
+  async _migrateJournals() {
+    const enricherPattern = /@toggleEffect\[([^#\]]+)](?:{([^}]+)})?/g;
+
+    for (const journal of game.journal) {
+      for (const page of journal.pages) {
+        const content = page.text?.content;
+        if (!content) continue;
+
+        // The name is kept as the label so the link text does not change
+        const newContent = content.replace(
+          enricherPattern,
+          (match, effectName, label) => {
+            const effectId = this._toEffectId(effectName);
+            return effectId
+              ? `@toggleEffect[${effectId}]{${label ?? effectName}}`
+              : match;
+          }
+        );
+
+        if (newContent !== content) {
+          await page.update({ 'text.content': newContent });
+        }
+      }
+    }
+  }
+
+  _toEffectIds(effectNames) {
+    return (effectNames || []).map(
+      (effectName) => this._toEffectId(effectName) ?? effectName
+    );
+  }
+
+  _toEffectId(effectName) {
+    const effect = game.dfreds.effectInterface.findEffectByName(effectName);
+    return this._effectHelpers.getCeEffectId(effect);
+  }
+}
@@ -0,0 +1,131 @@
+import EffectHandler from './effect-handler.js';
+import EffectHelpers from './effect-helpers.js';
+import FoundryHelpers from '../util/foundry-helpers.js';
+import Settings from '../settings.js';
+
+/**
+ * Handles removing convenient effects once their duration runs out. Only the
+ * active GM removes them, so each expired effect is removed exactly once.
+ */
+export default class ExpiryHandler {
+  constructor() {
+    this._effectHandler = new EffectHandler();
+    this._effectHelpers = new EffectHelpers();
+    this._foundryHelpers = new FoundryHelpers();
+    this._settings = new Settings();
+  }
+
+  /**
+   * Removes the effects lasting until the turn that started or ended, along
+   * with the expired effects of the combatant whose turn started or ended
+   * when effects expire automatically, depending on the expiry timing setting
+   *
+   * @param {Combat} combat - the combat that was updated
+   * @param {object} changes - the changes to the combat
+   */
+  async onUpdateCombat(combat, changes) {
+    if (game.user !== game.users.activeGM) return;
+    if (!('turn' in changes || 'round' in changes)) return;
+    if (!this._foundryHelpers.hasCombatAdvanced(combat)) return;
+
+    const expiredEffects = this._isExpiryHandler
+      ? this._findExpiredCombatantEffects(combat)
+      : [];
+
+    // Turn durations are part of the effect itself, so they end whether or
+    // not other durations expire automatically. Effects lasting until a turn
+    // can be on actors outside of the combat.
+    const turnBoundaryEffects = this._findExpiredEffects(
+      this._foundryHelpers.getAllActors(),
+      (effect) => this._hasReachedTurnBoundary(effect, combat)
+    );
+
+    await this._expire([...expiredEffects, ...turnBoundaryEffects]);
+  }
+
+  /**
+   * Removes the effects with a duration in seconds that ran out as time
+   * passed. Combatants are skipped since their effects expire with their turn.
+   */
+  async onUpdateWorldTime() {
+    if (!this._isExpiryHandler) return;
+
+    const combatActors = new Set(
+      game.combats
+        .filter((combat) => combat.started)
+        .flatMap((combat) =>
+          combat.combatants.map((combatant) => combatant.actor)
+        )
+    );
+    const actors = this._foundryHelpers
+      .getAllActors()
+      .filter((actor) => !combatActors.has(actor));
+
+    await this._expire(
+      this._findExpiredEffects(actors).filter(
+        (effect) => effect.duration.type === 'seconds'
+      )
+    );
+  }
+
+  _findExpiredCombatantEffects(combat) {
+    const combatant =
+      this._settings.autoExpireEffects === 'startOfTurn'
+        ? combat.combatant
+        : combat.combatants.get(combat.previous?.combatantId);
+
+    return combatant?.actor ? this._findExpiredEffects([combatant.actor]) : [];
+  }
+
+  get _isExpiryHandler() {
+    return (
+      game.user === game.users.activeGM &&
+      this._settings.autoExpireEffects !== 'none'
+    );
+  }
+
+  _findExpiredEffects(actors, isExpired = (effect) => this._isExpired(effect)) {
+    return actors.flatMap((actor) =>
+      actor.effects.filter(
+        (effect) =>
+          this._effectHelpers.isConvenient(effect) &&
+          !this._settings.isExpiryExcludedEffect(
+            this._effectHelpers.getCeEffectId(effect)
+          ) &&
+          isExpired(effect)
+      )
+    );
+  }
+
+  // Effects tracking a turn only expire at that turn while their combat lasts
+  _isExpired(effect) {
+    if (this._isTrackingTurn(effect)) return false;
+
+    const remaining = effect.duration?.remaining;
+    return remaining !== null && remaining !== undefined && remaining <= 0;
+  }
+
+  _isTrackingTurn(effect) {
+    const turnDuration = this._effectHelpers.getTurnDuration(effect);
+    return !!turnDuration?.combatId && game.combats.has(turnDuration.combatId);
+  }
+
+  // The start of a turn is reached when the turn begins and its end when the
+  // combat moves on from it, as long as that turn came after the effect was
+  // applied
+  _hasReachedTurnBoundary(effect, combat) {
+    const turnDuration = this._effectHelpers.getTurnDuration(effect);
+    if (turnDuration?.combatId !== combat.id) return false;
+
+    const state =
+      turnDuration.boundary === 'end' ? combat.previous : combat.current;
+    if (state?.combatantId !== turnDuration.combatantId) return false;
+
+    return this._foundryHelpers.isTurnAfter(state, turnDuration);
+  }
+
+  async _expire(expiredEffects) {
+    if (expiredEffects.length === 0) return;
+    await this._effectHandler.expireEffects(expiredEffects);
+  }
+}
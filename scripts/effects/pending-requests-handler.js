@@ -0,0 +1,124 @@
+import Constants from '../constants.js';
+import log from '../logger.js';
+
+/**
+ * Handles queueing effect requests that need a GM while none is connected.
+ * Requests are persisted on the flags of the user that made them and are
+ * replayed by the GM once one connects.
+ */
+export default class PendingRequestsHandler {
+  /**
+   * Gets the requests the user made that are waiting for a GM
+   *
+   * @param {User} user - the user to get the pending requests for
+   * @returns {object[]} the pending requests with their `id`, `handler`, and `args`
+   */
+  getPendingRequests(user = game.user) {
+    return (
+      user.getFlag(Constants.MODULE_ID, Constants.FLAGS.PENDING_REQUESTS) ?? []
+    );
+  }
+
+  /**
+   * Queues a request for the current user and tells them how many requests
+   * are pending
+   *
+   * @param {object} params - the params for queueing the request
+   * @param {string} params.handler - the name of the GM socket function to replay
+   * @param {any[]} params.args - the arguments to replay the socket function with
+   */
+  async queueRequest({ handler, args }) {
+    const pendingRequests = [
+      ...this.getPendingRequests(),
+      { id: foundry.utils.randomID(), handler, args },
+    ];
+
+    await game.user.setFlag(
+      Constants.MODULE_ID,
+      Constants.FLAGS.PENDING_REQUESTS,
+      pendingRequests
+    );
+
+    ui.notifications.warn(
+      game.i18n.format('ConvenientEffects.Notifications.RequestQueued', {
+        count: pendingRequests.length,
+      })
+    );
+  }
+
+  /**
+   * Tells the current user if they have requests waiting for a GM
+   */
+  notifyPendingRequests() {
+    const count = this.getPendingRequests().length;
+    if (count === 0) return;
+
+    ui.notifications.info(
+      game.i18n.format('ConvenientEffects.Notifications.PendingRequests', {
+        count,
+      })
+    );
+  }
+
+  /**
+   * Tells the current user when a GM has picked up their pending requests
+   *
+   * @param {User} user - the user that was updated
+   * @param {object} changes - the changes to the user
+   */
+  onUserUpdated(user, changes) {
+    if (user.id !== game.user.id) return;
+
+    const pendingRequests = foundry.utils.getProperty(
+      changes,
+      `flags.${Constants.MODULE_ID}.${Constants.FLAGS.PENDING_REQUESTS}`
+    );
+    if (pendingRequests?.length !== 0) return;
+
+    ui.notifications.info(
+      game.i18n.localize(
+        'ConvenientEffects.Notifications.PendingRequestsReplayed'
+      )
+    );
+  }
+
+  /**
+   * Replays the pending requests of every user in the order they were made.
+   * Only the active GM replays them. Each request is cleared once it was
+   * replayed, and a request that fails is reported without stopping the
+   * ones after it.
+   *
+   * @param {function} execute - executes a request given the `handler`, the
+   * ID of the user that made it, and the `args`
+   */
+  async replayPendingRequests(execute) {
+    if (game.user !== game.users.activeGM) return;
+
+    for (const user of game.users) {
+      for (const { id, handler, args } of this.getPendingRequests(user)) {
+        log(`Replaying pending ${handler} request from ${user.name}`);
+        try {
+          await execute(handler, user.id, args);
+        } catch (error) {
+          log(error);
+          ui.notifications.error(
+            game.i18n.format(
+              'ConvenientEffects.Notifications.PendingRequestFailed',
+              { handler, userName: user.name }
+            )
+          );
+        }
+
+        await this._clearPendingRequest(user, id);
+      }
+    }
+  }
+
+  async _clearPendingRequest(user, requestId) {
+    await user.setFlag(
+      Constants.MODULE_ID,
+      Constants.FLAGS.PENDING_REQUESTS,
+      this.getPendingRequests(user).filter(({ id }) => id !== requestId)
+    );
+  }
+}
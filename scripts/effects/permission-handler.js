@@ -0,0 +1,70 @@
+import FoundryHelpers from '../util/foundry-helpers.js';
+import Settings from '../settings.js';
+import log from '../logger.js';
+
+/**
+ * Handles checking if a user is allowed to modify effects on an actor when
+ * the request is executed by the GM
+ */
+export default class PermissionHandler {
+  constructor() {
+    this._foundryHelpers = new FoundryHelpers();
+    this._settings = new Settings();
+  }
+
+  /**
+   * Checks if the user with the given ID is allowed to add or remove the
+   * effect on the actor with the given UUID. Requests without a user are
+   * internal to the module and always allowed. Rejected requests are logged.
+   *
+   * @param {object} params - the params for the check
+   * @param {string | undefined} params.userId - the ID of the user that made the request
+   * @param {string} params.effectId - the ID of the effect to modify
+   * @param {string} params.effectName - the name of the effect to modify
+   * @param {string} params.uuid - the UUID of the actor to modify the effect on
+   * @returns {boolean} true if the user is allowed, false otherwise
+   */
+  canModifyEffect({ userId, effectId, effectName, uuid }) {
+    if (!userId) return true;
+
+    const user = game.users.get(userId);
+    if (user?.isGM) return true;
+
+    const reason = this._getRejectionReason({ user, effectId, uuid });
+    if (!reason) return true;
+
+    log(
+      `Rejected request from ${
+        user?.name ?? userId
+      } to modify ${effectName} on ${uuid}: ${reason}`
+    );
+    return false;
+  }
+
+  _getRejectionReason({ user, effectId, uuid }) {
+    if (!user) {
+      return 'unknown user';
+    }
+
+    if (this._settings.isGmOnlyEffect(effectId)) {
+      return 'effect is GM only';
+    }
+
+    const permission = this._settings.playerEffectPermission;
+    if (permission === 'any') return null;
+
+    const actor = this._foundryHelpers.getActorByUuid(uuid);
+    if (!actor) return null; // the missing actor is reported by the handler
+
+    if (actor.testUserPermission(user, 'OWNER')) return null;
+
+    if (
+      permission === 'ownedOrTargeted' &&
+      Array.from(user.targets).some((token) => token.actor?.uuid === uuid)
+    ) {
+      return null;
+    }
+
+    return 'actor is not owned or targeted';
+  }
+}
@@ -0,0 +1,127 @@
+import Constants from '../constants.js';
+import DamageApplierDelegate from '../systems/damage-applier-delegate.js';
+import EffectHelpers from './effect-helpers.js';
+import FoundryHelpers from '../util/foundry-helpers.js';
+
+/**
+ * Handles the damage and healing effects deal to the affected actor at the
+ * start or end of its turns. The active GM rolls it, posts it to chat, and
+ * applies it to the hit points of the actor.
+ */
+export default class RecurringDamageHandler {
+  constructor() {
+    this._damageApplierDelegate = new DamageApplierDelegate();
+    this._effectHelpers = new EffectHelpers();
+    this._foundryHelpers = new FoundryHelpers();
+  }
+
+  /**
+   * Deals the damage that is due at the start of the turn that started and
+   * at the end of the turn that ended
+   *
+   * @param {Combat} combat - the combat that was updated
+   * @param {object} changes - the changes to the combat
+   */
+  async onUpdateCombat(combat, changes) {
+    if (game.user !== game.users.activeGM) return;
+    if (!('turn' in changes || 'round' in changes)) return;
+    if (!this._foundryHelpers.hasCombatAdvanced(combat)) return;
+
+    const dueEffects = [
+      ...this._findDueEffects({
+        combat,
+        actor: combat.combatant?.actor,
+        timing: 'start',
+        state: combat.current,
+      }),
+      ...this._findDueEffects({
+        combat,
+        actor: combat.combatants.get(combat.previous?.combatantId)?.actor,
+        timing: 'end',
+        state: combat.previous,
+      }),
+    ];
+
+    for (const { effect, state } of dueEffects) {
+      await this._dealDamage(effect, state);
+    }
+  }
+
+  _findDueEffects({ combat, actor, timing, state }) {
+    if (!actor) return [];
+
+    return actor.effects
+      .filter(
+        (effect) =>
+          this._effectHelpers.isConvenient(effect) &&
+          !effect.disabled &&
+          !this._isHandledByMidi(effect) &&
+          this._isDue({ effect, combat, timing, state })
+      )
+      .map((effect) => ({ effect, state }));
+  }
+
+  // The damage is dealt on the first turn after the effect was applied and
+  // then once every interval of rounds
+  _isDue({ effect, combat, timing, state }) {
+    const recurringDamage = this._effectHelpers.getRecurringDamage(effect);
+    if (recurringDamage?.timing !== timing) return false;
+
+    if (
+      recurringDamage.combatId === combat.id &&
+      !this._foundryHelpers.isTurnAfter(state, recurringDamage)
+    ) {
+      return false;
+    }
+
+    return (
+      !Number.isNumeric(recurringDamage.lastRound) ||
+      state.round - recurringDamage.lastRound >= (recurringDamage.interval ?? 1)
+    );
+  }
+
+  // Midi-QoL already deals the damage of the built-in effects with an
+  // OverTime change
+  _isHandledByMidi(effect) {
+    return (
+      game.modules.get('midi-qol')?.active &&
+      effect.changes.some((change) => change.key.includes('.OverTime'))
+    );
+  }
+
+  async _dealDamage(effect, state) {
+    const actor = effect.parent;
+    const recurringDamage = this._effectHelpers.getRecurringDamage(effect);
+
+    // Recorded first since the damage can lead to the effect being removed
+    await effect.setFlag(
+      Constants.MODULE_ID,
+      Constants.FLAGS.RECURRING_DAMAGE,
+      { ...recurringDamage, lastRound: state.round }
+    );
+
+    const originActor = this._foundryHelpers.getActorByOrigin(effect.origin);
+    const roll = await new Roll(recurringDamage.formula, {
+      ...(originActor ?? actor).getRollData(),
+      stacks: this._effectHelpers.getStacks(effect),
+      params: this._effectHelpers.getParamValues(effect),
+    }).evaluate({ async: true });
+
+    const damageType =
+      this._damageApplierDelegate.damageTypes[recurringDamage.damageType] ??
+      recurringDamage.damageType ??
+      '';
+    await roll.toMessage({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      flavor: game.i18n.format('ConvenientEffects.RecurringDamage.Flavor', {
+        effectName: effect.name,
+        damageType,
+      }),
+    });
+
+    await this._damageApplierDelegate.applyDamage(actor, {
+      amount: roll.total,
+      damageType: recurringDamage.damageType,
+    });
+  }
+}
@@ -0,0 +1,129 @@
+import Constants from '../constants.js';
+import EffectHandler from './effect-handler.js';
+import EffectHelpers from './effect-helpers.js';
+import FoundryHelpers from '../util/foundry-helpers.js';
+import SaveRollerDelegate from '../systems/save-roller-delegate.js';
+
+/**
+ * Handles the saving throws affected actors repeat at the start or end of
+ * their turns to end an effect. The active GM asks an owner of the actor to
+ * roll and removes the effect once enough saves succeed.
+ */
+export default class RecurringSaveHandler {
+  constructor() {
+    this._effectHandler = new EffectHandler();
+    this._effectHelpers = new EffectHelpers();
+    this._foundryHelpers = new FoundryHelpers();
+    this._saveRollerDelegate = new SaveRollerDelegate();
+  }
+
+  /**
+   * Requests the saves that are due at the start of the turn that started
+   * and at the end of the turn that ended
+   *
+   * @param {Combat} combat - the combat that was updated
+   * @param {object} changes - the changes to the combat
+   */
+  async onUpdateCombat(combat, changes) {
+    if (game.user !== game.users.activeGM) return;
+    if (!('turn' in changes || 'round' in changes)) return;
+    if (!this._foundryHelpers.hasCombatAdvanced(combat)) return;
+
+    const dueEffects = [
+      ...this._findDueEffects(combat.combatant?.actor, 'start'),
+      ...this._findDueEffects(
+        combat.combatants.get(combat.previous?.combatantId)?.actor,
+        'end'
+      ),
+    ];
+
+    await Promise.all(dueEffects.map((effect) => this._requestSave(effect)));
+  }
+
+  /**
+   * Prompts the current user to roll the recurring save of an effect
+   *
+   * @param {string} effectUuid - the UUID of the applied effect
+   * @returns {Promise<boolean>} true if the save succeeded
+   */
+  async rollRecurringSave(effectUuid) {
+    const effect = fromUuidSync(effectUuid);
+    const recurringSave = this._effectHelpers.getRecurringSave(effect);
+    if (!recurringSave) return false;
+
+    const success = await this._saveRollerDelegate.rollSave(effect.parent, {
+      ability: recurringSave.ability,
+      dc: recurringSave.dc,
+      flavor: game.i18n.format('ConvenientEffects.RecurringSave.Flavor', {
+        effectName: effect.name,
+      }),
+    });
+
+    return !!success;
+  }
+
+  _findDueEffects(actor, timing) {
+    if (!actor) return [];
+
+    return actor.effects.filter((effect) => {
+      const recurringSave = this._effectHelpers.getRecurringSave(effect);
+      return (
+        this._effectHelpers.isConvenient(effect) &&
+        !effect.disabled &&
+        recurringSave?.timing === timing &&
+        Number.isNumeric(recurringSave.dc)
+      );
+    });
+  }
+
+  async _requestSave(effect) {
+    const actor = effect.parent;
+    const user = this._getRollingUser(actor);
+
+    let success;
+    try {
+      success = await game.dfreds.effectInterface.requestRecurringSave(
+        user.id,
+        effect.uuid
+      );
+    } catch {
+      // the owner disconnected before rolling
+      return;
+    }
+    if (!success) return;
+
+    const recurringSave = this._effectHelpers.getRecurringSave(effect);
+    const successCount = (recurringSave.successCount ?? 0) + 1;
+    if (successCount < (recurringSave.successes ?? 1)) {
+      await effect.setFlag(
+        Constants.MODULE_ID,
+        Constants.FLAGS.RECURRING_SAVE,
+        {
+          ...recurringSave,
+          successCount,
+        }
+      );
+      return;
+    }
+
+    await this._effectHandler.removeEffect({
+      effectId: this._effectHelpers.getCeEffectId(effect),
+      effectName: effect.name,
+      uuid: actor.uuid,
+      origin: effect.origin,
+      userId: game.user.id,
+    });
+  }
+
+  // Players roll for the actors they own, and the GM rolls for the rest
+  _getRollingUser(actor) {
+    return (
+      game.users.find(
+        (user) =>
+          user.active &&
+          !user.isGM &&
+          actor.testUserPermission(user, CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER)
+      ) ?? game.user
+    );
+  }
+}
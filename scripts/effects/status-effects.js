@@ -28,14 +28,19 @@ export default class StatusEffects {
   }
 
   _fetchStatusEffects() {
-    let statusEffects = this._settings.statusEffectNames
-      .map((name) => {
-        return game.dfreds.effectInterface.findEffectByName(name);
+    // The legacy names are used until the GM has migrated them to IDs
+    const statusEffectIds = this._settings.hasMigratedEffectIds
+      ? this._settings.statusEffectIds
+      : this._settings.legacyStatusEffectNames;
+
+    let statusEffects = statusEffectIds
+      .map((id) => {
+        return game.dfreds.effectInterface.findEffect(id);
       })
       .filter((effect) => effect)
       .map((effect) => {
         return {
-          id: this._effectsHelper.getId(effect.name),
+          id: this._effectsHelper.getStatusId(effect),
           ...effect.toObject(),
         };
       });
@@ -57,7 +62,8 @@ export default class StatusEffects {
   /**
    * This function is called when a token status effect is toggled. If the
    * status effect is one added by the convenient effect module, it is handled
-   * here. Otherwise, the original wrapper function is used.
+   * here. Otherwise, the original wrapper function is used. Stackable effects
+   * gain a stack on left click and lose one on right click instead.
    *
    * @param {Token5e} token - the token to toggle the effect on
    * @param {fn} wrapper - the original onToggleEffect function
@@ -69,10 +75,22 @@ export default class StatusEffects {
     if (statusEffectId.startsWith('Convenient Effect: ')) {
       event.preventDefault();
       event.stopPropagation();
-      const effectName = statusEffectId.replace('Convenient Effect: ', '');
+      const effectId = statusEffectId.replace('Convenient Effect: ', '');
+      const overlay = args.length > 1 && args[1]?.overlay;
+      const effect = game.dfreds.effectInterface.findEffect(effectId);
+
+      if (effect && this._effectsHelper.isStackable(effect)) {
+        const params = { effectName: effectId, uuid: token.actor.uuid };
+        if (overlay) {
+          game.dfreds.effectInterface.decrementEffect(params);
+        } else {
+          game.dfreds.effectInterface.incrementEffect(params);
+        }
+        return;
+      }
 
-      game.dfreds.effectInterface.toggleEffect(effectName, {
-        overlay: args.length > 1 && args[1]?.overlay,
+      game.dfreds.effectInterface.toggleEffect(effectId, {
+        overlay,
         uuids: [token.actor.uuid],
       });
     } else {
@@ -102,8 +120,14 @@ export default class StatusEffects {
     const actor = token.actor || null;
     const statuses = actor
       ? actor.effects.reduce((obj, effect) => {
-          for (const id of effect.statuses) {
-            obj[id] = { id, overlay: !!effect.getFlag('core', 'overlay') };
+          for (const id of this._getStatusIds(effect)) {
+            obj[id] = {
+              id,
+              overlay: !!effect.getFlag('core', 'overlay'),
+              stacks: this._effectsHelper.isStackable(effect)
+                ? this._effectsHelper.getStacks(effect)
+                : null,
+            };
           }
           return obj;
         }, {})
@@ -124,7 +148,7 @@ export default class StatusEffects {
       // NOTE: changed key from src to id
       obj[id] = {
         id: e.id ?? '',
-        title: e.name ? game.i18n.localize(e.name) : null,
+        title: this._getStatusTitle(e, status),
         src,
         isActive,
         isOverlay,
@@ -137,11 +161,43 @@ export default class StatusEffects {
     }, {});
   }
 
+  // Stackable effects show their stack count, such as "Bleeding (2/5)"
+  _getStatusTitle(statusEffect, status) {
+    if (!statusEffect.name) return null;
+
+    const name = game.i18n.localize(statusEffect.name);
+    if (!status.stacks) return name;
+
+    return game.i18n.format('ConvenientEffects.App.StackCount', {
+      name,
+      stacks: status.stacks,
+      maxStacks: this._effectsHelper.getMaxStacks(statusEffect),
+    });
+  }
+
+  // Convenient effects applied before IDs existed have a status based on
+  // their name, so the status of the matching effect is added for them
+  _getStatusIds(effect) {
+    const statusIds = Array.from(effect.statuses);
+
+    if (
+      this._effectsHelper.isConvenient(effect) &&
+      !this._effectsHelper.getCeEffectId(effect)
+    ) {
+      const ceEffect = game.dfreds.effectInterface.findEffectByName(
+        effect.name
+      );
+      if (ceEffect) statusIds.push(this._effectsHelper.getStatusId(ceEffect));
+    }
+
+    return statusIds;
+  }
+
   /**
    * This function is called when the status effects are refreshed. It does
    * essentially the same thing as the original method does, except that it
    * bases the status on the token.dataset.statusId rather than the src
-   * attribute
+   * attribute and refreshes the title to show the current stack count
    *
    * Refresh the currently active state of all status effect icons in the Token
    * HUD selector.
@@ -156,6 +212,7 @@ export default class StatusEffects {
       const status = statuses[img.dataset.statusId] || {};
       img.classList.toggle('overlay', !!status.isOverlay);
       img.classList.toggle('active', !!status.isActive);
+      if (status.title) img.title = status.title;
     }
   }
 }
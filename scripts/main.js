@@ -1,24 +1,46 @@
+import AuraHandler from './effects/aura-handler.js';
 import ChatHandler from './ui/chat-handler.js';
 import Constants from './constants.js';
 import Controls from './ui/controls.js';
 import EffectDefinitionsDelegate from './systems/effect-definitions-delegate.js';
+import EffectHandler from './effects/effect-handler.js';
 import EffectHelpers from './effects/effect-helpers.js';
+import EffectIdMigrator from './effects/effect-id-migrator.js';
 import EffectInterface from './effect-interface.js';
+import ExpiryHandler from './effects/expiry-handler.js';
 import FoundryHelpers from './util/foundry-helpers.js';
 import HandlebarHelpers from './ui/handlebar-helpers.js';
+import Keybindings from './ui/keybindings.js';
 import MacroHandler from './ui/macro-handler.js';
+import PendingRequestsHandler from './effects/pending-requests-handler.js';
+import RecurringDamageHandler from './effects/recurring-damage-handler.js';
+import RecurringSaveHandler from './effects/recurring-save-handler.js';
 import Settings from './settings.js';
 import StatusEffects from './effects/status-effects.js';
 import TextEnrichers from './ui/text-enrichers.js';
+import { addAuraToEffectConfig } from './ui/add-aura-to-effect-config.js';
+import { addConcentrationToEffectConfig } from './ui/add-concentration-to-effect-config.js';
+import { addExclusiveGroupToEffectConfig } from './ui/add-exclusive-group-to-effect-config.js';
+import { addImpliedEffectsToEffectConfig } from './ui/add-implied-effects-to-effect-config.js';
 import { addNestedEffectsToEffectConfig } from './ui/add-nested-effects-to-effect-config.js';
+import { addParametersToEffectConfig } from './ui/add-parameters-to-effect-config.js';
+import { addRecurringDamageToEffectConfig } from './ui/add-recurring-damage-to-effect-config.js';
+import { addRecurringSaveToEffectConfig } from './ui/add-recurring-save-to-effect-config.js';
+import { addStacksToEffectConfig } from './ui/add-stacks-to-effect-config.js';
+import { addSubEffectsToEffectConfig } from './ui/add-sub-effects-to-effect-config.js';
+import { addTurnDurationToEffectConfig } from './ui/add-turn-duration-to-effect-config.js';
 import { libWrapper } from './lib/shim.js';
 import { removeCustomItemFromSidebar } from './ui/remove-custom-item-from-sidebar.js';
 
+// Kept for the whole session since it debounces and queues its refreshes
+let auraHandler;
+
 /**
- * Initialize the settings and handlebar helpers
+ * Initialize the settings, keybindings, and handlebar helpers
  */
 Hooks.once('init', () => {
   new Settings().registerSettings();
+  new Keybindings().registerKeybindings();
   new HandlebarHelpers().registerHelpers();
   new TextEnrichers().initialize();
 });
@@ -35,20 +57,44 @@ Hooks.once('socketlib.ready', () => {
 });
 
 /**
- * Handle creating the custom effects ID on ready
+ * Handle creating the custom effects ID, migrating to effect IDs, and
+ * replaying requests queued while no GM was connected on ready
  */
 Hooks.once('ready', async () => {
   const settings = new Settings();
 
   if (game.user.isGM && !settings.customEffectsItemId) {
     const item = await CONFIG.Item.documentClass.create({
-      name: 'Custom Convenient Effects',
+      name: game.i18n.localize('ConvenientEffects.CustomEffects.ItemName'),
       img: 'modules/dfreds-convenient-effects/images/magic-palm.svg',
       type: 'consumable',
     });
 
     await settings.setCustomEffectsItemId(item.id);
   }
+
+  await new EffectIdMigrator().migrate();
+
+  if (game.user.isGM) {
+    await game.dfreds.effectInterface.replayPendingRequests();
+  } else {
+    new PendingRequestsHandler().notifyPendingRequests();
+  }
+});
+
+/**
+ * Handle setting up the auras once the system is known
+ */
+Hooks.once('ready', () => {
+  auraHandler = new AuraHandler();
+  auraHandler.refreshAuras();
+});
+
+/**
+ * Handle telling players when a GM picks up their pending requests
+ */
+Hooks.on('updateUser', (user, changes) => {
+  new PendingRequestsHandler().onUserUpdated(user, changes);
 });
 
 /**
@@ -100,6 +146,15 @@ Hooks.once('setup', () => {
     }
   );
 
+  const effectHelpers = new EffectHelpers();
+  libWrapper.register(
+    Constants.MODULE_ID,
+    'ActiveEffect.prototype.apply',
+    function (wrapper, actor, change, ...args) {
+      return wrapper(actor, effectHelpers.resolveChange(this, change), ...args);
+    }
+  );
+
   Hooks.callAll(`${Constants.MODULE_ID}.initialize`);
 });
 
@@ -118,12 +173,31 @@ Hooks.on('getSceneControlButtons', (controls) => {
   new Controls().initializeControls(controls);
 });
 
+/**
+ * Handle updating the actors the app shows a click will affect as tokens are
+ * selected and targeted
+ */
+Hooks.on('controlToken', () => {
+  new FoundryHelpers().refreshTargetPreviewIfOpen();
+});
+
+Hooks.on('targetToken', (user) => {
+  if (user !== game.user) return;
+
+  new FoundryHelpers().refreshTargetPreviewIfOpen();
+});
+
 /**
  * Handle creating a chat message if an effect is added
  */
-Hooks.on('preCreateActiveEffect', (activeEffect, _config, userId) => {
+Hooks.on('preCreateActiveEffect', (activeEffect, _data, options, userId) => {
   if (game.user.id !== userId) return;
 
+  // Effects created together are summarized in a single chat message, and
+  // effects created automatically, such as by auras, are not announced
+  const moduleOptions = options[Constants.MODULE_ID];
+  if (moduleOptions?.isBatch || moduleOptions?.isSilent) return;
+
   const effectHelpers = new EffectHelpers();
   if (
     !effectHelpers.isConvenient(activeEffect) ||
@@ -134,9 +208,10 @@ Hooks.on('preCreateActiveEffect', (activeEffect, _config, userId) => {
   const chatHandler = new ChatHandler();
   chatHandler.createChatForEffect({
     effectName: activeEffect?.name,
-    reason: 'Applied to',
+    reason: game.i18n.localize('ConvenientEffects.Chat.AppliedTo'),
     actor: activeEffect?.parent,
     isCreateActiveEffect: true,
+    activeEffect,
   });
 });
 
@@ -173,9 +248,12 @@ Hooks.on('updateActiveEffect', (activeEffect, _config, userId) => {
 /**
  * Handle creating a chat message if an effect has expired or was removed
  */
-Hooks.on('preDeleteActiveEffect', (activeEffect, _config, userId) => {
+Hooks.on('preDeleteActiveEffect', (activeEffect, options, userId) => {
   if (game.user.id !== userId) return;
 
+  // Effects removed together are summarized in a single chat message
+  if (options[Constants.MODULE_ID]?.isBatch) return;
+
   const effectHelpers = new EffectHelpers();
   if (
     !effectHelpers.isConvenient(activeEffect) ||
@@ -190,7 +268,11 @@ Hooks.on('preDeleteActiveEffect', (activeEffect, _config, userId) => {
   const chatHandler = new ChatHandler();
   chatHandler.createChatForEffect({
     effectName: activeEffect?.name,
-    reason: isExpired ? 'Expired from' : 'Removed from',
+    reason: game.i18n.localize(
+      isExpired
+        ? 'ConvenientEffects.Chat.ExpiredFrom'
+        : 'ConvenientEffects.Chat.RemovedFrom'
+    ),
     actor: activeEffect?.parent,
     isCreateActiveEffect: false,
   });
@@ -216,19 +298,102 @@ Hooks.on('deleteActiveEffect', (activeEffect, _config, userId) => {
     return;
   }
 
-  // Remove effects that were added due to this effect
+  // Remove the sub-effects that were added with this instance of the effect,
+  // and implied effects that nothing else on the actor implies anymore
   const actor = activeEffect.parent;
-  const effectIdsFromThisEffect = actor.effects
-    .filter(
-      (effect) => effect.origin === effectHelpers.getId(activeEffect.name)
-    )
-    .map((effect) => effect.id);
+  const effectIdsFromThisEffect = [
+    ...actor.effects.filter((effect) =>
+      effectHelpers.isSubEffectOf(effect, activeEffect)
+    ),
+    ...effectHelpers.findOrphanedImpliedEffects(actor, [activeEffect]),
+  ].map((effect) => effect.id);
 
   if (effectIdsFromThisEffect) {
     actor.deleteEmbeddedDocuments('ActiveEffect', effectIdsFromThisEffect);
   }
 });
 
+/**
+ * Handle removing the effects maintained by concentration when it ends
+ * outside of the module, such as from the actor sheet. The GM removes them
+ * since they can be on actors the user does not own.
+ */
+Hooks.on('deleteActiveEffect', (activeEffect, options) => {
+  if (game.user !== game.users.activeGM) return;
+
+  // Removals made by the module remove the linked effects themselves
+  if (options[Constants.MODULE_ID]) return;
+
+  const effectHelpers = new EffectHelpers();
+  if (!effectHelpers.getConcentration(activeEffect)) return;
+
+  new EffectHandler().removeConcentrationLinks([activeEffect]);
+});
+
+/**
+ * Handle removing expired effects when a combatant's turn starts or ends
+ */
+Hooks.on('updateCombat', (combat, changes) => {
+  new ExpiryHandler().onUpdateCombat(combat, changes);
+});
+
+/**
+ * Handle dealing damage over time when a combatant's turn starts or ends
+ */
+Hooks.on('updateCombat', (combat, changes) => {
+  new RecurringDamageHandler().onUpdateCombat(combat, changes);
+});
+
+/**
+ * Handle asking for recurring saves when a combatant's turn starts or ends
+ */
+Hooks.on('updateCombat', (combat, changes) => {
+  new RecurringSaveHandler().onUpdateCombat(combat, changes);
+});
+
+/**
+ * Handle removing expired effects as time passes
+ */
+Hooks.on('updateWorldTime', () => {
+  new ExpiryHandler().onUpdateWorldTime();
+});
+
+/**
+ * Handle giving and removing aura effects as tokens move in and out of range
+ */
+Hooks.on('updateToken', (token, changes) => {
+  auraHandler?.onUpdateToken(token, changes);
+});
+
+/**
+ * Handle refreshing auras when tokens are added to or removed from a scene
+ */
+Hooks.on('createToken', (token) => {
+  auraHandler?.onChangeToken(token);
+});
+
+Hooks.on('deleteToken', (token) => {
+  auraHandler?.onChangeToken(token);
+});
+
+/**
+ * Handle refreshing auras when an aura effect is added or changed
+ */
+Hooks.on('createActiveEffect', (activeEffect) => {
+  auraHandler?.onChangeActiveEffect(activeEffect);
+});
+
+Hooks.on('updateActiveEffect', (activeEffect) => {
+  auraHandler?.onChangeActiveEffect(activeEffect);
+});
+
+/**
+ * Handle removing every effect an aura gave once the aura effect is removed
+ */
+Hooks.on('deleteActiveEffect', (activeEffect) => {
+  auraHandler?.onDeleteActiveEffect(activeEffect);
+});
+
 /**
  * Handle changing the rendered active effect config
  */
@@ -237,13 +402,23 @@ Hooks.on(
   async (activeEffectConfig, $html, _data) => {
     const settings = new Settings();
 
-    // Only add nested effects if the effect exists on the custom effect item
+    // Only add the convenient options if the effect exists on the custom effect item
     if (
       !activeEffectConfig.object.parent ||
       activeEffectConfig.object.parent.id != settings.customEffectsItemId
     )
       return;
-    addNestedEffectsToEffectConfig(activeEffectConfig, $html);
+    await addNestedEffectsToEffectConfig(activeEffectConfig, $html);
+    await addSubEffectsToEffectConfig(activeEffectConfig, $html);
+    await addStacksToEffectConfig(activeEffectConfig, $html);
+    await addExclusiveGroupToEffectConfig(activeEffectConfig, $html);
+    await addImpliedEffectsToEffectConfig(activeEffectConfig, $html);
+    await addParametersToEffectConfig(activeEffectConfig, $html);
+    await addConcentrationToEffectConfig(activeEffectConfig, $html);
+    await addTurnDurationToEffectConfig(activeEffectConfig, $html);
+    await addRecurringSaveToEffectConfig(activeEffectConfig, $html);
+    await addRecurringDamageToEffectConfig(activeEffectConfig, $html);
+    await addAuraToEffectConfig(activeEffectConfig, $html);
   }
 );
 
@@ -265,7 +440,7 @@ Hooks.on('closeActiveEffectConfig', (activeEffectConfig, _html) => {
  * Handle dropping an effect onto the hotbar
  */
 Hooks.on('hotbarDrop', (_bar, data, slot) => {
-  if (!data.effectName) return;
+  if (!data.effectId && !data.effectName) return;
   delete data.type; // This stops dnd5e from creating its own macro by obscuring that the drop data is an ActiveEffect
   const macroHandler = new MacroHandler();
   macroHandler.createMacro(data, slot);
@@ -275,15 +450,16 @@ Hooks.on('hotbarDrop', (_bar, data, slot) => {
  * Handle dropping an effect onto an actor sheet
  */
 Hooks.on('dropActorSheetData', (actor, _actorSheetCharacter, data) => {
-  if (!data.effectName) return;
+  if (!data.effectId && !data.effectName) return;
 
-  const effect = game.dfreds.effectInterface.findEffectByName(data.effectName);
+  const effectIdOrName = data.effectId ?? data.effectName;
+  const effect = game.dfreds.effectInterface.findEffect(effectIdOrName);
 
   // core will handle the drop since we are not using a nested effect
-  if (!game.dfreds.effectInterface.hasNestedEffects(effect)) return;
+  if (!effect || !game.dfreds.effectInterface.hasNestedEffects(effect)) return;
 
   game.dfreds.effectInterface.addEffect({
-    effectName: data.effectName,
+    effectName: effectIdOrName,
     uuid: actor.uuid,
   });
 });
@@ -302,7 +478,9 @@ Hooks.on('renderChatMessage', (message, html) => {
     if (game.dfreds.effectInterface.findEffectByName(name)) {
       // build a button
       const button = document.createElement('button');
-      button.textContent = 'Add Convenient Effect';
+      button.textContent = game.i18n.localize(
+        'ConvenientEffects.Chat.AddEffectButton'
+      );
       button.onclick = () => game.dfreds.effectInterface.toggleEffect(name);
 
       // construct empty card-buttons if it doesn't exist (e.g. quick-roll from Ready Set Roll)
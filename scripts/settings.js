@@ -7,10 +7,13 @@ export default class Settings {
   // Config setting keys
   static ALLOW_PLAYER_CUSTOM_EFFECTS = 'allowPlayerCustomEffects';
   static APP_CONTROLS_PERMISSION = 'controlsPermission';
+  static AUTO_EXPIRE_EFFECTS = 'autoExpireEffects';
   static CHAT_MESSAGE_PERMISSION = 'chatMessagePermission';
   static INTEGRATE_WITH_ATE = 'integrateWithAtl';
   static INTEGRATE_WITH_TOKEN_MAGIC = 'integrateWithTokenMagic';
   static MODIFY_STATUS_EFFECTS = 'modifyStatusEffects';
+  static NO_GM_FALLBACK = 'noGmFallback';
+  static PLAYER_EFFECT_PERMISSION = 'playerEffectPermission';
   static PRIORITIZE_TARGETS = 'prioritizeTargets';
   static SEND_CHAT_TO_ACTOR_OWNER = 'sendChatToActorOwner';
   static SHOW_CHAT_MESSAGE_EFFECT_DESCRIPTION = 'chatMessageEffectDescription';
@@ -21,6 +24,15 @@ export default class Settings {
   // Non-config setting keys
   static CUSTOM_EFFECTS_ITEM_ID = 'customEffectsItemId';
   static EXPANDED_FOLDERS = 'expandedFolders';
+  static EXPIRY_EXCLUDED_EFFECT_IDS = 'expiryExcludedEffectIds';
+  static FAVORITE_EFFECT_IDS = 'favoriteEffectIds';
+  static GM_ONLY_EFFECT_IDS = 'gmOnlyEffectIds';
+  static HAS_MIGRATED_EFFECT_IDS = 'hasMigratedEffectIds';
+  static HAS_MIGRATED_FAVORITE_EFFECT_IDS = 'hasMigratedFavoriteEffectIds';
+  static STATUS_EFFECT_IDS = 'statusEffectIds';
+  static TARGET_MODE = 'targetMode';
+
+  // Legacy setting keys, only read to migrate them to effect IDs
   static FAVORITE_EFFECT_NAMES = 'favoriteEffectNames';
   static STATUS_EFFECT_NAMES = 'statusEffectNames';
 
@@ -34,18 +46,22 @@ export default class Settings {
 
   _registerConfigSettings() {
     const userRoles = {};
-    userRoles[CONST.USER_ROLES.PLAYER] = 'Player';
-    userRoles[CONST.USER_ROLES.TRUSTED] = 'Trusted Player';
-    userRoles[CONST.USER_ROLES.ASSISTANT] = 'Assistant GM';
-    userRoles[CONST.USER_ROLES.GAMEMASTER] = 'Game Master';
-    userRoles[5] = 'None';
+    userRoles[CONST.USER_ROLES.PLAYER] =
+      'ConvenientEffects.Settings.UserRoles.Player';
+    userRoles[CONST.USER_ROLES.TRUSTED] =
+      'ConvenientEffects.Settings.UserRoles.Trusted';
+    userRoles[CONST.USER_ROLES.ASSISTANT] =
+      'ConvenientEffects.Settings.UserRoles.Assistant';
+    userRoles[CONST.USER_ROLES.GAMEMASTER] =
+      'ConvenientEffects.Settings.UserRoles.GameMaster';
+    userRoles[5] = 'ConvenientEffects.Settings.UserRoles.None';
 
     game.settings.register(
       Constants.MODULE_ID,
       Settings.APP_CONTROLS_PERMISSION,
       {
-        name: 'App Controls Permission',
-        hint: 'This defines the minimum permission level to see and apply Convenient Effects through the application via the button on token controls. Setting this to None will disable the button entirely.',
+        name: 'ConvenientEffects.Settings.AppControlsPermission.Name',
+        hint: 'ConvenientEffects.Settings.AppControlsPermission.Hint',
         scope: 'world',
         config: true,
         default: CONST.USER_ROLES.GAMEMASTER,
@@ -59,15 +75,16 @@ export default class Settings {
       Constants.MODULE_ID,
       Settings.MODIFY_STATUS_EFFECTS,
       {
-        name: 'Modify Status Effects',
-        hint: 'This is how status effects on the token HUD will be modified. Replacing them means all other status effects will be removed in favor of the conditions provided by Convenient Effects. Adding them means they are appended to the end of the existing status effects. Requires a Foundry reload on change.',
+        name: 'ConvenientEffects.Settings.ModifyStatusEffects.Name',
+        hint: 'ConvenientEffects.Settings.ModifyStatusEffects.Hint',
         scope: 'world',
         config: true,
         default: 'none',
         choices: {
-          none: 'None',
-          replace: 'Replace',
-          add: 'Add',
+          none: 'ConvenientEffects.Settings.ModifyStatusEffects.Choices.None',
+          replace:
+            'ConvenientEffects.Settings.ModifyStatusEffects.Choices.Replace',
+          add: 'ConvenientEffects.Settings.ModifyStatusEffects.Choices.Add',
         },
         type: String,
         requiresReload: true,
@@ -78,14 +95,16 @@ export default class Settings {
       Constants.MODULE_ID,
       Settings.STATUS_EFFECTS_SORT_ORDER,
       {
-        name: 'Status Effects Sort Order',
-        hint: 'This is how status effects are sorted in the token HUD. Requires a Foundry reload on change.',
+        name: 'ConvenientEffects.Settings.StatusEffectsSortOrder.Name',
+        hint: 'ConvenientEffects.Settings.StatusEffectsSortOrder.Hint',
         scope: 'world',
         config: true,
         default: 'none',
         choices: {
-          byOrderAdded: 'By Order Added',
-          alphabetical: 'Alphabetical',
+          byOrderAdded:
+            'ConvenientEffects.Settings.StatusEffectsSortOrder.Choices.ByOrderAdded',
+          alphabetical:
+            'ConvenientEffects.Settings.StatusEffectsSortOrder.Choices.Alphabetical',
         },
         type: String,
         requiresReload: true,
@@ -96,8 +115,8 @@ export default class Settings {
       Constants.MODULE_ID,
       Settings.CHAT_MESSAGE_PERMISSION,
       {
-        name: 'Chat Message Permission',
-        hint: 'This defines the minimum permission level to see chat messages when effects are applied, removed, or expire. Setting this to None will never show chat messages.',
+        name: 'ConvenientEffects.Settings.ChatMessagePermission.Name',
+        hint: 'ConvenientEffects.Settings.ChatMessagePermission.Hint',
         scope: 'world',
         config: true,
         default: CONST.USER_ROLES.GAMEMASTER,
@@ -110,15 +129,18 @@ export default class Settings {
       Constants.MODULE_ID,
       Settings.SHOW_CHAT_MESSAGE_EFFECT_DESCRIPTION,
       {
-        name: 'Show Chat Message Effect Description',
-        hint: 'This is when effect descriptions are shown on chat messages.',
+        name: 'ConvenientEffects.Settings.ShowChatMessageEffectDescription.Name',
+        hint: 'ConvenientEffects.Settings.ShowChatMessageEffectDescription.Hint',
         scope: 'world',
         config: true,
         default: 'onAddOrRemove',
         choices: {
-          onAddOrRemove: 'On Add or Remove',
-          onAddOnly: 'On Add Only',
-          never: 'Never',
+          onAddOrRemove:
+            'ConvenientEffects.Settings.ShowChatMessageEffectDescription.Choices.OnAddOrRemove',
+          onAddOnly:
+            'ConvenientEffects.Settings.ShowChatMessageEffectDescription.Choices.OnAddOnly',
+          never:
+            'ConvenientEffects.Settings.ShowChatMessageEffectDescription.Choices.Never',
         },
         type: String,
       }
@@ -128,8 +150,8 @@ export default class Settings {
       Constants.MODULE_ID,
       Settings.SEND_CHAT_TO_ACTOR_OWNER,
       {
-        name: 'Send Chat to Actor Owner',
-        hint: 'If enabled, this will also send effect chat messages to the users that own the affected actor.',
+        name: 'ConvenientEffects.Settings.SendChatToActorOwner.Name',
+        hint: 'ConvenientEffects.Settings.SendChatToActorOwner.Hint',
         scope: 'world',
         config: true,
         default: false,
@@ -138,8 +160,8 @@ export default class Settings {
     );
 
     game.settings.register(Constants.MODULE_ID, Settings.ADD_CHAT_BUTTON, {
-      name: 'Add Button to Chat',
-      hint: 'If enabled, add a button to item chat cards to add the matching convenient effect by name.',
+      name: 'ConvenientEffects.Settings.AddChatButton.Name',
+      hint: 'ConvenientEffects.Settings.AddChatButton.Hint',
       scope: 'world',
       config: true,
       default: false,
@@ -150,8 +172,8 @@ export default class Settings {
       Constants.MODULE_ID,
       Settings.ALLOW_PLAYER_CUSTOM_EFFECTS,
       {
-        name: 'Allow Player Custom Effects',
-        hint: 'If enabled, players will be allowed to create, duplicate, edit, and delete all custom effects.',
+        name: 'ConvenientEffects.Settings.AllowPlayerCustomEffects.Name',
+        hint: 'ConvenientEffects.Settings.AllowPlayerCustomEffects.Hint',
         scope: 'world',
         config: true,
         default: false,
@@ -168,9 +190,60 @@ export default class Settings {
       }
     );
 
+    game.settings.register(
+      Constants.MODULE_ID,
+      Settings.PLAYER_EFFECT_PERMISSION,
+      {
+        name: 'ConvenientEffects.Settings.PlayerEffectPermission.Name',
+        hint: 'ConvenientEffects.Settings.PlayerEffectPermission.Hint',
+        scope: 'world',
+        config: true,
+        default: 'any',
+        choices: {
+          any: 'ConvenientEffects.Settings.PlayerEffectPermission.Choices.Any',
+          owned:
+            'ConvenientEffects.Settings.PlayerEffectPermission.Choices.Owned',
+          ownedOrTargeted:
+            'ConvenientEffects.Settings.PlayerEffectPermission.Choices.OwnedOrTargeted',
+        },
+        type: String,
+      }
+    );
+
+    game.settings.register(Constants.MODULE_ID, Settings.NO_GM_FALLBACK, {
+      name: 'ConvenientEffects.Settings.NoGmFallback.Name',
+      hint: 'ConvenientEffects.Settings.NoGmFallback.Hint',
+      scope: 'world',
+      config: true,
+      default: 'none',
+      choices: {
+        none: 'ConvenientEffects.Settings.NoGmFallback.Choices.None',
+        owned: 'ConvenientEffects.Settings.NoGmFallback.Choices.Owned',
+        ownedOrQueue:
+          'ConvenientEffects.Settings.NoGmFallback.Choices.OwnedOrQueue',
+      },
+      type: String,
+    });
+
+    game.settings.register(Constants.MODULE_ID, Settings.AUTO_EXPIRE_EFFECTS, {
+      name: 'ConvenientEffects.Settings.AutoExpireEffects.Name',
+      hint: 'ConvenientEffects.Settings.AutoExpireEffects.Hint',
+      scope: 'world',
+      config: true,
+      default: 'none',
+      choices: {
+        none: 'ConvenientEffects.Settings.AutoExpireEffects.Choices.None',
+        startOfTurn:
+          'ConvenientEffects.Settings.AutoExpireEffects.Choices.StartOfTurn',
+        endOfTurn:
+          'ConvenientEffects.Settings.AutoExpireEffects.Choices.EndOfTurn',
+      },
+      type: String,
+    });
+
     game.settings.register(Constants.MODULE_ID, Settings.INTEGRATE_WITH_ATE, {
-      name: 'Integrate with ATE',
-      hint: 'If enabled, certain effects will also change light emitted from tokens or the size of a token via Active Token Effects.',
+      name: 'ConvenientEffects.Settings.IntegrateWithAte.Name',
+      hint: 'ConvenientEffects.Settings.IntegrateWithAte.Hint',
       scope: 'world',
       config: true,
       default: true,
@@ -181,8 +254,8 @@ export default class Settings {
       Constants.MODULE_ID,
       Settings.INTEGRATE_WITH_TOKEN_MAGIC,
       {
-        name: 'Integrate with Token Magic',
-        hint: 'If enabled, certain effects will also apply a token magic filter to tokens via Token Magic.',
+        name: 'ConvenientEffects.Settings.IntegrateWithTokenMagic.Name',
+        hint: 'ConvenientEffects.Settings.IntegrateWithTokenMagic.Hint',
         scope: 'world',
         config: true,
         default: true,
@@ -191,8 +264,8 @@ export default class Settings {
     );
 
     game.settings.register(Constants.MODULE_ID, Settings.PRIORITIZE_TARGETS, {
-      name: 'Prioritize Targets',
-      hint: 'If enabled, effects will be applied to any targeted tokens instead of selected tokens.',
+      name: 'ConvenientEffects.Settings.PrioritizeTargets.Name',
+      hint: 'ConvenientEffects.Settings.PrioritizeTargets.Hint',
       scope: 'client',
       config: true,
       default: false,
@@ -200,8 +273,8 @@ export default class Settings {
     });
 
     game.settings.register(Constants.MODULE_ID, Settings.SHOW_NESTED_EFFECTS, {
-      name: 'Show Nested Effects',
-      hint: 'If enabled, nested effects will be shown in the application.',
+      name: 'ConvenientEffects.Settings.ShowNestedEffects.Name',
+      hint: 'ConvenientEffects.Settings.ShowNestedEffects.Hint',
       scope: 'client',
       config: true,
       default: false,
@@ -210,6 +283,74 @@ export default class Settings {
   }
 
   _registerNonConfigSettings() {
+    game.settings.register(Constants.MODULE_ID, Settings.FAVORITE_EFFECT_IDS, {
+      name: 'Favorite Effect IDs',
+      scope: 'client',
+      config: false,
+      default: [],
+      type: Array,
+    });
+
+    game.settings.register(Constants.MODULE_ID, Settings.STATUS_EFFECT_IDS, {
+      name: 'Status Effect IDs',
+      scope: 'world',
+      config: false,
+      default: this._defaultStatusEffectIds,
+      type: Array,
+    });
+
+    game.settings.register(Constants.MODULE_ID, Settings.GM_ONLY_EFFECT_IDS, {
+      name: 'GM Only Effect IDs',
+      scope: 'world',
+      config: false,
+      default: [],
+      type: Array,
+    });
+
+    game.settings.register(Constants.MODULE_ID, Settings.TARGET_MODE, {
+      name: 'Target Mode',
+      scope: 'client',
+      config: false,
+      default: Constants.TARGET_MODES.AUTO,
+      type: String,
+    });
+
+    game.settings.register(
+      Constants.MODULE_ID,
+      Settings.EXPIRY_EXCLUDED_EFFECT_IDS,
+      {
+        name: 'Expiry Excluded Effect IDs',
+        scope: 'world',
+        config: false,
+        default: [],
+        type: Array,
+      }
+    );
+
+    game.settings.register(
+      Constants.MODULE_ID,
+      Settings.HAS_MIGRATED_EFFECT_IDS,
+      {
+        name: 'Has Migrated Effect IDs',
+        scope: 'world',
+        config: false,
+        default: false,
+        type: Boolean,
+      }
+    );
+
+    game.settings.register(
+      Constants.MODULE_ID,
+      Settings.HAS_MIGRATED_FAVORITE_EFFECT_IDS,
+      {
+        name: 'Has Migrated Favorite Effect IDs',
+        scope: 'client',
+        config: false,
+        default: false,
+        type: Boolean,
+      }
+    );
+
     game.settings.register(
       Constants.MODULE_ID,
       Settings.FAVORITE_EFFECT_NAMES,
@@ -251,6 +392,33 @@ export default class Settings {
     );
   }
 
+  get _defaultStatusEffectIds() {
+    return [
+      'ce-blinded',
+      'ce-charmed',
+      'ce-concentrating',
+      'ce-dead',
+      'ce-deafened',
+      'ce-exhaustion-1',
+      'ce-exhaustion-2',
+      'ce-exhaustion-3',
+      'ce-exhaustion-4',
+      'ce-exhaustion-5',
+      'ce-frightened',
+      'ce-grappled',
+      'ce-incapacitated',
+      'ce-invisible',
+      'ce-paralyzed',
+      'ce-petrified',
+      'ce-poisoned',
+      'ce-prone',
+      'ce-restrained',
+      'ce-stunned',
+      'ce-unconscious',
+      'ce-wounded',
+    ];
+  }
+
   get _defaultStatusEffectNames() {
     return [
       'Blinded',
@@ -376,6 +544,60 @@ export default class Settings {
     return game.settings.get(Constants.MODULE_ID, Settings.PRIORITIZE_TARGETS);
   }
 
+  /**
+   * Returns the game setting for which actors the app applies effects to
+   *
+   * @returns {string} the target mode chosen in the app, such as `selected`
+   * or `targeted`
+   */
+  get targetMode() {
+    return game.settings.get(Constants.MODULE_ID, Settings.TARGET_MODE);
+  }
+
+  /**
+   * Sets which actors the app applies effects to
+   *
+   * @param {string} targetMode - the target mode to use
+   * @returns {Promise} a promise that resolves when the settings update is complete
+   */
+  async setTargetMode(targetMode) {
+    return game.settings.set(
+      Constants.MODULE_ID,
+      Settings.TARGET_MODE,
+      targetMode
+    );
+  }
+
+  /**
+   * Returns the game setting for which actors players can modify effects on
+   *
+   * @returns {string} a string representing the chosen player effect permission
+   */
+  get playerEffectPermission() {
+    return game.settings.get(
+      Constants.MODULE_ID,
+      Settings.PLAYER_EFFECT_PERMISSION
+    );
+  }
+
+  /**
+   * Returns the game setting for how effects are modified when no GM is connected
+   *
+   * @returns {string} a string representing the chosen fallback
+   */
+  get noGmFallback() {
+    return game.settings.get(Constants.MODULE_ID, Settings.NO_GM_FALLBACK);
+  }
+
+  /**
+   * Returns the game setting for when expired effects are removed
+   *
+   * @returns {string} a string representing the chosen expiry timing
+   */
+  get autoExpireEffects() {
+    return game.settings.get(Constants.MODULE_ID, Settings.AUTO_EXPIRE_EFFECTS);
+  }
+
   /**
    * Returns the game setting for the chat effect description
    *
@@ -410,105 +632,239 @@ export default class Settings {
   }
 
   /**
-   * Returns the game setting for the favorite effect names
+   * Returns the game setting for the favorite effect IDs
    *
-   * @returns {String[]} the names of all the favorite effects
+   * @returns {String[]} the IDs of all the favorite effects
    */
-  get favoriteEffectNames() {
-    return game.settings.get(
-      Constants.MODULE_ID,
-      Settings.FAVORITE_EFFECT_NAMES
-    );
+  get favoriteEffectIds() {
+    return game.settings.get(Constants.MODULE_ID, Settings.FAVORITE_EFFECT_IDS);
   }
 
   /**
-   * Adds a given effect name to the saved favorite settings
+   * Adds a given effect ID to the saved favorite settings
    *
-   * @param {string} name - the name of the effect to add to favorites
+   * @param {string} id - the ID of the effect to add to favorites
    * @returns {Promise} a promise that resolves when the settings update is complete
    */
-  async addFavoriteEffect(name) {
-    let favoriteEffectsArray = this.favoriteEffectNames;
-    favoriteEffectsArray.push(name);
+  async addFavoriteEffect(id) {
+    let favoriteEffectsArray = this.favoriteEffectIds;
+    favoriteEffectsArray.push(id);
 
     favoriteEffectsArray = [...new Set(favoriteEffectsArray)]; // remove duplicates
 
+    return this.setFavoriteEffects(favoriteEffectsArray);
+  }
+
+  /**
+   * Removes a given effect ID from the saved favorite settings
+   *
+   * @param {string} id - the ID of the effect to remove from favorites
+   * @returns {Promise} a promise that resolves when the settings update is complete
+   */
+  async removeFavoriteEffect(id) {
+    let favoriteEffectsArray = this.favoriteEffectIds.filter(
+      (favoriteEffect) => favoriteEffect !== id
+    );
+    return this.setFavoriteEffects(favoriteEffectsArray);
+  }
+
+  /**
+   * Replaces the saved favorite settings with the given effect IDs
+   *
+   * @param {string[]} ids - the IDs of the favorite effects
+   * @returns {Promise} a promise that resolves when the settings update is complete
+   */
+  async setFavoriteEffects(ids) {
     return game.settings.set(
       Constants.MODULE_ID,
-      Settings.FAVORITE_EFFECT_NAMES,
-      favoriteEffectsArray
+      Settings.FAVORITE_EFFECT_IDS,
+      ids
     );
   }
 
   /**
-   * Removes a given effect name from the saved favorite settings
+   * Checks if the given effect ID is favorited
+   *
+   * @param {string} id - the effect ID to search for
+   * @returns {boolean} true if the effect is favorited, false otherwise
+   */
+  isFavoritedEffect(id) {
+    return this.favoriteEffectIds.includes(id);
+  }
+
+  /**
+   * Returns the game setting for the GM only effect IDs
+   *
+   * @returns {String[]} the IDs of all the effects only the GM can modify
+   */
+  get gmOnlyEffectIds() {
+    return game.settings.get(Constants.MODULE_ID, Settings.GM_ONLY_EFFECT_IDS);
+  }
+
+  /**
+   * Adds a given effect ID to the saved GM only effect settings
    *
-   * @param {string} name - the name of the effect to remove from favorites
+   * @param {string} id - the ID of the effect to make GM only
    * @returns {Promise} a promise that resolves when the settings update is complete
    */
-  async removeFavoriteEffect(name) {
-    let favoriteEffectsArray = this.favoriteEffectNames.filter(
-      (favoriteEffect) => favoriteEffect !== name
+  async addGmOnlyEffect(id) {
+    let gmOnlyEffectsArray = this.gmOnlyEffectIds;
+    gmOnlyEffectsArray.push(id);
+
+    gmOnlyEffectsArray = [...new Set(gmOnlyEffectsArray)]; // remove duplicates
+
+    return this.setGmOnlyEffects(gmOnlyEffectsArray);
+  }
+
+  /**
+   * Removes a given effect ID from the saved GM only effect settings
+   *
+   * @param {string} id - the ID of the effect to no longer make GM only
+   * @returns {Promise} a promise that resolves when the settings update is complete
+   */
+  async removeGmOnlyEffect(id) {
+    let gmOnlyEffectsArray = this.gmOnlyEffectIds.filter(
+      (gmOnlyEffect) => gmOnlyEffect !== id
     );
+    return this.setGmOnlyEffects(gmOnlyEffectsArray);
+  }
+
+  /**
+   * Replaces the saved GM only effect settings with the given effect IDs
+   *
+   * @param {string[]} ids - the IDs of the effects to make GM only
+   * @returns {Promise} a promise that resolves when the settings update is complete
+   */
+  async setGmOnlyEffects(ids) {
     return game.settings.set(
       Constants.MODULE_ID,
-      Settings.FAVORITE_EFFECT_NAMES,
-      favoriteEffectsArray
+      Settings.GM_ONLY_EFFECT_IDS,
+      ids
     );
   }
 
   /**
-   * Checks if the given effect name is favorited
+   * Checks if the given effect ID can only be modified by the GM
    *
-   * @param {string} name - the effect name to search for
-   * @returns {boolean} true if the effect is favorited, false otherwise
+   * @param {string} id - the effect ID to search for
+   * @returns {boolean} true if the effect is GM only, false otherwise
    */
-  isFavoritedEffect(name) {
-    return this.favoriteEffectNames.includes(name);
+  isGmOnlyEffect(id) {
+    return this.gmOnlyEffectIds.includes(id);
   }
 
   /**
-   * Returns the game setting for the status effect names
+   * Returns the game setting for the IDs of the effects that never expire
    *
-   * @returns {String[]} the names of all the status effects
+   * @returns {String[]} the IDs of all the effects excluded from expiry
    */
-  get statusEffectNames() {
-    return game.settings.get(Constants.MODULE_ID, Settings.STATUS_EFFECT_NAMES);
+  get expiryExcludedEffectIds() {
+    return game.settings.get(
+      Constants.MODULE_ID,
+      Settings.EXPIRY_EXCLUDED_EFFECT_IDS
+    );
   }
 
   /**
-   * Adds a given effect name to the saved status effect settings
+   * Adds a given effect ID to the saved expiry excluded effect settings
    *
-   * @param {string} name - the name of the effect to add to status effects
+   * @param {string} id - the ID of the effect to exclude from expiry
    * @returns {Promise} a promise that resolves when the settings update is complete
    */
-  async addStatusEffect(name) {
-    let statusEffectsArray = this.statusEffectNames;
-    statusEffectsArray.push(name);
+  async addExpiryExcludedEffect(id) {
+    let expiryExcludedEffectsArray = this.expiryExcludedEffectIds;
+    expiryExcludedEffectsArray.push(id);
 
-    statusEffectsArray = [...new Set(statusEffectsArray)]; // remove duplicates
+    expiryExcludedEffectsArray = [...new Set(expiryExcludedEffectsArray)]; // remove duplicates
+
+    return this.setExpiryExcludedEffects(expiryExcludedEffectsArray);
+  }
 
+  /**
+   * Removes a given effect ID from the saved expiry excluded effect settings
+   *
+   * @param {string} id - the ID of the effect to no longer exclude from expiry
+   * @returns {Promise} a promise that resolves when the settings update is complete
+   */
+  async removeExpiryExcludedEffect(id) {
+    let expiryExcludedEffectsArray = this.expiryExcludedEffectIds.filter(
+      (expiryExcludedEffect) => expiryExcludedEffect !== id
+    );
+    return this.setExpiryExcludedEffects(expiryExcludedEffectsArray);
+  }
+
+  /**
+   * Replaces the saved expiry excluded effect settings with the given effect IDs
+   *
+   * @param {string[]} ids - the IDs of the effects to exclude from expiry
+   * @returns {Promise} a promise that resolves when the settings update is complete
+   */
+  async setExpiryExcludedEffects(ids) {
     return game.settings.set(
       Constants.MODULE_ID,
-      Settings.STATUS_EFFECT_NAMES,
-      statusEffectsArray
+      Settings.EXPIRY_EXCLUDED_EFFECT_IDS,
+      ids
     );
   }
 
   /**
-   * Removes a given effect name from the saved status effect settings
+   * Checks if the given effect ID is excluded from expiry
+   *
+   * @param {string} id - the effect ID to search for
+   * @returns {boolean} true if the effect never expires, false otherwise
+   */
+  isExpiryExcludedEffect(id) {
+    return this.expiryExcludedEffectIds.includes(id);
+  }
+
+  /**
+   * Returns the game setting for the status effect IDs
+   *
+   * @returns {String[]} the IDs of all the status effects
+   */
+  get statusEffectIds() {
+    return game.settings.get(Constants.MODULE_ID, Settings.STATUS_EFFECT_IDS);
+  }
+
+  /**
+   * Adds a given effect ID to the saved status effect settings
+   *
+   * @param {string} id - the ID of the effect to add to status effects
+   * @returns {Promise} a promise that resolves when the settings update is complete
+   */
+  async addStatusEffect(id) {
+    let statusEffectsArray = this.statusEffectIds;
+    statusEffectsArray.push(id);
+
+    statusEffectsArray = [...new Set(statusEffectsArray)]; // remove duplicates
+
+    return this.setStatusEffects(statusEffectsArray);
+  }
+
+  /**
+   * Removes a given effect ID from the saved status effect settings
    *
-   * @param {string} name - the name of the effect to remove from status effects
+   * @param {string} id - the ID of the effect to remove from status effects
    * @returns {Promise} a promise that resolves when the settings update is complete
    */
-  async removeStatusEffect(name) {
-    let statusEffectsArray = this.statusEffectNames.filter(
-      (statusEffect) => statusEffect !== name
+  async removeStatusEffect(id) {
+    let statusEffectsArray = this.statusEffectIds.filter(
+      (statusEffect) => statusEffect !== id
     );
+    return this.setStatusEffects(statusEffectsArray);
+  }
+
+  /**
+   * Replaces the saved status effect settings with the given effect IDs
+   *
+   * @param {string[]} ids - the IDs of the status effects
+   * @returns {Promise} a promise that resolves when the settings update is complete
+   */
+  async setStatusEffects(ids) {
     return game.settings.set(
       Constants.MODULE_ID,
-      Settings.STATUS_EFFECT_NAMES,
-      statusEffectsArray
+      Settings.STATUS_EFFECT_IDS,
+      ids
     );
   }
 
@@ -518,21 +874,93 @@ export default class Settings {
    * @returns {Promise} a promise that resolves when the settings update is complete
    */
   async resetStatusEffects() {
+    return this.setStatusEffects(this._defaultStatusEffectIds);
+  }
+
+  /**
+   * Checks if the given effect ID is a status effect
+   *
+   * @param {string} id - the effect ID to search for
+   * @returns {boolean} true if the effect is a status effect, false otherwise
+   */
+  isStatusEffect(id) {
+    return this.statusEffectIds.includes(id);
+  }
+
+  /**
+   * Returns the legacy game setting for the favorite effect names
+   *
+   * @returns {String[]} the names of all the favorite effects
+   */
+  get legacyFavoriteEffectNames() {
+    return game.settings.get(
+      Constants.MODULE_ID,
+      Settings.FAVORITE_EFFECT_NAMES
+    );
+  }
+
+  /**
+   * Returns the legacy game setting for the status effect names
+   *
+   * @returns {String[]} the names of all the status effects
+   */
+  get legacyStatusEffectNames() {
+    return game.settings.get(Constants.MODULE_ID, Settings.STATUS_EFFECT_NAMES);
+  }
+
+  /**
+   * Returns if the world settings, custom effects, and macros have been
+   * migrated from effect names to effect IDs
+   *
+   * @returns {boolean} true if the world has been migrated
+   */
+  get hasMigratedEffectIds() {
+    return game.settings.get(
+      Constants.MODULE_ID,
+      Settings.HAS_MIGRATED_EFFECT_IDS
+    );
+  }
+
+  /**
+   * Sets if the world has been migrated from effect names to effect IDs
+   *
+   * @param {boolean} value - true if the world has been migrated
+   * @returns {Promise} a promise that resolves when the settings update is complete
+   */
+  async setHasMigratedEffectIds(value) {
     return game.settings.set(
       Constants.MODULE_ID,
-      Settings.STATUS_EFFECT_NAMES,
-      this._defaultStatusEffectNames
+      Settings.HAS_MIGRATED_EFFECT_IDS,
+      value
     );
   }
 
   /**
-   * Checks if the given effect name is a status effect
+   * Returns if the client favorites have been migrated from effect names to
+   * effect IDs
    *
-   * @param {string} name - the effect name to search for
-   * @returns {boolean} true if the effect is a status effect, false otherwise
+   * @returns {boolean} true if the favorites have been migrated
    */
-  isStatusEffect(name) {
-    return this.statusEffectNames.includes(name);
+  get hasMigratedFavoriteEffectIds() {
+    return game.settings.get(
+      Constants.MODULE_ID,
+      Settings.HAS_MIGRATED_FAVORITE_EFFECT_IDS
+    );
+  }
+
+  /**
+   * Sets if the client favorites have been migrated from effect names to
+   * effect IDs
+   *
+   * @param {boolean} value - true if the favorites have been migrated
+   * @returns {Promise} a promise that resolves when the settings update is complete
+   */
+  async setHasMigratedFavoriteEffectIds(value) {
+    return game.settings.set(
+      Constants.MODULE_ID,
+      Settings.HAS_MIGRATED_FAVORITE_EFFECT_IDS,
+      value
+    );
   }
 
   /**
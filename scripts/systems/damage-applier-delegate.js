@@ -0,0 +1,43 @@
+import dnd5e from './dnd5e/dnd5e.js';
+import DamageApplierDnd5e from './dnd5e/damage-applier-dnd5e.js';
+import DamageApplierGeneric from './generic/damage-applier-generic.js';
+
+export default class DamageApplierDelegate {
+  constructor() {
+    this._damageApplier = this._retrieveDamageApplier();
+  }
+
+  /**
+   * Gets the types of damage and healing that can be applied
+   *
+   * @returns {object} the localized labels of the damage types by ID
+   */
+  get damageTypes() {
+    return this._damageApplier.damageTypes;
+  }
+
+  /**
+   * Applies damage or healing to the hit points of the actor
+   *
+   * @param {Actor} actor - the actor to apply the damage to
+   * @param {object} params - the damage parameters
+   * @param {number} params.amount - the amount of damage or healing
+   * @param {string} params.damageType - the ID of the damage type
+   */
+  async applyDamage(actor, { amount, damageType }) {
+    await this._damageApplier.applyDamage(actor, { amount, damageType });
+  }
+
+  _retrieveDamageApplier() {
+    let damageApplier = new DamageApplierGeneric();
+
+    if (
+      game.system.id === dnd5e.SYSTEM_ID ||
+      game.system.id === dnd5e.SW_5E_ID
+    ) {
+      damageApplier = new DamageApplierDnd5e();
+    }
+
+    return damageApplier;
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Handles applying recurring damage and healing to actors
+ */
+export default class DamageApplierDnd5e {
+  /**
+   * Gets the types of damage and healing that can be applied
+   *
+   * @returns {object} the localized labels of the damage types by ID
+   */
+  get damageTypes() {
+    return Object.fromEntries(
+      Object.entries({
+        ...CONFIG.DND5E.damageTypes,
+        ...CONFIG.DND5E.healingTypes,
+      }).map(([id, damageType]) => [id, damageType.label ?? damageType])
+    );
+  }
+
+  /**
+   * Applies damage or healing to the hit points of the actor through the
+   * system, taking its damage immunities, resistances, and vulnerabilities
+   * into account
+   *
+   * @param {Actor} actor - the actor to apply the damage to
+   * @param {object} params - the damage parameters
+   * @param {number} params.amount - the amount of damage or healing
+   * @param {string} params.damageType - the ID of the damage type
+   */
+  async applyDamage(actor, { amount, damageType }) {
+    if (damageType === 'temphp') {
+      await actor.applyTempHP(amount);
+    } else if (damageType === 'healing') {
+      await actor.applyDamage(amount, -1);
+    } else {
+      await actor.applyDamage(amount, this._getMultiplier(actor, damageType));
+    }
+  }
+
+  _getMultiplier(actor, damageType) {
+    const traits = actor.system.traits ?? {};
+    const hasTrait = (trait) =>
+      new Set(traits[trait]?.value ?? []).has(damageType);
+
+    if (hasTrait('di')) return 0;
+
+    let multiplier = 1;
+    if (hasTrait('dr')) multiplier *= 0.5;
+    if (hasTrait('dv')) multiplier *= 2;
+
+    return multiplier;
+  }
+}
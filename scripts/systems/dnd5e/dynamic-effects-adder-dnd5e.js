@@ -16,80 +16,125 @@ export default class DynamicEffectsAdderDnd5e {
    *
    * @param {object} effect - the object form of an ActiveEffect to handle
    * @param {Actor} actor - the affected actor
+   * @param {object} options - additional options
+   * @param {boolean} options.isPreview - if the effect is only being previewed,
+   * in which case the actor is not modified
    */
-  async addDynamicEffects(effect, actor) {
-    switch (effect.name.toLowerCase()) {
-      case 'divine word':
-        await this._addDivineWordEffects(effect, actor);
+  async addDynamicEffects(effect, actor, { isPreview = false } = {}) {
+    switch (this._getDynamicEffectId(effect)) {
+      case 'ce-divine-word':
+        this._addDivineWordEffects(effect, actor);
         break;
-      case 'enlarge':
+      case 'ce-enlarge-reduce-enlarge':
         this._addEnlargeEffects(effect, actor);
         break;
-      case 'rage':
+      case 'ce-rage':
         this._addRageEffects(effect, actor);
         break;
-      case 'reduce':
+      case 'ce-enlarge-reduce-reduce':
         this._addReduceEffects(effect, actor);
         break;
     }
   }
 
-  async _addDivineWordEffects(effect, actor) {
-    const remainingHp = actor.system.attributes.hp.value;
-    const origin = this._effectHelpers.getId(effect.name);
+  /**
+   * Makes the changes dynamic effects have outside of the effects themselves,
+   * once they were added to the actor
+   *
+   * @param {ActiveEffect[]} createdEffects - the effects that were added
+   * @param {Actor} actor - the affected actor
+   */
+  async applyDynamicChanges(createdEffects, actor) {
+    const isKilledByDivineWord = createdEffects.some(
+      (effect) =>
+        this._getDynamicEffectId(effect) === 'ce-divine-word' &&
+        this._effectHelpers
+          .getImpliedEffects(effect)
+          .some(({ effectId }) => effectId === 'ce-dead')
+    );
 
-    if (remainingHp <= 20) {
+    if (isKilledByDivineWord) {
       await actor.update({
         'system.attributes.hp.value': 0,
       });
-      await game.dfreds.effectInterface.addEffect({
-        effectName: 'Dead',
-        uuid: actor.uuid,
-        overlay: true,
-      });
-      effect.description = 'Killed instantly';
+    }
+  }
+
+  // Custom effects duplicated from a dynamic effect get their own ID, so they
+  // are matched to the dynamic effect with the same name
+  _getDynamicEffectId(effect) {
+    const effectId = this._effectHelpers.getCeEffectId(effect);
+    if (this._dynamicEffectIds.includes(effectId)) return effectId;
+
+    return this._dynamicEffectIds.find(
+      (dynamicEffectId) =>
+        game.dfreds.effectInterface.findEffectById(dynamicEffectId)?.name ===
+        effect.name
+    );
+  }
+
+  get _dynamicEffectIds() {
+    return [
+      'ce-divine-word',
+      'ce-enlarge-reduce-enlarge',
+      'ce-rage',
+      'ce-enlarge-reduce-reduce',
+    ];
+  }
+
+  // Dead is applied on its own, so it stays once Divine Word is removed. The
+  // hit points of a killed actor are only set to 0 once Divine Word was
+  // added, since adding it may still be cancelled.
+  _addDivineWordEffects(effect, actor) {
+    const remainingHp = actor.system.attributes.hp.value;
+
+    if (remainingHp <= 20) {
+      const ceFlags = effect.flags[Constants.MODULE_ID];
+      ceFlags[Constants.FLAGS.IMPLIED_EFFECTS] = [
+        ...(ceFlags[Constants.FLAGS.IMPLIED_EFFECTS] ?? []),
+        { effectId: 'ce-dead', removeWithSource: false, overlay: true },
+      ];
+      effect.description = game.i18n.localize(
+        'ConvenientEffects.DynamicEffects.DivineWord.KilledInstantly'
+      );
     } else if (remainingHp <= 30) {
-      await game.dfreds.effectInterface.addEffect({
-        effectName: 'Blinded',
-        uuid: actor.uuid,
-        origin,
-      });
-      await game.dfreds.effectInterface.addEffect({
-        effectName: 'Deafened',
-        uuid: actor.uuid,
-        origin,
-      });
-      await game.dfreds.effectInterface.addEffect({
-        effectName: 'Stunned',
-        uuid: actor.uuid,
-        origin,
-      });
-      effect.description = 'Blinded, deafened, and stunned for 1 hour';
+      this._addDivineWordSubEffects(effect, [
+        'ce-blinded',
+        'ce-deafened',
+        'ce-stunned',
+      ]);
+      effect.description = game.i18n.localize(
+        'ConvenientEffects.DynamicEffects.DivineWord.BlindedDeafenedStunned'
+      );
       effect.duration.seconds = Constants.SECONDS.IN_ONE_HOUR;
     } else if (remainingHp <= 40) {
-      await game.dfreds.effectInterface.addEffect({
-        effectName: 'Blinded',
-        uuid: actor.uuid,
-        origin,
-      });
-      await game.dfreds.effectInterface.addEffect({
-        effectName: 'Deafened',
-        uuid: actor.uuid,
-        origin,
-      });
-      effect.description = 'Deafened and blinded for 10 minutes';
+      this._addDivineWordSubEffects(effect, ['ce-blinded', 'ce-deafened']);
+      effect.description = game.i18n.localize(
+        'ConvenientEffects.DynamicEffects.DivineWord.DeafenedBlinded'
+      );
       effect.duration.seconds = Constants.SECONDS.IN_TEN_MINUTES;
     } else if (remainingHp <= 50) {
-      await game.dfreds.effectInterface.addEffect({
-        effectName: 'Deafened',
-        uuid: actor.uuid,
-        origin,
-      });
-      effect.description = 'Deafened for 1 minute';
+      this._addDivineWordSubEffects(effect, ['ce-deafened']);
+      effect.description = game.i18n.localize(
+        'ConvenientEffects.DynamicEffects.DivineWord.Deafened'
+      );
       effect.duration.seconds = Constants.SECONDS.IN_ONE_MINUTE;
     }
   }
 
+  // Conditions are added as sub-effects so they are created alongside Divine
+  // Word and can be previewed without being applied
+  _addDivineWordSubEffects(effect, effectIds) {
+    const ceFlags = effect.flags[Constants.MODULE_ID];
+
+    ceFlags[Constants.FLAGS.SUB_EFFECTS] = [
+      ...(ceFlags[Constants.FLAGS.SUB_EFFECTS] ?? []),
+      ...effectIds.map((effectId) =>
+        game.dfreds.effectInterface.findEffectById(effectId).toObject()
+      ),
+    ];
+  }
+
   _addEnlargeEffects(effect, actor) {
     const size = actor.system.traits.size;
     const index = Constants.SIZES_ORDERED.indexOf(size);
@@ -141,7 +186,9 @@ export default class DynamicEffectsAdderDnd5e {
     );
 
     if (!barbarianClass) {
-      ui.notifications.warn('Selected actor is not a Barbarian');
+      ui.notifications.warn(
+        game.i18n.localize('ConvenientEffects.Notifications.NotBarbarian')
+      );
       return;
     }
 
@@ -48,32 +48,40 @@ export default class EffectDefinitionsDnd5e {
     return [
       {
         id: 'conditions',
-        name: 'Conditions',
+        name: game.i18n.localize('ConvenientEffects.Folders.Conditions'),
         effects: this.conditions,
       },
       {
         id: 'spells',
-        name: 'Spells',
+        name: game.i18n.localize('ConvenientEffects.Folders.Spells'),
         effects: this.spells,
       },
       {
         id: 'class-features',
-        name: 'Class Features',
+        name: game.i18n.localize('ConvenientEffects.Folders.ClassFeatures'),
         effects: this.classFeatures,
       },
       {
         id: 'equipment',
-        name: 'Equipment',
+        name: game.i18n.localize('ConvenientEffects.Folders.Equipment'),
         effects: this.equipment,
       },
       {
         id: 'other',
-        name: 'Other',
+        name: game.i18n.localize('ConvenientEffects.Folders.Other'),
         effects: this.other,
       },
     ];
   }
 
+  _localizeName(effectId) {
+    return this._effectHelpers.localizeEffectName(effectId);
+  }
+
+  _localizeDescription(effectId) {
+    return this._effectHelpers.localizeEffectDescription(effectId);
+  }
+
   /**
    * Get all the condition effects
    *
@@ -120,6 +128,7 @@ export default class EffectDefinitionsDnd5e {
         this._aid,
         this._alterSelf,
         this._antilifeShell,
+        this._antilifeShellBarrier,
         this._arcaneHand,
         this._bane,
         this._barkskin,
@@ -206,6 +215,7 @@ export default class EffectDefinitionsDnd5e {
         this._speakWithPlants,
         this._spiderClimb,
         this._spiritGuardians,
+        this._spiritGuardiansArea,
         this._spiritualWeapon,
         this._stoneskin,
         this._suggestion,
@@ -227,6 +237,8 @@ export default class EffectDefinitionsDnd5e {
   get classFeatures() {
     return (
       this._classFeatures ?? [
+        this._auraOfProtection,
+        this._auraOfProtectionBonus,
         this._bardicInspiration,
         this._bardicInspirationD6,
         this._bardicInspirationD8,
@@ -290,9 +302,9 @@ export default class EffectDefinitionsDnd5e {
   /* Condition Effects */
   get _blinded() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Blinded',
-      description:
-        "- A blinded creature can't see and automatically fails any ability check that requires sight.<br/>- Attack rolls against the creature have advantage, and the creature's attack rolls have disadvantage.",
+      id: 'ce-blinded',
+      name: this._localizeName('ce-blinded'),
+      description: this._localizeDescription('ce-blinded'),
       icon: 'modules/dfreds-convenient-effects/images/blinded.svg',
       statuses: ['blinded'],
       changes: [
@@ -312,49 +324,52 @@ export default class EffectDefinitionsDnd5e {
 
   get _charmed() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Charmed',
+      id: 'ce-charmed',
+      name: this._localizeName('ce-charmed'),
       statuses: ['charmed'],
-      description:
-        "- A charmed creature can't attack the charmer or target the charmer with harmful abilities or magical effects.<br/>- The charmer has advantage on any ability check to interact socially with the creature.",
+      description: this._localizeDescription('ce-charmed'),
       icon: 'modules/dfreds-convenient-effects/images/charmed.svg',
     });
   }
 
   get _concentrating() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Concentrating',
+      id: 'ce-concentrating',
+      name: this._localizeName('ce-concentrating'),
       statuses: ['concentrating'],
-      description:
-        'Some Spells require you to maintain Concentration in order to keep their magic active. If you lose Concentration, such a spell ends.',
+      description: this._localizeDescription('ce-concentrating'),
       icon: 'modules/dfreds-convenient-effects/images/concentrating.svg',
     });
   }
 
   get _dead() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Dead',
+      id: 'ce-dead',
+      name: this._localizeName('ce-dead'),
       statuses: ['dead'],
-      description: 'No active effects',
+      description: this._localizeDescription('ce-dead'),
       icon: 'icons/svg/skull.svg',
     });
   }
 
   get _deafened() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Deafened',
+      id: 'ce-deafened',
+      name: this._localizeName('ce-deafened'),
       statuses: ['deafened'],
-      description:
-        "- A deafened creature can't hear and automatically fails any ability check that requires hearing.",
+      description: this._localizeDescription('ce-deafened'),
       icon: 'modules/dfreds-convenient-effects/images/deafened.svg',
     });
   }
 
   get _exhaustion1() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Exhaustion 1',
+      id: 'ce-exhaustion-1',
+      name: this._localizeName('ce-exhaustion-1'),
       statuses: ['exhaustion'],
-      description: 'Disadvantage on ability checks',
+      description: this._localizeDescription('ce-exhaustion-1'),
       icon: 'modules/dfreds-convenient-effects/images/exhaustion1.svg',
+      exclusiveGroup: 'exhaustion',
       flags: {
         dnd5e: {
           exhaustionLevel: 1,
@@ -382,10 +397,12 @@ export default class EffectDefinitionsDnd5e {
 
   get _exhaustion2() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Exhaustion 2',
+      id: 'ce-exhaustion-2',
+      name: this._localizeName('ce-exhaustion-2'),
       statuses: ['exhaustion'],
-      description: 'Disadvantage on ability checks and speed halved',
+      description: this._localizeDescription('ce-exhaustion-2'),
       icon: 'modules/dfreds-convenient-effects/images/exhaustion2.svg',
+      exclusiveGroup: 'exhaustion',
       flags: {
         dnd5e: {
           exhaustionLevel: 2,
@@ -419,11 +436,12 @@ export default class EffectDefinitionsDnd5e {
 
   get _exhaustion3() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Exhaustion 3',
+      id: 'ce-exhaustion-3',
+      name: this._localizeName('ce-exhaustion-3'),
       statuses: ['exhaustion'],
-      description:
-        'Disadvantage on ability checks, speed halved, and disadvantage on attacks and saving throws',
+      description: this._localizeDescription('ce-exhaustion-3'),
       icon: 'modules/dfreds-convenient-effects/images/exhaustion3.svg',
+      exclusiveGroup: 'exhaustion',
       flags: {
         dnd5e: {
           exhaustionLevel: 3,
@@ -467,11 +485,12 @@ export default class EffectDefinitionsDnd5e {
 
   get _exhaustion4() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Exhaustion 4',
+      id: 'ce-exhaustion-4',
+      name: this._localizeName('ce-exhaustion-4'),
       statuses: ['exhaustion'],
-      description:
-        'Disadvantage on ability checks, speed halved, disadvantage on attacks and saving throws, and hit point maximum halved',
+      description: this._localizeDescription('ce-exhaustion-4'),
       icon: 'modules/dfreds-convenient-effects/images/exhaustion4.svg',
+      exclusiveGroup: 'exhaustion',
       flags: {
         dnd5e: {
           exhaustionLevel: 4,
@@ -521,11 +540,12 @@ export default class EffectDefinitionsDnd5e {
 
   get _exhaustion5() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Exhaustion 5',
+      id: 'ce-exhaustion-5',
+      name: this._localizeName('ce-exhaustion-5'),
       statuses: ['exhaustion'],
-      description:
-        'Disadvantage on ability checks, speed reduced to 0, disadvantage on attacks and saving throws, and hit point maximum halved',
+      description: this._localizeDescription('ce-exhaustion-5'),
       icon: 'modules/dfreds-convenient-effects/images/exhaustion5.svg',
+      exclusiveGroup: 'exhaustion',
       flags: {
         dnd5e: {
           exhaustionLevel: 5,
@@ -575,10 +595,10 @@ export default class EffectDefinitionsDnd5e {
 
   get _frightened() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Frightened',
+      id: 'ce-frightened',
+      name: this._localizeName('ce-frightened'),
       statuses: ['frightened'],
-      description:
-        "- A frightened creature has disadvantage on ability checks and attack rolls while the source of its fear is within line of sight.<br/>- The creature can't willingly move closer to the source of its fear.",
+      description: this._localizeDescription('ce-frightened'),
       icon: 'modules/dfreds-convenient-effects/images/frightened.svg',
       changes: [
         {
@@ -597,10 +617,10 @@ export default class EffectDefinitionsDnd5e {
 
   get _grappled() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Grappled',
+      id: 'ce-grappled',
+      name: this._localizeName('ce-grappled'),
       statuses: ['grappled'],
-      description:
-        "- A grappled creature's speed becomes 0, and it can't benefit from any bonus to its speed.<br/>- The condition ends if the grappler is incapacitated.<br/>- The condition also ends if an effect removes the grappled creature from the reach of the grappler or grappling effect.",
+      description: this._localizeDescription('ce-grappled'),
       icon: 'modules/dfreds-convenient-effects/images/grappled.svg',
       changes: [
         {
@@ -615,20 +635,20 @@ export default class EffectDefinitionsDnd5e {
 
   get _incapacitated() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Incapacitated',
+      id: 'ce-incapacitated',
+      name: this._localizeName('ce-incapacitated'),
       statuses: ['incapacitated'],
-      description:
-        "- An incapacitated creature can't take actions or reactions",
+      description: this._localizeDescription('ce-incapacitated'),
       icon: 'modules/dfreds-convenient-effects/images/incapacitated.svg',
     });
   }
 
   get _invisible() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Invisible',
+      id: 'ce-invisible',
+      name: this._localizeName('ce-invisible'),
       statuses: ['invisible'],
-      description:
-        "- An invisible creature is impossible to see without the aid of magic or a special sense. For the purpose of hiding, the creature is heavily obscured. The creature's location can be detected by any noise it makes or any tracks it leaves.<br/>- Attack rolls against the creature have disadvantage, and the creature's attack rolls have advantage.",
+      description: this._localizeDescription('ce-invisible'),
       icon: 'modules/dfreds-convenient-effects/images/invisible.svg',
       changes: [
         {
@@ -647,11 +667,14 @@ export default class EffectDefinitionsDnd5e {
 
   get _paralyzed() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Paralyzed',
-      description:
-        "- A paralyzed creature is incapacitated (see the condition) and can't move or speak.<br/>- The creature automatically fails Strength and Dexterity saving throws. Attack rolls against the creature have advantage.<br/>- Any attack that hits the creature is a critical hit if the attacker is within 5 feet of the creature.",
+      id: 'ce-paralyzed',
+      name: this._localizeName('ce-paralyzed'),
+      description: this._localizeDescription('ce-paralyzed'),
       icon: 'modules/dfreds-convenient-effects/images/paralyzed.svg',
-      statuses: ['paralyzed', 'incapacitated'],
+      statuses: ['paralyzed'],
+      impliedEffects: [
+        { effectId: 'ce-incapacitated', removeWithSource: true },
+      ],
       changes: [
         {
           key: `flags.${this._flagPrefix}.fail.ability.save.dex`,
@@ -679,18 +702,20 @@ export default class EffectDefinitionsDnd5e {
           value: '0',
           priority: 25,
         },
-        ...this._incapacitated.changes,
       ],
     });
   }
 
   get _petrified() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Petrified',
-      statuses: ['petrified', 'incapacitated'],
-      description:
-        "- A petrified creature is transformed, along with any nonmagical object it is wearing or carrying, into a solid inanimate substance (usually stone). Its weight increases by a factor of ten, and it ceases aging.<br/>- The creature is incapacitated (see the condition), can't move or speak, and is unaware of its surroundings.<br/>- Attack rolls against the creature have advantage.<br/>- The creature automatically fails Strength and Dexterity saving throws.<br/>- The creature has resistance to all damage.<br/>- The creature is immune to poison and disease, although a poison or disease already in its system is suspended, not neutralized. Remove all movement, grant advantage to all who attack, and add damage resistance to all magical and physical attacks",
+      id: 'ce-petrified',
+      name: this._localizeName('ce-petrified'),
+      statuses: ['petrified'],
+      description: this._localizeDescription('ce-petrified'),
       icon: 'modules/dfreds-convenient-effects/images/petrified.svg',
+      impliedEffects: [
+        { effectId: 'ce-incapacitated', removeWithSource: true },
+      ],
       changes: [
         {
           key: `flags.${this._flagPrefix}.grants.advantage.attack.all`,
@@ -728,17 +753,16 @@ export default class EffectDefinitionsDnd5e {
           value: '0',
           priority: 25,
         },
-        ...this._incapacitated.changes,
       ],
     });
   }
 
   get _poisoned() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Poisoned',
+      id: 'ce-poisoned',
+      name: this._localizeName('ce-poisoned'),
       statuses: ['poisoned'],
-      description:
-        '- A poisoned creature has disadvantage on attack rolls and ability checks.',
+      description: this._localizeDescription('ce-poisoned'),
       icon: 'modules/dfreds-convenient-effects/images/poisoned.svg',
       changes: [
         {
@@ -757,10 +781,10 @@ export default class EffectDefinitionsDnd5e {
 
   get _prone() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Prone',
+      id: 'ce-prone',
+      name: this._localizeName('ce-prone'),
       statuses: ['prone'],
-      description:
-        "- A prone creature's only movement option is to crawl, unless it stands up and thereby ends the condition.<br/>- The creature has disadvantage on attack rolls.<br/>- An attack roll against the creature has advantage if the attacker is within 5 feet of the creature. Otherwise, the attack roll has disadvantage.",
+      description: this._localizeDescription('ce-prone'),
       icon: 'modules/dfreds-convenient-effects/images/prone.svg',
       changes: [
         {
@@ -800,10 +824,10 @@ export default class EffectDefinitionsDnd5e {
 
   get _restrained() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Restrained',
+      id: 'ce-restrained',
+      name: this._localizeName('ce-restrained'),
       statuses: ['restrained'],
-      description:
-        "- A restrained creature's speed becomes 0, and it can't benefit from any bonus to its speed.<br/>- Attack rolls against the creature have advantage, and the creature's attack rolls have disadvantage.<br/>- The creature has disadvantage on Dexterity saving throws.",
+      description: this._localizeDescription('ce-restrained'),
       icon: 'modules/dfreds-convenient-effects/images/restrained.svg',
       changes: [
         {
@@ -833,11 +857,14 @@ export default class EffectDefinitionsDnd5e {
 
   get _stunned() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Stunned',
-      statuses: ['stunned', 'incapacitated'],
-      description:
-        "- A stunned creature is incapacitated (see the condition), can't move, and can speak only falteringly.<br/>- The creature automatically fails Strength and Dexterity saving throws.<br/>- Attack rolls against the creature have advantage.",
+      id: 'ce-stunned',
+      name: this._localizeName('ce-stunned'),
+      statuses: ['stunned'],
+      description: this._localizeDescription('ce-stunned'),
       icon: 'modules/dfreds-convenient-effects/images/stunned.svg',
+      impliedEffects: [
+        { effectId: 'ce-incapacitated', removeWithSource: true },
+      ],
       changes: [
         {
           key: `flags.${this._flagPrefix}.fail.ability.save.dex`,
@@ -854,18 +881,22 @@ export default class EffectDefinitionsDnd5e {
           mode: CONST.ACTIVE_EFFECT_MODES.CUSTOM,
           value: '1',
         },
-        ...this._incapacitated.changes,
       ],
     });
   }
 
   get _unconscious() {
     return this._effectHelpers.createActiveEffect({
-      statuses: ['unconscious', 'incapacitated', 'prone'],
-      name: 'Unconscious',
-      description:
-        "- An unconscious creature is incapacitated (See the condition) can't move or speak, and is unaware of its surroundings.<br/>- The creature drops whatever its holding and falls prone (See the condition).<br/>- The creature automatically fails Strength and Dexterity saving throws.<br/>- Attack rolls against the creature have advantage.<br/>- Any attack that hits the creature is a critical hit if the attacker is within 5 feet of the creature.",
+      statuses: ['unconscious'],
+      id: 'ce-unconscious',
+      name: this._localizeName('ce-unconscious'),
+      description: this._localizeDescription('ce-unconscious'),
       icon: 'icons/svg/unconscious.svg',
+      // A creature that regains consciousness is still prone
+      impliedEffects: [
+        { effectId: 'ce-incapacitated', removeWithSource: true },
+        { effectId: 'ce-prone', removeWithSource: false },
+      ],
       changes: [
         {
           key: `flags.${this._flagPrefix}.fail.ability.save.dex`,
@@ -893,16 +924,15 @@ export default class EffectDefinitionsDnd5e {
           value: '0',
           priority: 25,
         },
-        ...this._incapacitated.changes,
-        ...this._prone.changes,
       ],
     });
   }
 
   get _wounded() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Wounded',
-      description: 'No active effects',
+      id: 'ce-wounded',
+      name: this._localizeName('ce-wounded'),
+      description: this._localizeDescription('ce-wounded'),
       icon: 'modules/dfreds-convenient-effects/images/wounded.svg',
     });
   }
@@ -910,9 +940,12 @@ export default class EffectDefinitionsDnd5e {
   /* Spell Effects */
   get _acidArrow() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Acid Arrow',
-      description: 'Causes 2d4 acid damage at the end of next turn',
+      id: 'ce-acid-arrow',
+      name: this._localizeName('ce-acid-arrow'),
+      description: this._localizeDescription('ce-acid-arrow'),
       icon: 'icons/magic/acid/projectile-bolts-salvo-green.webp',
+      turnDuration: { boundary: 'end', of: 'target' },
+      recurringDamage: { formula: '2d4', damageType: 'acid', timing: 'end' },
       changes: [
         {
           key: `flags.${this._flagPrefix}.OverTime`,
@@ -926,8 +959,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _aid() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Aid',
-      description: 'Add to current and maximum hit points for 8 hours',
+      id: 'ce-aid',
+      name: this._localizeName('ce-aid'),
+      description: this._localizeDescription('ce-aid'),
       icon: 'icons/magic/life/heart-cross-blue.webp',
       seconds: Constants.SECONDS.IN_EIGHT_HOURS,
     });
@@ -935,37 +969,60 @@ export default class EffectDefinitionsDnd5e {
 
   get _alterSelf() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Alter Self',
-      description: 'No active effects and lasts for 1 hour',
+      id: 'ce-alter-self',
+      name: this._localizeName('ce-alter-self'),
+      description: this._localizeDescription('ce-alter-self'),
       icon: 'icons/magic/control/debuff-energy-hold-green.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
     });
   }
 
   get _antilifeShell() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Antilife Shell',
-      description: 'No active effects and lasts for 1 hour',
+      id: 'ce-antilife-shell',
+      name: this._localizeName('ce-antilife-shell'),
+      description: this._localizeDescription('ce-antilife-shell'),
       icon: 'icons/magic/defensive/shield-barrier-flaming-diamond-teal.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
+      aura: {
+        radius: 10,
+        effectId: 'ce-antilife-shell-barrier',
+        disposition: 'all',
+        includeSelf: false,
+      },
+    });
+  }
+
+  get _antilifeShellBarrier() {
+    return this._effectHelpers.createActiveEffect({
+      id: 'ce-antilife-shell-barrier',
+      name: this._localizeName('ce-antilife-shell-barrier'),
+      description: this._localizeDescription('ce-antilife-shell-barrier'),
+      icon: 'icons/magic/defensive/shield-barrier-flaming-diamond-teal.webp',
+      isViewable: this._settings.showNestedEffects,
     });
   }
 
   get _arcaneHand() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Arcane Hand',
-      description: 'No active effects and lasts for 1 minute',
+      id: 'ce-arcane-hand',
+      name: this._localizeName('ce-arcane-hand'),
+      description: this._localizeDescription('ce-arcane-hand'),
       icon: 'icons/magic/fire/projectile-fireball-smoke-strong-teal.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
     });
   }
 
   get _bane() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Bane',
-      description:
-        'Subtract 1d4 from all saving throws and attack rolls for 1 minute',
+      id: 'ce-bane',
+      name: this._localizeName('ce-bane'),
+      description: this._localizeDescription('ce-bane'),
       icon: 'icons/magic/unholy/strike-beam-blood-red-purple.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       changes: [
         {
@@ -1000,9 +1057,11 @@ export default class EffectDefinitionsDnd5e {
   get _barkskin() {
     // TODO seems to not work in dnd 3.0.0
     return this._effectHelpers.createActiveEffect({
-      name: 'Barkskin',
-      description: 'Upgrade AC to 16 for 1 hour',
+      id: 'ce-barkskin',
+      name: this._localizeName('ce-barkskin'),
+      description: this._localizeDescription('ce-barkskin'),
       icon: 'icons/magic/defensive/shield-barrier-flaming-diamond-orange.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
         {
@@ -1017,10 +1076,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _beaconOfHope() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Beacon of Hope',
-      description:
-        'Adds advantage to wisdom saving throws and death saving throws for 1 minute',
+      id: 'ce-beacon-of-hope',
+      name: this._localizeName('ce-beacon-of-hope'),
+      description: this._localizeDescription('ce-beacon-of-hope'),
       icon: 'icons/magic/light/explosion-star-large-blue-yellow.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       changes: [
         {
@@ -1039,9 +1099,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _blackTentacles() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Black Tentacles',
-      description: 'Apply the effects of the restrained condition for 1 minute',
+      id: 'ce-black-tentacles',
+      name: this._localizeName('ce-black-tentacles'),
+      description: this._localizeDescription('ce-black-tentacles'),
       icon: 'icons/magic/nature/vines-thorned-curled-glow-teal-purple.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       changes: [...this._restrained.changes],
     });
@@ -1049,9 +1111,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _bless() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Bless',
-      description: 'Add 1d4 to all saving throws and attack rolls for 1 minute',
+      id: 'ce-bless',
+      name: this._localizeName('ce-bless'),
+      description: this._localizeDescription('ce-bless'),
       icon: 'icons/magic/control/buff-flight-wings-blue.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       changes: [
         {
@@ -1092,44 +1156,50 @@ export default class EffectDefinitionsDnd5e {
 
   get _blindnessDeafness() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Blindness/Deafness',
-      description: 'Choose between blindness or deafness',
+      id: 'ce-blindness-deafness',
+      name: this._localizeName('ce-blindness-deafness'),
+      description: this._localizeDescription('ce-blindness-deafness'),
       icon: 'icons/magic/perception/eye-ringed-glow-angry-red.webp',
       nestedEffects: [
-        this._blindnessDeafnessBlindness.name,
-        this._blindnessDeafnessDeafness.name,
+        'ce-blindness-deafness-blindness',
+        'ce-blindness-deafness-deafness',
       ],
     });
   }
 
   get _blindnessDeafnessBlindness() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Blindness',
-      description:
-        'Disadvantage on attack rolls while granting advantage to all who attack for 1 minute',
+      id: 'ce-blindness-deafness-blindness',
+      name: this._localizeName('ce-blindness-deafness-blindness'),
+      description: this._localizeDescription('ce-blindness-deafness-blindness'),
       icon: 'icons/magic/perception/eye-ringed-glow-angry-red.webp',
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
+      recurringSave: { ability: 'con', timing: 'end' },
       subEffects: [this._blinded],
     });
   }
 
   get _blindnessDeafnessDeafness() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Deafness',
-      description: 'No active effects and lasts for 1 minute',
+      id: 'ce-blindness-deafness-deafness',
+      name: this._localizeName('ce-blindness-deafness-deafness'),
+      description: this._localizeDescription('ce-blindness-deafness-deafness'),
       icon: 'icons/magic/perception/eye-ringed-glow-angry-red.webp',
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
+      recurringSave: { ability: 'con', timing: 'end' },
       subEffects: [this._deafened],
     });
   }
 
   get _blur() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Blur',
-      description: 'Grants disadvantage to all who attack for 1 minute',
+      id: 'ce-blur',
+      name: this._localizeName('ce-blur'),
+      description: this._localizeDescription('ce-blur'),
       icon: 'icons/magic/air/air-burst-spiral-blue-gray.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       changes: [
         {
@@ -1150,8 +1220,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _charmPerson() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Charm Person',
-      description: 'No active effects and lasts for 1 hour',
+      id: 'ce-charm-person',
+      name: this._localizeName('ce-charm-person'),
+      description: this._localizeDescription('ce-charm-person'),
       icon: 'icons/magic/fire/explosion-fireball-medium-purple-pink.webp',
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [...this._charmed.changes],
@@ -1160,8 +1231,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _command() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Command',
-      description: 'No active effects and lasts until the end of next turn',
+      id: 'ce-command',
+      name: this._localizeName('ce-command'),
+      description: this._localizeDescription('ce-command'),
       icon: 'icons/magic/fire/explosion-fireball-small-purple.webp',
       seconds: CONFIG.time.roundTime,
       turns: 1,
@@ -1170,8 +1242,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _comprehendLanguages() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Comprehend Languages',
-      description: 'Adds all languages for 1 hour',
+      id: 'ce-comprehend-languages',
+      name: this._localizeName('ce-comprehend-languages'),
+      description: this._localizeDescription('ce-comprehend-languages'),
       icon: 'icons/magic/symbols/runes-triangle-orange-purple.webp',
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
@@ -1186,29 +1259,34 @@ export default class EffectDefinitionsDnd5e {
 
   get _contagion() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Contagion',
-      description:
-        'Choose between blinding sickness, filth fever, flesh rot, mindfire, seizure, or slimy doom',
+      id: 'ce-contagion',
+      name: this._localizeName('ce-contagion'),
+      description: this._localizeDescription('ce-contagion'),
       icon: 'icons/magic/unholy/strike-beam-blood-large-red-purple.webp',
       nestedEffects: [
-        this._contagionBlindingSickness.name,
-        this._contagionFilthFever.name,
-        this._contagionFleshRot.name,
-        this._contagionMindfire.name,
-        this._contagionSeizure.name,
-        this._contagionSlimyDoom.name,
+        'ce-contagion-blinding-sickness',
+        'ce-contagion-filth-fever',
+        'ce-contagion-flesh-rot',
+        'ce-contagion-mindfire',
+        'ce-contagion-seizure',
+        'ce-contagion-slimy-doom',
       ],
     });
   }
 
   get _contagionBlindingSickness() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Blinding Sickness',
-      description:
-        'Disadvantage on wisdom checks and wisdom saving throws for 7 days',
+      id: 'ce-contagion-blinding-sickness',
+      name: this._localizeName('ce-contagion-blinding-sickness'),
+      description: this._localizeDescription('ce-contagion-blinding-sickness'),
       icon: 'icons/magic/unholy/strike-beam-blood-large-red-purple.webp',
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_WEEK,
+      recurringSave: {
+        ability: 'con',
+        timing: 'end',
+        successes: 3,
+      },
       changes: [
         {
           key: `flags.${this._flagPrefix}.disadvantage.ability.save.wis`,
@@ -1227,12 +1305,17 @@ export default class EffectDefinitionsDnd5e {
 
   get _contagionFilthFever() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Filth Fever',
-      description:
-        'Disadvantage on strength checks strength saving throws, and attacks that use strength for 7 days',
+      id: 'ce-contagion-filth-fever',
+      name: this._localizeName('ce-contagion-filth-fever'),
+      description: this._localizeDescription('ce-contagion-filth-fever'),
       icon: 'icons/magic/unholy/strike-beam-blood-large-red-purple.webp',
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_WEEK,
+      recurringSave: {
+        ability: 'con',
+        timing: 'end',
+        successes: 3,
+      },
       changes: [
         {
           key: `flags.${this._flagPrefix}.disadvantage.ability.save.str`,
@@ -1255,12 +1338,17 @@ export default class EffectDefinitionsDnd5e {
 
   get _contagionFleshRot() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Flesh Rot',
-      description:
-        'Disadvantage on charisma checks and vulnerability to all damage',
+      id: 'ce-contagion-flesh-rot',
+      name: this._localizeName('ce-contagion-flesh-rot'),
+      description: this._localizeDescription('ce-contagion-flesh-rot'),
       icon: 'icons/magic/unholy/strike-beam-blood-large-red-purple.webp',
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_WEEK,
+      recurringSave: {
+        ability: 'con',
+        timing: 'end',
+        successes: 3,
+      },
       changes: [
         {
           key: `flags.${this._flagPrefix}.disadvantage.ability.check.cha`,
@@ -1278,12 +1366,17 @@ export default class EffectDefinitionsDnd5e {
 
   get _contagionMindfire() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Mindfire',
-      description:
-        'Disadvantage on intelligence checks and intelligence saving throws for 7 days',
+      id: 'ce-contagion-mindfire',
+      name: this._localizeName('ce-contagion-mindfire'),
+      description: this._localizeDescription('ce-contagion-mindfire'),
       icon: 'icons/magic/unholy/strike-beam-blood-large-red-purple.webp',
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_WEEK,
+      recurringSave: {
+        ability: 'con',
+        timing: 'end',
+        successes: 3,
+      },
       changes: [
         {
           key: `flags.${this._flagPrefix}.disadvantage.ability.save.int`,
@@ -1301,12 +1394,17 @@ export default class EffectDefinitionsDnd5e {
 
   get _contagionSeizure() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Seizure',
-      description:
-        'Disadvantage on dexterity checks, dexterity saving throws, and attacks that use dexterity for 7 days',
+      id: 'ce-contagion-seizure',
+      name: this._localizeName('ce-contagion-seizure'),
+      description: this._localizeDescription('ce-contagion-seizure'),
       icon: 'icons/magic/unholy/strike-beam-blood-large-red-purple.webp',
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_WEEK,
+      recurringSave: {
+        ability: 'con',
+        timing: 'end',
+        successes: 3,
+      },
       changes: [
         {
           key: `flags.${this._flagPrefix}.disadvantage.ability.save.dex`,
@@ -1329,12 +1427,17 @@ export default class EffectDefinitionsDnd5e {
 
   get _contagionSlimyDoom() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Slimy Doom',
-      description:
-        'Disadvantage on constitution checks and constitution saving throws for 7 days',
+      id: 'ce-contagion-slimy-doom',
+      name: this._localizeName('ce-contagion-slimy-doom'),
+      description: this._localizeDescription('ce-contagion-slimy-doom'),
       icon: 'icons/magic/unholy/strike-beam-blood-large-red-purple.webp',
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_WEEK,
+      recurringSave: {
+        ability: 'con',
+        timing: 'end',
+        successes: 3,
+      },
       changes: [
         {
           key: `flags.${this._flagPrefix}.disadvantage.ability.save.con`,
@@ -1352,8 +1455,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _darkvision() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Darkvision',
-      description: 'Upgrade darkvision to 60 ft. for 8 hours',
+      id: 'ce-darkvision',
+      name: this._localizeName('ce-darkvision'),
+      description: this._localizeDescription('ce-darkvision'),
       icon: 'icons/magic/perception/eye-ringed-glow-angry-small-red.webp',
       seconds: Constants.SECONDS.IN_EIGHT_HOURS,
       changes: [
@@ -1383,8 +1487,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _disguiseSelf() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Disguise Self',
-      description: 'No active effects and lasts for 1 hour',
+      id: 'ce-disguise-self',
+      name: this._localizeName('ce-disguise-self'),
+      description: this._localizeDescription('ce-disguise-self'),
       icon: 'icons/magic/control/debuff-energy-hold-teal-blue.webp',
       seconds: Constants.SECONDS.IN_ONE_HOUR,
     });
@@ -1392,9 +1497,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _divineFavor() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Divine Favor',
-      description: 'Add 1d4 radiant damage to weapon attacks for 1 minute',
+      id: 'ce-divine-favor',
+      name: this._localizeName('ce-divine-favor'),
+      description: this._localizeDescription('ce-divine-favor'),
       icon: 'icons/magic/fire/dagger-rune-enchant-flame-blue-yellow.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       changes: [
         {
@@ -1408,8 +1515,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _divineWord() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Divine Word',
-      description: 'Adds various effects based on the remaining hit points',
+      id: 'ce-divine-word',
+      name: this._localizeName('ce-divine-word'),
+      description: this._localizeDescription('ce-divine-word'),
       icon: 'icons/magic/light/explosion-star-large-orange-purple.webp',
       isDynamic: true,
     });
@@ -1417,27 +1525,31 @@ export default class EffectDefinitionsDnd5e {
 
   get _enhanceAbility() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Enhance Ability',
-      description:
-        "Choose between Bear's Endurance, Bull's Strength, Cat's Grace, Eagle's Splendor, Fox's Cunning, or Owl's Wisdom",
+      id: 'ce-enhance-ability',
+      name: this._localizeName('ce-enhance-ability'),
+      description: this._localizeDescription('ce-enhance-ability'),
       icon: 'icons/magic/control/buff-flight-wings-runes-purple.webp',
+      requiresConcentration: true,
       nestedEffects: [
-        this._enhanceAbilityBearsEndurance.name,
-        this._enhanceAbilityBullsStrength.name,
-        this._enhanceAbilityCatsGrace.name,
-        this._enhanceAbilityEaglesSplendor.name,
-        this._enhanceAbilityFoxsCunning.name,
-        this._enhanceAbilityOwlsWisdom.name,
+        'ce-enhance-ability-bears-endurance',
+        'ce-enhance-ability-bulls-strength',
+        'ce-enhance-ability-cats-grace',
+        'ce-enhance-ability-eagles-splendor',
+        'ce-enhance-ability-foxs-cunning',
+        'ce-enhance-ability-owls-wisdom',
       ],
     });
   }
 
   get _enhanceAbilityBearsEndurance() {
     return this._effectHelpers.createActiveEffect({
-      name: "Bear's Endurance",
-      description:
-        'Advantage on constitution checks and 2d6 temp hit points for 1 hour',
+      id: 'ce-enhance-ability-bears-endurance',
+      name: this._localizeName('ce-enhance-ability-bears-endurance'),
+      description: this._localizeDescription(
+        'ce-enhance-ability-bears-endurance'
+      ),
       icon: 'icons/magic/control/buff-flight-wings-runes-purple.webp',
+      requiresConcentration: true,
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
@@ -1452,10 +1564,13 @@ export default class EffectDefinitionsDnd5e {
 
   get _enhanceAbilityBullsStrength() {
     return this._effectHelpers.createActiveEffect({
-      name: "Bull's Strength",
-      description:
-        'Advantage on strength checks and double maximum carrying capacity for 1 hour',
+      id: 'ce-enhance-ability-bulls-strength',
+      name: this._localizeName('ce-enhance-ability-bulls-strength'),
+      description: this._localizeDescription(
+        'ce-enhance-ability-bulls-strength'
+      ),
       icon: 'icons/magic/control/buff-flight-wings-runes-purple.webp',
+      requiresConcentration: true,
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
@@ -1476,9 +1591,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _enhanceAbilityCatsGrace() {
     return this._effectHelpers.createActiveEffect({
-      name: "Cat's Grace",
-      description: 'Advantage on dexterity checks for 1 hour',
+      id: 'ce-enhance-ability-cats-grace',
+      name: this._localizeName('ce-enhance-ability-cats-grace'),
+      description: this._localizeDescription('ce-enhance-ability-cats-grace'),
       icon: 'icons/magic/control/buff-flight-wings-runes-purple.webp',
+      requiresConcentration: true,
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
@@ -1493,9 +1610,13 @@ export default class EffectDefinitionsDnd5e {
 
   get _enhanceAbilityEaglesSplendor() {
     return this._effectHelpers.createActiveEffect({
-      name: "Eagle's Splendor",
-      description: 'Advantage on charisma checks for 1 hour',
+      id: 'ce-enhance-ability-eagles-splendor',
+      name: this._localizeName('ce-enhance-ability-eagles-splendor'),
+      description: this._localizeDescription(
+        'ce-enhance-ability-eagles-splendor'
+      ),
       icon: 'icons/magic/control/buff-flight-wings-runes-purple.webp',
+      requiresConcentration: true,
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
@@ -1510,9 +1631,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _enhanceAbilityFoxsCunning() {
     return this._effectHelpers.createActiveEffect({
-      name: "Fox's Cunning",
-      description: 'Advantage on intelligence checks for 1 hour',
+      id: 'ce-enhance-ability-foxs-cunning',
+      name: this._localizeName('ce-enhance-ability-foxs-cunning'),
+      description: this._localizeDescription('ce-enhance-ability-foxs-cunning'),
       icon: 'icons/magic/control/buff-flight-wings-runes-purple.webp',
+      requiresConcentration: true,
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
@@ -1527,9 +1650,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _enhanceAbilityOwlsWisdom() {
     return this._effectHelpers.createActiveEffect({
-      name: "Owl's Wisdom",
-      description: 'Advantage on wisdom checks for 1 hour',
+      id: 'ce-enhance-ability-owls-wisdom',
+      name: this._localizeName('ce-enhance-ability-owls-wisdom'),
+      description: this._localizeDescription('ce-enhance-ability-owls-wisdom'),
       icon: 'icons/magic/control/buff-flight-wings-runes-purple.webp',
+      requiresConcentration: true,
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
@@ -1544,22 +1669,22 @@ export default class EffectDefinitionsDnd5e {
 
   get _enlargeReduce() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Enlarge/Reduce',
-      description: 'Choose between Enlarge or Reduce',
+      id: 'ce-enlarge-reduce',
+      name: this._localizeName('ce-enlarge-reduce'),
+      description: this._localizeDescription('ce-enlarge-reduce'),
       icon: 'icons/magic/control/energy-stream-link-large-blue.webp',
-      nestedEffects: [
-        this._enlargeReduceEnlarge.name,
-        this._enlargeReduceReduce.name,
-      ],
+      requiresConcentration: true,
+      nestedEffects: ['ce-enlarge-reduce-enlarge', 'ce-enlarge-reduce-reduce'],
     });
   }
 
   get _enlargeReduceEnlarge() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Enlarge',
-      description:
-        'Add 1d4 to damage and advantage on strength checks and strength saving throws for 1 minute',
+      id: 'ce-enlarge-reduce-enlarge',
+      name: this._localizeName('ce-enlarge-reduce-enlarge'),
+      description: this._localizeDescription('ce-enlarge-reduce-enlarge'),
       icon: 'icons/magic/control/energy-stream-link-large-blue.webp',
+      requiresConcentration: true,
       isDynamic: true,
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
@@ -1585,10 +1710,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _enlargeReduceReduce() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Reduce',
-      description:
-        'Subtract 1d4 from damage and disadvantage on strength checks and strength saving throws for 1 minute',
+      id: 'ce-enlarge-reduce-reduce',
+      name: this._localizeName('ce-enlarge-reduce-reduce'),
+      description: this._localizeDescription('ce-enlarge-reduce-reduce'),
       icon: 'icons/magic/control/energy-stream-link-large-blue.webp',
+      requiresConcentration: true,
       isDynamic: true,
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
@@ -1614,9 +1740,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _faerieFire() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Faerie Fire',
-      description: 'Grants advantage to all who attack for 1 minute',
+      id: 'ce-faerie-fire',
+      name: this._localizeName('ce-faerie-fire'),
+      description: this._localizeDescription('ce-faerie-fire'),
       icon: 'icons/magic/fire/projectile-meteor-salvo-strong-teal.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       changes: [
         {
@@ -1659,8 +1787,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _falseLife() {
     return this._effectHelpers.createActiveEffect({
-      name: 'False Life',
-      description: 'Add temporary hit points 1 hour',
+      id: 'ce-false-life',
+      name: this._localizeName('ce-false-life'),
+      description: this._localizeDescription('ce-false-life'),
       icon: 'icons/magic/life/heart-cross-purple-orange.webp',
       seconds: Constants.SECONDS.IN_ONE_HOUR,
     });
@@ -1668,8 +1797,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _featherFall() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Feather Fall',
-      description: 'No active effects and lasts for 1 minute',
+      id: 'ce-feather-fall',
+      name: this._localizeName('ce-feather-fall'),
+      description: this._localizeDescription('ce-feather-fall'),
       icon: 'icons/magic/air/wind-swirl-pink-purple.webp',
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
     });
@@ -1677,8 +1807,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _feeblemind() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Feeblemind',
-      description: 'Set intelligence and charisma scores to 1 until removed',
+      id: 'ce-feeblemind',
+      name: this._localizeName('ce-feeblemind'),
+      description: this._localizeDescription('ce-feeblemind'),
       icon: 'icons/magic/light/explosion-star-large-teal-purple.webp',
       changes: [
         {
@@ -1699,20 +1830,22 @@ export default class EffectDefinitionsDnd5e {
 
   get _fireShield() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Fire Shield',
-      description: 'Choose between cold or fire resistance',
+      id: 'ce-fire-shield',
+      name: this._localizeName('ce-fire-shield'),
+      description: this._localizeDescription('ce-fire-shield'),
       icon: 'icons/magic/defensive/shield-barrier-flaming-pentagon-red.webp',
       nestedEffects: [
-        this._fireShieldColdResistance.name,
-        this._fireShieldFireResistance.name,
+        'ce-fire-shield-cold-resistance',
+        'ce-fire-shield-fire-resistance',
       ],
     });
   }
 
   get _fireShieldColdResistance() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Fire Shield (Cold Resistance)',
-      description: 'Add damage resistance to cold for 10 minutes',
+      id: 'ce-fire-shield-cold-resistance',
+      name: this._localizeName('ce-fire-shield-cold-resistance'),
+      description: this._localizeDescription('ce-fire-shield-cold-resistance'),
       icon: 'icons/magic/defensive/shield-barrier-flaming-pentagon-red.webp',
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_TEN_MINUTES,
@@ -1762,8 +1895,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _fireShieldFireResistance() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Fire Shield (Fire Resistance)',
-      description: 'Add damage resistance to fire for 10 minutes',
+      id: 'ce-fire-shield-fire-resistance',
+      name: this._localizeName('ce-fire-shield-fire-resistance'),
+      description: this._localizeDescription('ce-fire-shield-fire-resistance'),
       icon: 'icons/magic/defensive/shield-barrier-flaming-pentagon-blue.webp',
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_TEN_MINUTES,
@@ -1813,18 +1947,22 @@ export default class EffectDefinitionsDnd5e {
 
   get _findThePath() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Find the Path',
-      description: 'No active effects and lasts for 1 day',
+      id: 'ce-find-the-path',
+      name: this._localizeName('ce-find-the-path'),
+      description: this._localizeDescription('ce-find-the-path'),
       icon: 'icons/magic/light/explosion-star-teal.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_DAY,
     });
   }
 
   get _fly() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Fly',
-      description: 'Upgrade flying speed to 60 ft. for 10 minutes',
+      id: 'ce-fly',
+      name: this._localizeName('ce-fly'),
+      description: this._localizeDescription('ce-fly'),
       icon: 'icons/magic/control/energy-stream-link-white.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_TEN_MINUTES,
       statuses: ['fly'],
       changes: [
@@ -1840,9 +1978,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _foresight() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Foresight',
-      description:
-        'Grants advantage on attack rolls, ability checks, and saving throws while granting disadvantage to all who attack for 8 hours',
+      id: 'ce-foresight',
+      name: this._localizeName('ce-foresight'),
+      description: this._localizeDescription('ce-foresight'),
       icon: 'icons/magic/perception/eye-ringed-glow-angry-large-teal.webp',
       seconds: Constants.SECONDS.IN_EIGHT_HOURS,
       changes: [
@@ -1877,8 +2015,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _freedomOfMovement() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Freedom of Movement',
-      description: 'No active effects and lasts for 1 hour',
+      id: 'ce-freedom-of-movement',
+      name: this._localizeName('ce-freedom-of-movement'),
+      description: this._localizeDescription('ce-freedom-of-movement'),
       icon: 'icons/skills/melee/strike-blade-knife-white-red.webp',
       seconds: Constants.SECONDS.IN_ONE_HOUR,
     });
@@ -1886,9 +2025,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _globeOfInvulnerability() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Globe of Invulnerability',
-      description: 'No active effects and lasts for 1 minute',
+      id: 'ce-globe-of-invulnerability',
+      name: this._localizeName('ce-globe-of-invulnerability'),
+      description: this._localizeDescription('ce-globe-of-invulnerability'),
       icon: 'icons/magic/defensive/shield-barrier-flaming-pentagon-blue.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       tokenMagicChanges: [
         {
@@ -1902,10 +2043,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _greaterInvisibility() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Greater Invisibility',
-      description:
-        'Grants advantage on attack rolls while forcing disadvantage to all who attack for 1 minute',
+      id: 'ce-greater-invisibility',
+      name: this._localizeName('ce-greater-invisibility'),
+      description: this._localizeDescription('ce-greater-invisibility'),
       icon: 'icons/magic/air/fog-gas-smoke-swirling-gray.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       statuses: ['invisible'],
       subEffects: [this._invisible],
@@ -1914,9 +2056,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _guidance() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Guidance',
-      description: 'Adds 1d4 to one ability or skill check for 1 minute',
+      id: 'ce-guidance',
+      name: this._localizeName('ce-guidance'),
+      description: this._localizeDescription('ce-guidance'),
       icon: 'icons/magic/control/buff-flight-wings-blue.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       changes: [
         {
@@ -1940,12 +2084,13 @@ export default class EffectDefinitionsDnd5e {
 
   get _guidingBolt() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Guiding Bolt',
-      description:
-        'Grants advantage to next attacker or until the end of next turn',
+      id: 'ce-guiding-bolt',
+      name: this._localizeName('ce-guiding-bolt'),
+      description: this._localizeDescription('ce-guiding-bolt'),
       icon: 'icons/magic/fire/projectile-fireball-smoke-large-blue.webp',
       seconds: CONFIG.time.roundTime,
       turns: 1,
+      turnDuration: { boundary: 'end', of: 'origin' },
       flags: {
         dae: {
           specialDuration: ['isAttacked'],
@@ -1963,10 +2108,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _haste() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Haste',
-      description:
-        'Double speed, add 2 to AC, and advantage on dexterity saving throws for 1 minute',
+      id: 'ce-haste',
+      name: this._localizeName('ce-haste'),
+      description: this._localizeDescription('ce-haste'),
       icon: 'icons/magic/control/buff-flight-wings-runes-purple.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       changes: [
         {
@@ -1991,9 +2137,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _heroesFeast() {
     return this._effectHelpers.createActiveEffect({
-      name: "Heroes' Feast",
-      description:
-        'Immunity to poison and frightened, make all wisdom saving throws with advantage, and hit point maximum increases by 2d10 for 24 hours',
+      id: 'ce-heroes-feast',
+      name: this._localizeName('ce-heroes-feast'),
+      description: this._localizeDescription('ce-heroes-feast'),
       icon: 'icons/magic/life/heart-cross-strong-flame-purple-orange.webp',
       seconds: Constants.SECONDS.IN_ONE_DAY,
       changes: [
@@ -2018,10 +2164,17 @@ export default class EffectDefinitionsDnd5e {
 
   get _heroism() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Heroism',
-      description: 'Immunity to frightened for 1 minute',
+      id: 'ce-heroism',
+      name: this._localizeName('ce-heroism'),
+      description: this._localizeDescription('ce-heroism'),
       icon: 'icons/magic/life/heart-cross-strong-blue.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
+      recurringDamage: {
+        formula: '@attributes.spellmod',
+        damageType: 'temphp',
+        timing: 'start',
+      },
       changes: [
         {
           key: 'system.traits.ci.value',
@@ -2034,21 +2187,26 @@ export default class EffectDefinitionsDnd5e {
 
   get _hideousLaughter() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Hideous Laughter',
-      description:
-        'Apply the effects of the prone and incapacitated conditions for 1 minute',
+      id: 'ce-hideous-laughter',
+      name: this._localizeName('ce-hideous-laughter'),
+      description: this._localizeDescription('ce-hideous-laughter'),
       icon: 'icons/magic/fire/explosion-fireball-medium-purple-pink.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
+      recurringSave: { ability: 'wis', timing: 'end' },
       changes: [...this._incapacitated.changes, ...this._prone.changes],
     });
   }
 
   get _holdMonster() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Hold Monster',
-      description: 'Apply the effects of the paralyzed condition for 1 minute',
+      id: 'ce-hold-monster',
+      name: this._localizeName('ce-hold-monster'),
+      description: this._localizeDescription('ce-hold-monster'),
       icon: 'icons/magic/control/debuff-chains-ropes-red.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
+      recurringSave: { ability: 'wis', timing: 'end' },
       changes: [...this._paralyzed.changes],
       tokenMagicChanges: [
         {
@@ -2068,10 +2226,13 @@ export default class EffectDefinitionsDnd5e {
   // label=Hold Person
   get _holdPerson() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Hold Person',
-      description: 'Apply the effects of the paralyzed condition for 1 minute',
+      id: 'ce-hold-person',
+      name: this._localizeName('ce-hold-person'),
+      description: this._localizeDescription('ce-hold-person'),
       icon: 'icons/magic/control/debuff-chains-ropes-purple.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
+      recurringSave: { ability: 'wis', timing: 'end' },
       changes: [...this._paralyzed.changes],
       tokenMagicChanges: [
         {
@@ -2085,10 +2246,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _holyAura() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Holy Aura',
-      description:
-        'Advantage on saving throws, grant disadvantage to all who attack, and emit dim light in 5 radius (requires ATL) for 1 minute',
+      id: 'ce-holy-aura',
+      name: this._localizeName('ce-holy-aura'),
+      description: this._localizeDescription('ce-holy-aura'),
       icon: 'icons/magic/control/buff-flight-wings-runes-blue-white.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       changes: [
         {
@@ -2129,18 +2291,21 @@ export default class EffectDefinitionsDnd5e {
 
   get _huntersMark() {
     return this._effectHelpers.createActiveEffect({
-      name: "Hunter's Mark",
-      description: 'No active effects and lasts until removed (for now)',
+      id: 'ce-hunters-mark',
+      name: this._localizeName('ce-hunters-mark'),
+      description: this._localizeDescription('ce-hunters-mark'),
       icon: 'icons/magic/perception/eye-ringed-glow-angry-small-red.webp',
+      requiresConcentration: true,
     });
   }
 
   get _invisibility() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Invisibility',
-      description:
-        'Grants advantage on next attack roll while forcing disadvantage to all who attack for 1 hour. Expires after 1 attack.',
+      id: 'ce-invisibility',
+      name: this._localizeName('ce-invisibility'),
+      description: this._localizeDescription('ce-invisibility'),
       icon: 'icons/magic/air/fog-gas-smoke-dense-gray.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       flags: {
         dae: {
@@ -2154,10 +2319,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _irresistibleDance() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Irresistible Dance',
-      description:
-        'Zero movement, disadvantage on dexterity saving throws, disadvantage on attack rolls, and grants advantage to all who attack for 1 minute',
+      id: 'ce-irresistible-dance',
+      name: this._localizeName('ce-irresistible-dance'),
+      description: this._localizeDescription('ce-irresistible-dance'),
       icon: 'icons/magic/control/energy-stream-link-large-blue.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       changes: [
         {
@@ -2187,8 +2353,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _jump() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Jump',
-      description: 'No active effects and lasts for 1 minute',
+      id: 'ce-jump',
+      name: this._localizeName('ce-jump'),
+      description: this._localizeDescription('ce-jump'),
       icon: 'icons/magic/control/debuff-energy-hold-blue-yellow.webp',
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
     });
@@ -2196,8 +2363,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _light() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Light',
-      description: 'Emits 20/40 light for 1 hour (requires ATL)',
+      id: 'ce-light',
+      name: this._localizeName('ce-light'),
+      description: this._localizeDescription('ce-light'),
       icon: 'icons/magic/light/explosion-star-small-blue-yellow.webp',
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       atlChanges: [
@@ -2232,8 +2400,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _longstrider() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Longstrider',
-      description: 'Increase all movement by 10 ft. for 1 hour',
+      id: 'ce-longstrider',
+      name: this._localizeName('ce-longstrider'),
+      description: this._localizeDescription('ce-longstrider'),
       icon: 'icons/magic/air/wind-stream-blue-gray.webp',
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
@@ -2249,8 +2418,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _mageArmor() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Mage Armor',
-      description: 'Upgrades armor to 13 + dex modifier for 8 hours',
+      id: 'ce-mage-armor',
+      name: this._localizeName('ce-mage-armor'),
+      description: this._localizeDescription('ce-mage-armor'),
       icon: 'icons/magic/defensive/shield-barrier-glowing-triangle-blue.webp',
       seconds: Constants.SECONDS.IN_EIGHT_HOURS,
       changes: [
@@ -2266,8 +2436,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _mindBlank() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Mind Blank',
-      description: 'Adds immunity to psychic damage for 24 hours',
+      id: 'ce-mind-blank',
+      name: this._localizeName('ce-mind-blank'),
+      description: this._localizeDescription('ce-mind-blank'),
       icon: 'icons/magic/air/air-burst-spiral-large-blue.webp',
       seconds: Constants.SECONDS.IN_ONE_DAY,
       changes: [
@@ -2282,8 +2453,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _mirrorImage() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Mirror Image',
-      description: 'No active effects and lasts for 1 minute',
+      id: 'ce-mirror-image',
+      name: this._localizeName('ce-mirror-image'),
+      description: this._localizeDescription('ce-mirror-image'),
       icon: 'icons/magic/control/debuff-energy-hold-levitate-pink.webp',
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       tokenMagicChanges: [
@@ -2299,9 +2471,11 @@ export default class EffectDefinitionsDnd5e {
   get _passWithoutTrace() {
     // TODO token magic effects
     return this._effectHelpers.createActiveEffect({
-      name: 'Pass without Trace',
-      description: 'Add 10 to stealth checks for 1 hour',
+      id: 'ce-pass-without-trace',
+      name: this._localizeName('ce-pass-without-trace'),
+      description: this._localizeDescription('ce-pass-without-trace'),
       icon: 'icons/magic/air/fog-gas-smoke-brown.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
         {
@@ -2315,16 +2489,17 @@ export default class EffectDefinitionsDnd5e {
 
   get _protectionFromEnergy() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Protection from Energy',
-      description:
-        'Choose between acid, cold, fire, lightning, or thunder resistance',
+      id: 'ce-protection-from-energy',
+      name: this._localizeName('ce-protection-from-energy'),
+      description: this._localizeDescription('ce-protection-from-energy'),
       icon: 'icons/magic/defensive/shield-barrier-flaming-diamond-teal.webp',
+      requiresConcentration: true,
       nestedEffects: [
-        this._protectionFromEnergyAcid.name,
-        this._protectionFromEnergyCold.name,
-        this._protectionFromEnergyFire.name,
-        this._protectionFromEnergyLightning.name,
-        this._protectionFromEnergyThunder.name,
+        'ce-protection-from-energy-acid',
+        'ce-protection-from-energy-cold',
+        'ce-protection-from-energy-fire',
+        'ce-protection-from-energy-lightning',
+        'ce-protection-from-energy-thunder',
       ],
     });
   }
@@ -2332,9 +2507,11 @@ export default class EffectDefinitionsDnd5e {
   get _protectionFromEnergyAcid() {
     // TODO token magic effects
     return this._effectHelpers.createActiveEffect({
-      name: 'Protection from Acid',
-      description: 'Adds damage resistance to acid for 1 hour',
+      id: 'ce-protection-from-energy-acid',
+      name: this._localizeName('ce-protection-from-energy-acid'),
+      description: this._localizeDescription('ce-protection-from-energy-acid'),
       icon: 'icons/magic/defensive/shield-barrier-flaming-diamond-acid.webp',
+      requiresConcentration: true,
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
@@ -2350,9 +2527,11 @@ export default class EffectDefinitionsDnd5e {
   get _protectionFromEnergyCold() {
     // TODO token magic effects
     return this._effectHelpers.createActiveEffect({
-      name: 'Protection from Cold',
-      description: 'Adds damage resistance to cold for 1 hour',
+      id: 'ce-protection-from-energy-cold',
+      name: this._localizeName('ce-protection-from-energy-cold'),
+      description: this._localizeDescription('ce-protection-from-energy-cold'),
       icon: 'icons/magic/defensive/shield-barrier-flaming-diamond-blue.webp',
+      requiresConcentration: true,
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
@@ -2368,9 +2547,11 @@ export default class EffectDefinitionsDnd5e {
   get _protectionFromEnergyFire() {
     // TODO token magic effects
     return this._effectHelpers.createActiveEffect({
-      name: 'Protection from Fire',
-      description: 'Adds damage resistance to fire for 1 hour',
+      id: 'ce-protection-from-energy-fire',
+      name: this._localizeName('ce-protection-from-energy-fire'),
+      description: this._localizeDescription('ce-protection-from-energy-fire'),
       icon: 'icons/magic/defensive/shield-barrier-flaming-diamond-red.webp',
+      requiresConcentration: true,
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
@@ -2386,9 +2567,13 @@ export default class EffectDefinitionsDnd5e {
   get _protectionFromEnergyLightning() {
     // TODO token magic effects
     return this._effectHelpers.createActiveEffect({
-      name: 'Protection from Lightning',
-      description: 'Adds damage resistance to lightning for 1 hour',
+      id: 'ce-protection-from-energy-lightning',
+      name: this._localizeName('ce-protection-from-energy-lightning'),
+      description: this._localizeDescription(
+        'ce-protection-from-energy-lightning'
+      ),
       icon: 'icons/magic/defensive/shield-barrier-flaming-diamond-blue-yellow.webp',
+      requiresConcentration: true,
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
@@ -2404,9 +2589,13 @@ export default class EffectDefinitionsDnd5e {
   get _protectionFromEnergyThunder() {
     // TODO token magic effects
     return this._effectHelpers.createActiveEffect({
-      name: 'Protection from Thunder',
-      description: 'Adds damage resistance to thunder for 1 hour',
+      id: 'ce-protection-from-energy-thunder',
+      name: this._localizeName('ce-protection-from-energy-thunder'),
+      description: this._localizeDescription(
+        'ce-protection-from-energy-thunder'
+      ),
       icon: 'icons/magic/defensive/shield-barrier-flaming-diamond-teal-purple.webp',
+      requiresConcentration: true,
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
@@ -2422,9 +2611,9 @@ export default class EffectDefinitionsDnd5e {
   get _protectionFromPoison() {
     // TODO token magic effects
     return this._effectHelpers.createActiveEffect({
-      name: 'Protection from Poison',
-      description:
-        'Adds resistance to poison for 1 hour (does not grant automatic advantage on saving throws against poison)',
+      id: 'ce-protection-from-poison',
+      name: this._localizeName('ce-protection-from-poison'),
+      description: this._localizeDescription('ce-protection-from-poison'),
       icon: 'icons/magic/defensive/shield-barrier-glowing-triangle-green.webp',
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
@@ -2439,17 +2628,22 @@ export default class EffectDefinitionsDnd5e {
 
   get _protectionFromEvilAndGood() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Protection from Evil and Good',
-      description: 'No active effects and lasts for 10 minutes',
+      id: 'ce-protection-from-evil-and-good',
+      name: this._localizeName('ce-protection-from-evil-and-good'),
+      description: this._localizeDescription(
+        'ce-protection-from-evil-and-good'
+      ),
       icon: 'icons/magic/defensive/shield-barrier-flaming-diamond-blue-yellow.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_TEN_MINUTES,
     });
   }
 
   get _rayOfFrost() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Ray of Frost',
-      description: 'Lowers movement by 10 ft',
+      id: 'ce-ray-of-frost',
+      name: this._localizeName('ce-ray-of-frost'),
+      description: this._localizeDescription('ce-ray-of-frost'),
       icon: 'icons/magic/light/beam-rays-blue-small.webp',
       seconds: CONFIG.time.roundTime,
       changes: [
@@ -2465,10 +2659,12 @@ export default class EffectDefinitionsDnd5e {
 
   get _regenerate() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Regenerate',
-      description: 'Regain 1 hit point at the start of each turn for 1 hour',
+      id: 'ce-regenerate',
+      name: this._localizeName('ce-regenerate'),
+      description: this._localizeDescription('ce-regenerate'),
       icon: 'icons/magic/life/heart-cross-strong-flame-green.webp',
       seconds: Constants.SECONDS.IN_ONE_HOUR,
+      recurringDamage: { formula: '1', damageType: 'healing', timing: 'start' },
       changes: [
         {
           key: `flags.${this._flagPrefix}.OverTime.regenerate`,
@@ -2482,9 +2678,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _resilientSphere() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Resilient Sphere',
-      description: 'Adds total immunity to all damage and half movement',
+      id: 'ce-resilient-sphere',
+      name: this._localizeName('ce-resilient-sphere'),
+      description: this._localizeDescription('ce-resilient-sphere'),
       icon: 'icons/magic/light/explosion-star-large-pink.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       changes: [
         {
@@ -2504,9 +2702,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _resistance() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Resistance',
-      description: 'Add 1d4 to a single saving throw in the next minute',
+      id: 'ce-resistance',
+      name: this._localizeName('ce-resistance'),
+      description: this._localizeDescription('ce-resistance'),
       icon: 'icons/magic/defensive/shield-barrier-glowing-triangle-orange.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       changes: [
         {
@@ -2525,10 +2725,12 @@ export default class EffectDefinitionsDnd5e {
 
   get _shield() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Shield',
-      description: 'Add 5 to AC until next turn',
+      id: 'ce-shield',
+      name: this._localizeName('ce-shield'),
+      description: this._localizeDescription('ce-shield'),
       icon: 'icons/magic/defensive/shield-barrier-glowing-triangle-magenta.webp',
       seconds: CONFIG.time.roundTime,
+      turnDuration: { boundary: 'start', of: 'target' },
       flags: {
         dae: {
           specialDuration: ['turnStart'],
@@ -2554,9 +2756,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _shieldOfFaith() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Shield of Faith',
-      description: 'Adds 2 to the AC for 10 minutes',
+      id: 'ce-shield-of-faith',
+      name: this._localizeName('ce-shield-of-faith'),
+      description: this._localizeDescription('ce-shield-of-faith'),
       icon: 'icons/magic/defensive/shield-barrier-flaming-diamond-blue-yellow.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_TEN_MINUTES,
       changes: [
         {
@@ -2577,11 +2781,13 @@ export default class EffectDefinitionsDnd5e {
 
   get _slow() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Slow',
-      description:
-        'Halves movement and and subtract 2 from AC and dexterity saving throws for 1 minute',
+      id: 'ce-slow',
+      name: this._localizeName('ce-slow'),
+      description: this._localizeDescription('ce-slow'),
       icon: 'icons/magic/air/fog-gas-smoke-dense-pink.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
+      recurringSave: { ability: 'wis', timing: 'end' },
       changes: [
         {
           key: 'system.attributes.ac.bonus',
@@ -2605,8 +2811,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _speakWithAnimals() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Speak with Animals',
-      description: 'No active effects and lasts for 10 minutes',
+      id: 'ce-speak-with-animals',
+      name: this._localizeName('ce-speak-with-animals'),
+      description: this._localizeDescription('ce-speak-with-animals'),
       icon: 'icons/magic/nature/wolf-paw-glow-small-teal-blue.webp',
       seconds: Constants.SECONDS.IN_TEN_MINUTES,
     });
@@ -2614,8 +2821,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _speakWithDead() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Speak with Dead',
-      description: 'No active effects and lasts for 10 minutes',
+      id: 'ce-speak-with-dead',
+      name: this._localizeName('ce-speak-with-dead'),
+      description: this._localizeDescription('ce-speak-with-dead'),
       icon: 'icons/magic/control/fear-fright-shadow-monster-green.webp',
       seconds: Constants.SECONDS.IN_TEN_MINUTES,
     });
@@ -2623,8 +2831,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _speakWithPlants() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Speak with Plants',
-      description: 'No active effects and lasts for 10 minutes',
+      id: 'ce-speak-with-plants',
+      name: this._localizeName('ce-speak-with-plants'),
+      description: this._localizeDescription('ce-speak-with-plants'),
       icon: 'icons/magic/nature/leaf-glow-teal.webp',
       seconds: Constants.SECONDS.IN_TEN_MINUTES,
     });
@@ -2632,9 +2841,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _spiderClimb() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Spider Climb',
-      description: 'Grants climbing speed equal to walking speed for 1 hour',
+      id: 'ce-spider-climb',
+      name: this._localizeName('ce-spider-climb'),
+      description: this._localizeDescription('ce-spider-climb'),
       icon: 'icons/magic/control/debuff-chains-blue.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
         {
@@ -2649,17 +2860,44 @@ export default class EffectDefinitionsDnd5e {
 
   get _spiritGuardians() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Spirit Guardians',
-      description: 'No active effects and lasts for 10 minutes',
+      id: 'ce-spirit-guardians',
+      name: this._localizeName('ce-spirit-guardians'),
+      description: this._localizeDescription('ce-spirit-guardians'),
       icon: 'icons/magic/light/projectile-bolts-salvo-white.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_TEN_MINUTES,
+      aura: {
+        radius: 15,
+        effectId: 'ce-spirit-guardians-area',
+        disposition: 'enemies',
+        includeSelf: false,
+      },
+    });
+  }
+
+  get _spiritGuardiansArea() {
+    return this._effectHelpers.createActiveEffect({
+      id: 'ce-spirit-guardians-area',
+      name: this._localizeName('ce-spirit-guardians-area'),
+      description: this._localizeDescription('ce-spirit-guardians-area'),
+      icon: 'icons/magic/light/projectile-bolts-salvo-white.webp',
+      isViewable: this._settings.showNestedEffects,
+      changes: [
+        {
+          key: 'system.attributes.movement.all',
+          mode: CONST.ACTIVE_EFFECT_MODES.CUSTOM,
+          value: '*0.5',
+          priority: 25,
+        },
+      ],
     });
   }
 
   get _spiritualWeapon() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Spiritual Weapon',
-      description: 'No active effects and lasts for 1 minute',
+      id: 'ce-spiritual-weapon',
+      name: this._localizeName('ce-spiritual-weapon'),
+      description: this._localizeDescription('ce-spiritual-weapon'),
       icon: 'icons/magic/fire/dagger-rune-enchant-flame-purple.webp',
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
     });
@@ -2668,9 +2906,11 @@ export default class EffectDefinitionsDnd5e {
   get _stoneskin() {
     // TODO token magic effects
     return this._effectHelpers.createActiveEffect({
-      name: 'Stoneskin',
-      description: 'Adds resistance to non-magical physical damage for 1 hour',
+      id: 'ce-stoneskin',
+      name: this._localizeName('ce-stoneskin'),
+      description: this._localizeDescription('ce-stoneskin'),
       icon: 'icons/magic/defensive/shield-barrier-flaming-diamond-orange.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
         {
@@ -2684,30 +2924,36 @@ export default class EffectDefinitionsDnd5e {
 
   get _suggestion() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Suggestion',
-      description: 'No active effects and lasts for 8 hours',
+      id: 'ce-suggestion',
+      name: this._localizeName('ce-suggestion'),
+      description: this._localizeDescription('ce-suggestion'),
       icon: 'icons/magic/air/air-burst-spiral-pink.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_EIGHT_HOURS,
     });
   }
 
   get _telekinesis() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Telekinesis',
-      description: 'No active effects and lasts for 10 minutes',
+      id: 'ce-telekinesis',
+      name: this._localizeName('ce-telekinesis'),
+      description: this._localizeDescription('ce-telekinesis'),
       icon: 'icons/magic/control/debuff-energy-hold-levitate-yellow.webp',
+      requiresConcentration: true,
       seconds: Constants.SECONDS.IN_TEN_MINUTES,
     });
   }
 
   get _trueStrike() {
     return this._effectHelpers.createActiveEffect({
-      name: 'True Strike',
-      description:
-        'Grants advantage on next attack or until the end of next turn',
+      id: 'ce-true-strike',
+      name: this._localizeName('ce-true-strike'),
+      description: this._localizeDescription('ce-true-strike'),
       icon: 'icons/magic/fire/dagger-rune-enchant-blue-gray.webp',
+      requiresConcentration: true,
       seconds: CONFIG.time.roundTime,
       turns: 1,
+      turnDuration: { boundary: 'end', of: 'origin' },
       flags: {
         dae: {
           specialDuration: ['1Attack'],
@@ -2725,12 +2971,13 @@ export default class EffectDefinitionsDnd5e {
 
   get _viciousMockery() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Vicious Mockery',
-      description:
-        'Grants disadvantage on next attack or until the end of next turn',
+      id: 'ce-vicious-mockery',
+      name: this._localizeName('ce-vicious-mockery'),
+      description: this._localizeDescription('ce-vicious-mockery'),
       icon: 'icons/skills/toxins/cup-goblet-poisoned-spilled.webp',
       seconds: CONFIG.time.roundTime,
       turns: 1,
+      turnDuration: { boundary: 'end', of: 'target' },
       flags: {
         dae: {
           specialDuration: ['1Attack'],
@@ -2748,9 +2995,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _wardingBond() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Warding Bond',
-      description:
-        'Adds 1 to AC and saving throws and grants resistance to all damage for 1 hour',
+      id: 'ce-warding-bond',
+      name: this._localizeName('ce-warding-bond'),
+      description: this._localizeDescription('ce-warding-bond'),
       icon: 'icons/magic/defensive/shield-barrier-flaming-diamond-blue-yellow.webp',
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       changes: [
@@ -2780,8 +3027,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _waterBreathing() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Water Breathing',
-      description: 'No active effects and lasts for 24 hours',
+      id: 'ce-water-breathing',
+      name: this._localizeName('ce-water-breathing'),
+      description: this._localizeDescription('ce-water-breathing'),
       icon: 'icons/magic/water/pseudopod-swirl-blue.webp',
       seconds: Constants.SECONDS.IN_ONE_DAY,
     });
@@ -2789,35 +3037,70 @@ export default class EffectDefinitionsDnd5e {
 
   get _waterWalk() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Water Walk',
-      description: 'No active effects and lasts for 1 hour',
+      id: 'ce-water-walk',
+      name: this._localizeName('ce-water-walk'),
+      description: this._localizeDescription('ce-water-walk'),
       icon: 'icons/creatures/slimes/slime-movement-swirling-blue.webp',
       seconds: Constants.SECONDS.IN_ONE_HOUR,
     });
   }
 
   /** Class specific */
+  get _auraOfProtection() {
+    return this._effectHelpers.createActiveEffect({
+      id: 'ce-aura-of-protection',
+      name: this._localizeName('ce-aura-of-protection'),
+      description: this._localizeDescription('ce-aura-of-protection'),
+      icon: 'icons/magic/defensive/shield-barrier-glowing-triangle-orange.webp',
+      aura: {
+        radius: 10,
+        effectId: 'ce-aura-of-protection-bonus',
+        disposition: 'allies',
+        includeSelf: true,
+      },
+    });
+  }
+
+  get _auraOfProtectionBonus() {
+    return this._effectHelpers.createActiveEffect({
+      id: 'ce-aura-of-protection-bonus',
+      name: this._localizeName('ce-aura-of-protection-bonus'),
+      description: this._localizeDescription('ce-aura-of-protection-bonus'),
+      icon: 'icons/magic/defensive/shield-barrier-glowing-triangle-orange.webp',
+      isViewable: this._settings.showNestedEffects,
+      changes: [
+        {
+          key: 'system.bonuses.abilities.save',
+          mode: CONST.ACTIVE_EFFECT_MODES.ADD,
+          value: '+max(1, @origin.abilities.cha.mod)',
+        },
+      ],
+    });
+  }
+
   get _bardicInspiration() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Bardic Inspiration',
-      description:
-        'Add a dice to a single ability check, attack roll, or saving throw in the next 10 minutes',
+      id: 'ce-bardic-inspiration',
+      name: this._localizeName('ce-bardic-inspiration'),
+      description: this._localizeDescription('ce-bardic-inspiration'),
       icon: 'icons/skills/melee/unarmed-punch-fist.webp',
       seconds: Constants.SECONDS.IN_TEN_MINUTES,
       nestedEffects: [
-        this._bardicInspirationD6.name,
-        this._bardicInspirationD8.name,
-        this._bardicInspirationD10.name,
-        this._bardicInspirationD12.name,
+        'ce-bardic-inspiration-d6',
+        'ce-bardic-inspiration-d8',
+        'ce-bardic-inspiration-d10',
+        'ce-bardic-inspiration-d12',
       ],
     });
   }
 
   get _bardicInspirationD6() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Bardic Inspiration (d6)',
-      description: 'For bards from level 1 to level 4',
+      id: 'ce-bardic-inspiration-d6',
+      name: this._localizeName('ce-bardic-inspiration-d6'),
+      description: this._localizeDescription('ce-bardic-inspiration-d6'),
       icon: 'icons/skills/melee/unarmed-punch-fist.webp',
+      exclusiveGroup: 'bardic-inspiration',
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_TEN_MINUTES,
       changes: [
@@ -2847,9 +3130,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _bardicInspirationD8() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Bardic Inspiration (d8)',
-      description: 'For bards from level 5 to level 9',
+      id: 'ce-bardic-inspiration-d8',
+      name: this._localizeName('ce-bardic-inspiration-d8'),
+      description: this._localizeDescription('ce-bardic-inspiration-d8'),
       icon: 'icons/skills/melee/unarmed-punch-fist.webp',
+      exclusiveGroup: 'bardic-inspiration',
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_TEN_MINUTES,
       changes: [
@@ -2879,9 +3164,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _bardicInspirationD10() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Bardic Inspiration (d10)',
-      description: 'For bards from level 10 to level 14',
+      id: 'ce-bardic-inspiration-d10',
+      name: this._localizeName('ce-bardic-inspiration-d10'),
+      description: this._localizeDescription('ce-bardic-inspiration-d10'),
       icon: 'icons/skills/melee/unarmed-punch-fist.webp',
+      exclusiveGroup: 'bardic-inspiration',
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_TEN_MINUTES,
       changes: [
@@ -2911,9 +3198,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _bardicInspirationD12() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Bardic Inspiration (d12)',
-      description: 'For bards from level 15 to level 20',
+      id: 'ce-bardic-inspiration-d12',
+      name: this._localizeName('ce-bardic-inspiration-d12'),
+      description: this._localizeDescription('ce-bardic-inspiration-d12'),
       icon: 'icons/skills/melee/unarmed-punch-fist.webp',
+      exclusiveGroup: 'bardic-inspiration',
       isViewable: this._settings.showNestedEffects,
       seconds: Constants.SECONDS.IN_TEN_MINUTES,
       changes: [
@@ -2943,9 +3232,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _channelDivinitySacredWeapon() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Channel Divinity: Sacred Weapon',
-      description:
-        'Add charisma modifier (minimum +1) to all weapon attack rolls and emits 20/40 light for 1 minute (requires ATL)',
+      id: 'ce-channel-divinity-sacred-weapon',
+      name: this._localizeName('ce-channel-divinity-sacred-weapon'),
+      description: this._localizeDescription(
+        'ce-channel-divinity-sacred-weapon'
+      ),
       icon: 'icons/weapons/swords/sword-gold-holy.webp',
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       changes: [
@@ -2992,9 +3283,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _channelDivinityTurnTheUnholy() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Channel Divinity: Turn the Unholy',
-      description:
-        'No active effects and lasts for 1 minute. Expires on taking damage.',
+      id: 'ce-channel-divinity-turn-the-unholy',
+      name: this._localizeName('ce-channel-divinity-turn-the-unholy'),
+      description: this._localizeDescription(
+        'ce-channel-divinity-turn-the-unholy'
+      ),
       icon: 'icons/magic/fire/explosion-embers-evade-silhouette.webp',
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       flags: {
@@ -3007,9 +3300,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _channelDivinityTurnUndead() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Channel Divinity: Turn Undead',
-      description:
-        'No active effects and lasts for 1 minute. Expires on taking damage.',
+      id: 'ce-channel-divinity-turn-undead',
+      name: this._localizeName('ce-channel-divinity-turn-undead'),
+      description: this._localizeDescription('ce-channel-divinity-turn-undead'),
       icon: 'icons/magic/fire/flame-burning-creature-skeleton.webp',
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       flags: {
@@ -3022,9 +3315,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _kiEmptyBody() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Ki: Empty Body',
-      description:
-        'Grants advantage on attack rolls, forces disadvantage to all who attack, and grants resistance to all damage except force for 1 minute',
+      id: 'ce-ki-empty-body',
+      name: this._localizeName('ce-ki-empty-body'),
+      description: this._localizeDescription('ce-ki-empty-body'),
       icon: 'icons/magic/perception/silhouette-stealth-shadow.webp',
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       changes: [
@@ -3119,10 +3412,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _kiPatientDefense() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Ki: Patient Defense',
-      description:
-        'Grants disadvantage to all who attack and advantage on all dexterity saving throws until next turn',
+      id: 'ce-ki-patient-defense',
+      name: this._localizeName('ce-ki-patient-defense'),
+      description: this._localizeDescription('ce-ki-patient-defense'),
       icon: 'icons/magic/defensive/shield-barrier-glowing-blue.webp',
+      turnDuration: { boundary: 'start', of: 'target' },
       flags: {
         dae: {
           specialDuration: ['turnStart'],
@@ -3145,9 +3439,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _rage() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Rage',
-      description:
-        'Advantage on strength checks and strength saving throws, a variable bonus to melee damage based on barbarian level, and resistance to piercing, bludgeoning, and slashing damage for 1 minute. Also handles Path of the Totem Warrior resistances.',
+      id: 'ce-rage',
+      name: this._localizeName('ce-rage'),
+      description: this._localizeDescription('ce-rage'),
       icon: 'icons/creatures/abilities/mouth-teeth-human.webp',
       seconds: Constants.SECONDS.IN_ONE_MINUTE,
       isDynamic: true,
@@ -3193,10 +3487,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _recklessAttack() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Reckless Attack',
-      description:
-        'Advantage on melee attacks for a turn and grants advantage to those who attack for 1 round',
+      id: 'ce-reckless-attack',
+      name: this._localizeName('ce-reckless-attack'),
+      description: this._localizeDescription('ce-reckless-attack'),
       icon: 'icons/skills/melee/blade-tips-triple-bent-white.webp',
+      turnDuration: { boundary: 'start', of: 'target' },
       flags: {
         dae: {
           specialDuration: ['turnStart'],
@@ -3211,8 +3506,11 @@ export default class EffectDefinitionsDnd5e {
       ],
       subEffects: [
         this._effectHelpers.createActiveEffect({
-          name: 'Reckless Attack (advantage on attacks)',
-          description: 'Advantage on melee attacks until end of turn',
+          id: 'ce-reckless-attack-advantage-on-attacks',
+          name: this._localizeName('ce-reckless-attack-advantage-on-attacks'),
+          description: this._localizeDescription(
+            'ce-reckless-attack-advantage-on-attacks'
+          ),
           icon: 'icons/skills/melee/blade-tips-triple-bent-white.webp',
           turns: 1,
           changes: [
@@ -3230,10 +3528,11 @@ export default class EffectDefinitionsDnd5e {
   /* Equipment effects */
   get _bullseyeLantern() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Bullseye Lantern',
-      description:
-        'Adds lantern light in a 60 degree cone for 6 hours (requires ATL)',
+      id: 'ce-bullseye-lantern',
+      name: this._localizeName('ce-bullseye-lantern'),
+      description: this._localizeDescription('ce-bullseye-lantern'),
       icon: 'icons/sundries/lights/lantern-iron-yellow.webp',
+      exclusiveGroup: 'light-source',
       seconds: Constants.SECONDS.IN_SIX_HOURS,
       atlChanges: [
         {
@@ -3272,9 +3571,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _candle() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Candle',
-      description: 'Adds candle light for 1 hour (requires ATL)',
+      id: 'ce-candle',
+      name: this._localizeName('ce-candle'),
+      description: this._localizeDescription('ce-candle'),
       icon: 'icons/sundries/lights/candle-unlit-white.webp',
+      exclusiveGroup: 'light-source',
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       atlChanges: [
         {
@@ -3308,9 +3609,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _hoodedLantern() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Hooded Lantern',
-      description: 'Adds hooded lantern light for 6 hours (requires ATL)',
+      id: 'ce-hooded-lantern',
+      name: this._localizeName('ce-hooded-lantern'),
+      description: this._localizeDescription('ce-hooded-lantern'),
       icon: 'icons/sundries/lights/lantern-iron-yellow.webp',
+      exclusiveGroup: 'light-source',
       seconds: Constants.SECONDS.IN_SIX_HOURS,
       atlChanges: [
         {
@@ -3344,9 +3647,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _lantern() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Lantern',
-      description: 'Adds lantern light for 6 hours (requires ATL)',
+      id: 'ce-lantern',
+      name: this._localizeName('ce-lantern'),
+      description: this._localizeDescription('ce-lantern'),
       icon: 'icons/sundries/lights/lantern-iron-yellow.webp',
+      exclusiveGroup: 'light-source',
       seconds: Constants.SECONDS.IN_SIX_HOURS,
       atlChanges: [
         {
@@ -3380,9 +3685,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _torch() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Torch',
-      description: 'Adds torch light for 1 hour (requires ATL)',
+      id: 'ce-torch',
+      name: this._localizeName('ce-torch'),
+      description: this._localizeDescription('ce-torch'),
       icon: 'icons/sundries/lights/torch-black.webp',
+      exclusiveGroup: 'light-source',
       seconds: Constants.SECONDS.IN_ONE_HOUR,
       atlChanges: [
         {
@@ -3417,9 +3724,11 @@ export default class EffectDefinitionsDnd5e {
   /* Other effects */
   get _bonusAction() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Bonus Action',
-      description: 'No active effects and expires on turn start',
+      id: 'ce-bonus-action',
+      name: this._localizeName('ce-bonus-action'),
+      description: this._localizeDescription('ce-bonus-action'),
       icon: 'modules/dfreds-convenient-effects/images/bonus-action.svg',
+      turnDuration: { boundary: 'start', of: 'target' },
       flags: {
         dae: {
           specialDuration: ['turnStart', 'shortRest', 'longRest'],
@@ -3430,9 +3739,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _coverHalf() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Cover (Half)',
-      description: 'Adds 2 to AC and dexterity saving throws',
+      id: 'ce-cover-half',
+      name: this._localizeName('ce-cover-half'),
+      description: this._localizeDescription('ce-cover-half'),
       icon: 'modules/dfreds-convenient-effects/images/broken-wall.svg',
+      exclusiveGroup: 'cover',
       tint: '#dae34f',
       changes: [
         {
@@ -3451,9 +3762,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _coverThreeQuarters() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Cover (Three-Quarters)',
-      description: 'Adds 5 to AC and dexterity saving throws',
+      id: 'ce-cover-three-quarters',
+      name: this._localizeName('ce-cover-three-quarters'),
+      description: this._localizeDescription('ce-cover-three-quarters'),
       icon: 'modules/dfreds-convenient-effects/images/brick-wall.svg',
+      exclusiveGroup: 'cover',
       changes: [
         {
           key: 'system.attributes.ac.cover',
@@ -3471,9 +3784,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _coverTotal() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Cover (Total)',
-      description: 'Causes all attacks to fail automatically',
+      id: 'ce-cover-total',
+      name: this._localizeName('ce-cover-total'),
+      description: this._localizeDescription('ce-cover-total'),
       icon: 'modules/dfreds-convenient-effects/images/castle.svg',
+      exclusiveGroup: 'cover',
       changes: [
         {
           key: `flags.${this._flagPrefix}.grants.attack.fail.all`,
@@ -3486,8 +3801,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _encumbered() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Encumbered',
-      description: 'Lowers movement by 10 ft.',
+      id: 'ce-encumbered',
+      name: this._localizeName('ce-encumbered'),
+      description: this._localizeDescription('ce-encumbered'),
       icon: 'icons/svg/down.svg',
       changes: [
         {
@@ -3502,10 +3818,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _dodge() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Dodge',
-      description:
-        'Grants disadvantage to all who attack and advantage on all dexterity saving throws until next turn',
+      id: 'ce-dodge',
+      name: this._localizeName('ce-dodge'),
+      description: this._localizeDescription('ce-dodge'),
       icon: 'modules/dfreds-convenient-effects/images/dodging.svg',
+      turnDuration: { boundary: 'start', of: 'target' },
       flags: {
         dae: {
           specialDuration: ['turnStart'],
@@ -3528,8 +3845,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _flanked() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Flanked',
-      description: 'Grants advantage to all who melee attack',
+      id: 'ce-flanked',
+      name: this._localizeName('ce-flanked'),
+      description: this._localizeDescription('ce-flanked'),
       icon: 'modules/dfreds-convenient-effects/images/encirclement.svg',
       changes: [
         {
@@ -3548,8 +3866,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _flanking() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Flanking',
-      description: 'Grants advantage on melee attack rolls',
+      id: 'ce-flanking',
+      name: this._localizeName('ce-flanking'),
+      description: this._localizeDescription('ce-flanking'),
       icon: 'icons/svg/sword.svg',
       changes: [
         {
@@ -3568,8 +3887,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _greatWeaponMaster() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Great Weapon Master',
-      description: 'Subtracts 5 from melee attacks but adds 10 to melee damage',
+      id: 'ce-great-weapon-master',
+      name: this._localizeName('ce-great-weapon-master'),
+      description: this._localizeDescription('ce-great-weapon-master'),
       icon: 'icons/skills/melee/hand-grip-staff-yellow-brown.webp',
       changes: [
         {
@@ -3588,9 +3908,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _heavilyEncumbered() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Heavily Encumbered',
-      description:
-        'Lowers movement by 20 ft., disadvantage on all attack rolls, and disadvantage on strength, dexterity, and constitution saves',
+      id: 'ce-heavily-encumbered',
+      name: this._localizeName('ce-heavily-encumbered'),
+      description: this._localizeDescription('ce-heavily-encumbered'),
       icon: 'icons/svg/downgrade.svg',
       changes: [
         {
@@ -3625,9 +3945,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _inspiration() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Inspiration',
-      description:
-        'Advantage on everything and expires after any action, save, check, or skill roll',
+      id: 'ce-inspiration',
+      name: this._localizeName('ce-inspiration'),
+      description: this._localizeDescription('ce-inspiration'),
       icon: 'icons/magic/control/buff-luck-fortune-green.webp',
       flags: {
         dae: {
@@ -3646,8 +3966,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _rangedDisadvantage() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Ranged Disadvantage',
-      description: 'Disadvantage on ranged attack rolls',
+      id: 'ce-ranged-disadvantage',
+      name: this._localizeName('ce-ranged-disadvantage'),
+      description: this._localizeDescription('ce-ranged-disadvantage'),
       icon: 'modules/dfreds-convenient-effects/images/broken-arrow.svg',
       changes: [
         {
@@ -3666,9 +3987,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _reaction() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Reaction',
-      description: 'No active effects and expires on turn start',
+      id: 'ce-reaction',
+      name: this._localizeName('ce-reaction'),
+      description: this._localizeDescription('ce-reaction'),
       icon: 'modules/dfreds-convenient-effects/images/reaction.svg',
+      turnDuration: { boundary: 'start', of: 'target' },
       flags: {
         dae: {
           specialDuration: ['turnStart', 'shortRest', 'longRest'],
@@ -3679,9 +4002,11 @@ export default class EffectDefinitionsDnd5e {
 
   get _ready() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Ready',
-      description: 'No active effects and expires on turn start',
+      id: 'ce-ready',
+      name: this._localizeName('ce-ready'),
+      description: this._localizeDescription('ce-ready'),
       icon: 'modules/dfreds-convenient-effects/images/ready.svg',
+      turnDuration: { boundary: 'start', of: 'target' },
       flags: {
         dae: {
           specialDuration: ['turnStart'],
@@ -3692,9 +4017,9 @@ export default class EffectDefinitionsDnd5e {
 
   get _sharpshooter() {
     return this._effectHelpers.createActiveEffect({
-      name: 'Sharpshooter',
-      description:
-        'Subtracts 5 from ranged attacks but adds 10 to ranged damage',
+      id: 'ce-sharpshooter',
+      name: this._localizeName('ce-sharpshooter'),
+      description: this._localizeDescription('ce-sharpshooter'),
       icon: 'icons/weapons/bows/shortbow-recurve-yellow.webp',
       changes: [
         {
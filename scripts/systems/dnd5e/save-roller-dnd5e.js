@@ -0,0 +1,62 @@
+import FoundryHelpers from '../../util/foundry-helpers.js';
+
+/**
+ * Handles rolling saving throws for recurring saves
+ */
+export default class SaveRollerDnd5e {
+  constructor() {
+    this._foundryHelpers = new FoundryHelpers();
+  }
+
+  /**
+   * Gets the abilities saving throws can be made with
+   *
+   * @returns {object} the localized labels of the abilities by ID
+   */
+  get abilities() {
+    return Object.fromEntries(
+      Object.entries(CONFIG.DND5E.abilities).map(([id, ability]) => [
+        id,
+        ability.label ?? ability,
+      ])
+    );
+  }
+
+  /**
+   * Gets the save DC of the item the effect came from, falling back to the
+   * spell save DC of the origin actor
+   *
+   * @param {string} origin - the origin UUID
+   * @returns {number | null} the save DC, or null if the origin has none
+   */
+  getSaveDc(origin) {
+    const originDocument = this._foundryHelpers.getOriginDocument(origin);
+    const itemDc =
+      originDocument instanceof Item ? originDocument.getSaveDC?.() : null;
+    if (itemDc) return itemDc;
+
+    const originActor = this._foundryHelpers.getActorByOrigin(origin);
+    return originActor?.system?.attributes?.spelldc ?? null;
+  }
+
+  /**
+   * Prompts the current user to roll a saving throw for the actor
+   *
+   * @param {Actor} actor - the actor making the saving throw
+   * @param {object} params - the save parameters
+   * @param {string} params.ability - the ID of the ability to save with
+   * @param {number} params.dc - the DC to beat
+   * @param {string} params.flavor - the flavor text of the roll
+   * @returns {Promise<boolean | null>} true if the save succeeded, false if
+   * it failed, or null if the roll was cancelled
+   */
+  async rollSave(actor, { ability, dc, flavor }) {
+    const roll = await actor.rollAbilitySave(ability, {
+      targetValue: dc,
+      flavor,
+    });
+    if (!roll) return null;
+
+    return roll.total >= dc;
+  }
+}
@@ -12,9 +12,25 @@ export default class DynamicEffectsAdderDelegate {
    *
    * @param {object} effect - the object form of an ActiveEffect to handle
    * @param {Actor} actor - the affected actor
+   * @param {object} options - additional options
+   * @param {boolean} options.isPreview - if the effect is only being previewed,
+   * in which case nothing but the effect itself may be modified
    */
-  async addDynamicEffects(effect, actor) {
-    await this._dynamicEffectsAdder.addDynamicEffects(effect, actor);
+  async addDynamicEffects(effect, actor, { isPreview = false } = {}) {
+    await this._dynamicEffectsAdder.addDynamicEffects(effect, actor, {
+      isPreview,
+    });
+  }
+
+  /**
+   * Makes the changes dynamic effects have outside of the effects themselves,
+   * once they were added to the actor
+   *
+   * @param {ActiveEffect[]} createdEffects - the effects that were added
+   * @param {Actor} actor - the affected actor
+   */
+  async applyDynamicChanges(createdEffects, actor) {
+    await this._dynamicEffectsAdder.applyDynamicChanges(createdEffects, actor);
   }
 
   _retrieveDynamicEffectsAdder() {
@@ -0,0 +1,12 @@
+/**
+ * Handles applying recurring damage and healing to actors
+ */
+export default class DamageApplierGeneric {
+  get damageTypes() {
+    return {};
+  }
+
+  async applyDamage(actor, { amount, damageType }) {
+    // NOTE: generic systems have no hit points to apply damage to
+  }
+}
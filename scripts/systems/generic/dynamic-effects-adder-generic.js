@@ -15,8 +15,21 @@ export default class DynamicEffectsAdderGeneric {
    *
    * @param {object} effect - the object form of an ActiveEffect to handle
    * @param {Actor} actor - the affected actor
+   * @param {object} options - additional options
+   * @param {boolean} options.isPreview - if the effect is only being previewed
    */
-  async addDynamicEffects(effect, actor) {
+  async addDynamicEffects(effect, actor, { isPreview = false } = {}) {
+    // NOTE: likely nothing will ever go here for generic systems
+  }
+
+  /**
+   * Makes the changes dynamic effects have outside of the effects themselves,
+   * once they were added to the actor
+   *
+   * @param {ActiveEffect[]} createdEffects - the effects that were added
+   * @param {Actor} actor - the affected actor
+   */
+  async applyDynamicChanges(createdEffects, actor) {
     // NOTE: likely nothing will ever go here for generic systems
   }
 }
@@ -0,0 +1,17 @@
+/**
+ * Handles rolling saving throws for recurring saves
+ */
+export default class SaveRollerGeneric {
+  get abilities() {
+    return {};
+  }
+
+  getSaveDc(origin) {
+    return null;
+  }
+
+  async rollSave(actor, { ability, dc, flavor }) {
+    // NOTE: generic systems have no saving throws to roll
+    return null;
+  }
+}
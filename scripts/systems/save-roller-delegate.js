@@ -0,0 +1,56 @@
+import dnd5e from './dnd5e/dnd5e.js';
+import SaveRollerDnd5e from './dnd5e/save-roller-dnd5e.js';
+import SaveRollerGeneric from './generic/save-roller-generic.js';
+
+export default class SaveRollerDelegate {
+  constructor() {
+    this._saveRoller = this._retrieveSaveRoller();
+  }
+
+  /**
+   * Gets the abilities saving throws can be made with
+   *
+   * @returns {object} the localized labels of the abilities by ID
+   */
+  get abilities() {
+    return this._saveRoller.abilities;
+  }
+
+  /**
+   * Gets the save DC of an effect origin
+   *
+   * @param {string} origin - the origin UUID
+   * @returns {number | null} the save DC, or null if the origin has none
+   */
+  getSaveDc(origin) {
+    return this._saveRoller.getSaveDc(origin);
+  }
+
+  /**
+   * Prompts the current user to roll a saving throw for the actor
+   *
+   * @param {Actor} actor - the actor making the saving throw
+   * @param {object} params - the save parameters
+   * @param {string} params.ability - the ID of the ability to save with
+   * @param {number} params.dc - the DC to beat
+   * @param {string} params.flavor - the flavor text of the roll
+   * @returns {Promise<boolean | null>} true if the save succeeded, false if
+   * it failed, or null if it was not rolled
+   */
+  async rollSave(actor, { ability, dc, flavor }) {
+    return this._saveRoller.rollSave(actor, { ability, dc, flavor });
+  }
+
+  _retrieveSaveRoller() {
+    let saveRoller = new SaveRollerGeneric();
+
+    if (
+      game.system.id === dnd5e.SYSTEM_ID ||
+      game.system.id === dnd5e.SW_5E_ID
+    ) {
+      saveRoller = new SaveRollerDnd5e();
+    }
+
+    return saveRoller;
+  }
+}
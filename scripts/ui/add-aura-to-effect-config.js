@@ -0,0 +1,36 @@
+import Constants from '../constants.js';
+import EffectHelpers from '../effects/effect-helpers.js';
+
+export async function addAuraToEffectConfig(activeEffectConfig, $html) {
+  const effectHelpers = new EffectHelpers();
+  const aura = activeEffectConfig.object.getFlag(
+    Constants.MODULE_ID,
+    Constants.FLAGS.AURA
+  );
+  const auraTemplate =
+    'modules/dfreds-convenient-effects/templates/aura-config.hbs';
+
+  const auraHtml = await renderTemplate(auraTemplate, {
+    name: `flags.${Constants.MODULE_ID}.${Constants.FLAGS.AURA}`,
+    radius: aura?.radius ?? null,
+    effectId: aura?.effectId ?? '',
+    disposition: aura?.disposition ?? 'all',
+    includeSelf: !!aura?.includeSelf,
+    effects: Object.fromEntries(
+      game.dfreds.effects.all.map((effect) => [
+        effectHelpers.getCeEffectId(effect),
+        effect.name,
+      ])
+    ),
+    dispositions: {
+      all: 'ConvenientEffects.AuraConfig.Dispositions.All',
+      allies: 'ConvenientEffects.AuraConfig.Dispositions.Allies',
+      enemies: 'ConvenientEffects.AuraConfig.Dispositions.Enemies',
+    },
+  });
+
+  const detailsSection = $html.find('section[data-tab="details"]');
+
+  detailsSection.append('<hr>');
+  detailsSection.append(auraHtml);
+}
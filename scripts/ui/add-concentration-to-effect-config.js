@@ -0,0 +1,23 @@
+import Constants from '../constants.js';
+import EffectHelpers from '../effects/effect-helpers.js';
+
+export async function addConcentrationToEffectConfig(
+  activeEffectConfig,
+  $html
+) {
+  const effectHelpers = new EffectHelpers();
+  const concentrationTemplate =
+    'modules/dfreds-convenient-effects/templates/concentration-config.hbs';
+
+  const concentrationHtml = await renderTemplate(concentrationTemplate, {
+    name: `flags.${Constants.MODULE_ID}.${Constants.FLAGS.REQUIRES_CONCENTRATION}`,
+    requiresConcentration: effectHelpers.requiresConcentration(
+      activeEffectConfig.object
+    ),
+  });
+
+  const detailsSection = $html.find('section[data-tab="details"]');
+
+  detailsSection.append('<hr>');
+  detailsSection.append(concentrationHtml);
+}
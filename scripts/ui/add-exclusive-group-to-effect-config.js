@@ -0,0 +1,35 @@
+import Constants from '../constants.js';
+import EffectHelpers from '../effects/effect-helpers.js';
+
+export async function addExclusiveGroupToEffectConfig(
+  activeEffectConfig,
+  $html
+) {
+  const effectHelpers = new EffectHelpers();
+  const exclusiveGroup = effectHelpers.getExclusiveGroup(
+    activeEffectConfig.object
+  );
+
+  // Suggest the groups that are already in use so effects can join them
+  const exclusiveGroups = [
+    ...new Set(
+      game.dfreds.effects.all
+        .map((effect) => effectHelpers.getExclusiveGroup(effect))
+        .filter((group) => group)
+    ),
+  ].sort();
+
+  const exclusiveGroupTemplate =
+    'modules/dfreds-convenient-effects/templates/exclusive-group-config.hbs';
+
+  const exclusiveGroupHtml = await renderTemplate(exclusiveGroupTemplate, {
+    name: `flags.${Constants.MODULE_ID}.${Constants.FLAGS.EXCLUSIVE_GROUP}`,
+    exclusiveGroup,
+    exclusiveGroups,
+  });
+
+  const detailsSection = $html.find('section[data-tab="details"]');
+
+  detailsSection.append('<hr>');
+  detailsSection.append(exclusiveGroupHtml);
+}
@@ -0,0 +1,71 @@
+import Constants from '../constants.js';
+import EffectHelpers from '../effects/effect-helpers.js';
+
+export async function addImpliedEffectsToEffectConfig(
+  activeEffectConfig,
+  $html
+) {
+  const effectHelpers = new EffectHelpers();
+  let currentRules = foundry.utils.deepClone(
+    effectHelpers.getImpliedEffects(activeEffectConfig.object)
+  );
+  const impliedEffectsTemplate =
+    'modules/dfreds-convenient-effects/templates/implied-effects-config.hbs';
+
+  const impliedEffectsHtml = await renderTemplate(impliedEffectsTemplate, {
+    effects: game.dfreds.effects.all,
+    rules: currentRules.map(({ effectId, removeWithSource }) => ({
+      id: effectId,
+      name: game.dfreds.effectInterface.findEffect(effectId)?.name ?? effectId,
+      removeWithSource,
+    })),
+  });
+
+  const detailsSection = $html.find('section[data-tab="details"]');
+
+  detailsSection.append('<hr>');
+  detailsSection.append(impliedEffectsHtml);
+
+  const setRules = async (rules) => {
+    await activeEffectConfig.submit({ preventClose: true });
+    await activeEffectConfig.object.setFlag(
+      Constants.MODULE_ID,
+      Constants.FLAGS.IMPLIED_EFFECTS,
+      rules
+    );
+  };
+
+  detailsSection
+    .find('#implied-effects-config button')
+    .on('click', async (event) => {
+      event.preventDefault();
+      const action = event.currentTarget.dataset.action;
+
+      if (action === 'implied-effect-add') {
+        const effectId = $html
+          .find('#implied-effects-config .implied-effects-selector')
+          .val();
+
+        if (currentRules.some((rule) => rule.effectId === effectId)) return;
+
+        currentRules.push({ effectId, removeWithSource: true });
+        await setRules(currentRules);
+      } else if (action === 'implied-effect-remove') {
+        const effectId = event.currentTarget.dataset.effectId;
+
+        await setRules(
+          currentRules.filter((rule) => rule.effectId !== effectId)
+        );
+      }
+    });
+
+  detailsSection
+    .find('#implied-effects-config .remove-with-source')
+    .on('change', async (event) => {
+      const effectId = event.currentTarget.dataset.effectId;
+      const rule = currentRules.find((rule) => rule.effectId === effectId);
+      rule.removeWithSource = event.currentTarget.checked;
+
+      await setRules(currentRules);
+    });
+}
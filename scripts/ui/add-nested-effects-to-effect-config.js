@@ -14,7 +14,10 @@ export async function addNestedEffectsToEffectConfig(
 
   const nestedEffectsHtml = await renderTemplate(nestedEffectsTemplate, {
     effects: game.dfreds.effects.all,
-    chosenEffects: currentEffects,
+    chosenEffects: currentEffects.map((effectId) => ({
+      id: effectId,
+      name: game.dfreds.effectInterface.findEffect(effectId)?.name ?? effectId,
+    })),
   });
 
   const detailsSection = $html.find('section[data-tab="details"]');
@@ -29,11 +32,11 @@ export async function addNestedEffectsToEffectConfig(
       const action = event.currentTarget.dataset.action;
 
       if (action === 'nested-effect-add') {
-        const effectName = $html
+        const effectId = $html
           .find('#nested-effects-config .nested-effects-selector')
           .val();
 
-        currentEffects.push(effectName);
+        currentEffects.push(effectId);
         currentEffects = [...new Set(currentEffects)]; // remove duplicates
 
         await activeEffectConfig.submit({ preventClose: true });
@@ -43,9 +46,9 @@ export async function addNestedEffectsToEffectConfig(
           currentEffects
         );
       } else if (action === 'nested-effect-remove') {
-        const effectName = event.currentTarget.dataset.effectName;
+        const effectId = event.currentTarget.dataset.effectId;
         let nestedEffects = currentEffects.filter(
-          (effect) => effect !== effectName
+          (effect) => effect !== effectId
         );
 
         await activeEffectConfig.submit({ preventClose: true });
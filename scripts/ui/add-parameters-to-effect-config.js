@@ -0,0 +1,91 @@
+import Constants from '../constants.js';
+import EffectHelpers from '../effects/effect-helpers.js';
+
+export async function addParametersToEffectConfig(activeEffectConfig, $html) {
+  const effectHelpers = new EffectHelpers();
+  const currentParameters = effectHelpers.getParameters(
+    activeEffectConfig.object
+  );
+  const parametersTemplate =
+    'modules/dfreds-convenient-effects/templates/parameters-config.hbs';
+
+  const parametersHtml = await renderTemplate(parametersTemplate, {
+    parameters: currentParameters.map((parameter) => ({
+      ...parameter,
+      choices: (parameter.choices ?? []).join(', '),
+    })),
+    types: {
+      number: 'ConvenientEffects.ParametersConfig.Types.Number',
+      string: 'ConvenientEffects.ParametersConfig.Types.String',
+      choice: 'ConvenientEffects.ParametersConfig.Types.Choice',
+    },
+  });
+
+  const detailsSection = $html.find('section[data-tab="details"]');
+
+  detailsSection.append('<hr>');
+  detailsSection.append(parametersHtml);
+
+  const setParameters = async (parameters) => {
+    await activeEffectConfig.submit({ preventClose: true });
+    await activeEffectConfig.object.setFlag(
+      Constants.MODULE_ID,
+      Constants.FLAGS.PARAMETERS,
+      parameters
+    );
+  };
+
+  // The fields have no names so they are not submitted with the config form
+  const readParameters = () =>
+    detailsSection
+      .find('#parameters-config .parameter')
+      .toArray()
+      .map((row) => {
+        const field = (name) => $(row).find(`[data-field="${name}"]`).val();
+        const type = field('type');
+        const choices = field('choices')
+          .split(',')
+          .map((choice) => choice.trim())
+          .filter((choice) => choice);
+        const defaultValue = field('default');
+
+        return {
+          name: field('name').trim(),
+          label: field('label').trim(),
+          type,
+          choices,
+          default: type === 'number' ? Number(defaultValue) || 0 : defaultValue,
+        };
+      })
+      .filter((parameter) => parameter.name);
+
+  detailsSection
+    .find('#parameters-config button')
+    .on('click', async (event) => {
+      event.preventDefault();
+      const action = event.currentTarget.dataset.action;
+
+      if (action === 'parameter-add') {
+        const parameters = readParameters();
+        parameters.push({
+          name: `param${parameters.length + 1}`,
+          label: '',
+          type: 'number',
+          choices: [],
+          default: 0,
+        });
+
+        await setParameters(parameters);
+      } else if (action === 'parameter-remove') {
+        $(event.currentTarget).closest('.parameter').remove();
+
+        await setParameters(readParameters());
+      }
+    });
+
+  detailsSection
+    .find('#parameters-config [data-field]')
+    .on('change', async () => {
+      await setParameters(readParameters());
+    });
+}
@@ -0,0 +1,37 @@
+import Constants from '../constants.js';
+import DamageApplierDelegate from '../systems/damage-applier-delegate.js';
+
+export async function addRecurringDamageToEffectConfig(
+  activeEffectConfig,
+  $html
+) {
+  const damageTypes = new DamageApplierDelegate().damageTypes;
+
+  // Systems without hit points have nothing to configure
+  if (isEmpty(damageTypes)) return;
+
+  const recurringDamage = activeEffectConfig.object.getFlag(
+    Constants.MODULE_ID,
+    Constants.FLAGS.RECURRING_DAMAGE
+  );
+  const recurringDamageTemplate =
+    'modules/dfreds-convenient-effects/templates/recurring-damage-config.hbs';
+
+  const recurringDamageHtml = await renderTemplate(recurringDamageTemplate, {
+    name: `flags.${Constants.MODULE_ID}.${Constants.FLAGS.RECURRING_DAMAGE}`,
+    formula: recurringDamage?.formula ?? '',
+    damageType: recurringDamage?.damageType ?? '',
+    timing: recurringDamage?.timing ?? 'start',
+    interval: recurringDamage?.interval ?? 1,
+    damageTypes,
+    timings: {
+      start: 'ConvenientEffects.RecurringDamageConfig.Timings.Start',
+      end: 'ConvenientEffects.RecurringDamageConfig.Timings.End',
+    },
+  });
+
+  const detailsSection = $html.find('section[data-tab="details"]');
+
+  detailsSection.append('<hr>');
+  detailsSection.append(recurringDamageHtml);
+}
@@ -0,0 +1,40 @@
+import Constants from '../constants.js';
+import SaveRollerDelegate from '../systems/save-roller-delegate.js';
+
+export async function addRecurringSaveToEffectConfig(
+  activeEffectConfig,
+  $html
+) {
+  const abilities = new SaveRollerDelegate().abilities;
+
+  // Systems without saving throws have nothing to configure
+  if (isEmpty(abilities)) return;
+
+  const recurringSave = activeEffectConfig.object.getFlag(
+    Constants.MODULE_ID,
+    Constants.FLAGS.RECURRING_SAVE
+  );
+  const recurringSaveTemplate =
+    'modules/dfreds-convenient-effects/templates/recurring-save-config.hbs';
+
+  const recurringSaveHtml = await renderTemplate(recurringSaveTemplate, {
+    name: `flags.${Constants.MODULE_ID}.${Constants.FLAGS.RECURRING_SAVE}`,
+    ability: recurringSave?.ability ?? '',
+    dc: recurringSave?.dc ?? '',
+    timing: recurringSave?.timing ?? 'end',
+    successes: recurringSave?.successes ?? 1,
+    abilities: {
+      '': game.i18n.localize('ConvenientEffects.RecurringSaveConfig.None'),
+      ...abilities,
+    },
+    timings: {
+      start: 'ConvenientEffects.RecurringSaveConfig.Timings.Start',
+      end: 'ConvenientEffects.RecurringSaveConfig.Timings.End',
+    },
+  });
+
+  const detailsSection = $html.find('section[data-tab="details"]');
+
+  detailsSection.append('<hr>');
+  detailsSection.append(recurringSaveHtml);
+}
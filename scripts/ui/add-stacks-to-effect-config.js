@@ -0,0 +1,21 @@
+import Constants from '../constants.js';
+
+export async function addStacksToEffectConfig(activeEffectConfig, $html) {
+  const maxStacks =
+    activeEffectConfig.object.getFlag(
+      Constants.MODULE_ID,
+      Constants.FLAGS.MAX_STACKS
+    ) ?? 1;
+  const stacksTemplate =
+    'modules/dfreds-convenient-effects/templates/stacks-config.hbs';
+
+  const stacksHtml = await renderTemplate(stacksTemplate, {
+    name: `flags.${Constants.MODULE_ID}.${Constants.FLAGS.MAX_STACKS}`,
+    maxStacks,
+  });
+
+  const detailsSection = $html.find('section[data-tab="details"]');
+
+  detailsSection.append('<hr>');
+  detailsSection.append(stacksHtml);
+}
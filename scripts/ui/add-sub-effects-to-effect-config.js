@@ -0,0 +1,61 @@
+import Constants from '../constants.js';
+
+export async function addSubEffectsToEffectConfig(activeEffectConfig, $html) {
+  let currentSubEffects =
+    activeEffectConfig.object.getFlag(
+      Constants.MODULE_ID,
+      Constants.FLAGS.SUB_EFFECTS
+    ) ?? [];
+  const subEffectsTemplate =
+    'modules/dfreds-convenient-effects/templates/sub-effects-config.hbs';
+
+  const subEffectsHtml = await renderTemplate(subEffectsTemplate, {
+    effects: game.dfreds.effects.all,
+    chosenSubEffects: currentSubEffects.map((subEffect) => ({
+      name:
+        typeof subEffect === 'string'
+          ? game.dfreds.effectInterface.findEffect(subEffect)?.name ?? subEffect
+          : subEffect.name,
+    })),
+  });
+
+  const detailsSection = $html.find('section[data-tab="details"]');
+
+  detailsSection.append('<hr>');
+  detailsSection.append(subEffectsHtml);
+
+  detailsSection
+    .find('#sub-effects-config button')
+    .on('click', async (event) => {
+      event.preventDefault();
+      const action = event.currentTarget.dataset.action;
+
+      if (action === 'sub-effect-add') {
+        const effectId = $html
+          .find('#sub-effects-config .sub-effects-selector')
+          .val();
+        const effect = game.dfreds.effectInterface.findEffectById(effectId);
+        if (!effect) return;
+
+        // Only the ID is kept so later changes to the sub-effect are applied
+        await activeEffectConfig.submit({ preventClose: true });
+        await activeEffectConfig.object.setFlag(
+          Constants.MODULE_ID,
+          Constants.FLAGS.SUB_EFFECTS,
+          [...currentSubEffects, effectId]
+        );
+      } else if (action === 'sub-effect-remove') {
+        const index = Number(event.currentTarget.dataset.index);
+        const subEffects = currentSubEffects.filter(
+          (_subEffect, subEffectIndex) => subEffectIndex !== index
+        );
+
+        await activeEffectConfig.submit({ preventClose: true });
+        await activeEffectConfig.object.setFlag(
+          Constants.MODULE_ID,
+          Constants.FLAGS.SUB_EFFECTS,
+          subEffects
+        );
+      }
+    });
+}
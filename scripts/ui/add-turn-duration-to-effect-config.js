@@ -0,0 +1,30 @@
+import Constants from '../constants.js';
+
+export async function addTurnDurationToEffectConfig(activeEffectConfig, $html) {
+  const turnDuration = activeEffectConfig.object.getFlag(
+    Constants.MODULE_ID,
+    Constants.FLAGS.TURN_DURATION
+  );
+  const turnDurationTemplate =
+    'modules/dfreds-convenient-effects/templates/turn-duration-config.hbs';
+
+  const turnDurationHtml = await renderTemplate(turnDurationTemplate, {
+    name: `flags.${Constants.MODULE_ID}.${Constants.FLAGS.TURN_DURATION}`,
+    boundary: turnDuration?.boundary ?? '',
+    of: turnDuration?.of ?? 'target',
+    boundaries: {
+      '': 'ConvenientEffects.TurnDurationConfig.Boundaries.None',
+      start: 'ConvenientEffects.TurnDurationConfig.Boundaries.Start',
+      end: 'ConvenientEffects.TurnDurationConfig.Boundaries.End',
+    },
+    ofChoices: {
+      target: 'ConvenientEffects.TurnDurationConfig.Of.Target',
+      origin: 'ConvenientEffects.TurnDurationConfig.Of.Origin',
+    },
+  });
+
+  const detailsSection = $html.find('section[data-tab="details"]');
+
+  detailsSection.append('<hr>');
+  detailsSection.append(turnDurationHtml);
+}
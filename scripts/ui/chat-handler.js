@@ -18,12 +18,14 @@ export default class ChatHandler {
    * @param {string} reason - the reason for the chat message
    * @param {Actor5e} actor - the actor the effect change occurred to
    * @param {boolean} isCreateActiveEffect - true if this chat occurs on creating an active effect
+   * @param {ActiveEffect} activeEffect - the applied effect, used to describe its duration
    */
   async createChatForEffect({
     effectName,
     reason,
     actor,
     isCreateActiveEffect,
+    activeEffect,
   }) {
     // Fixes issue where chat messages were being created for the custom effects being deleted
     if (this._settings.customEffectsItemId === actor.id) return;
@@ -46,12 +48,78 @@ export default class ChatHandler {
         reason,
         actorName,
         isCreateActiveEffect,
+        activeEffect,
       }),
     });
   }
 
-  _getChatContent({ effect, reason, actorName, isCreateActiveEffect }) {
+  /**
+   * Creates a single chat message summarizing convenient effects that were
+   * applied to or removed from multiple actors at once. This only creates the
+   * message if the setting is enabled.
+   *
+   * @param {object[]} effectsByActor - the actors and the ActiveEffects that
+   * changed on each
+   * @param {string} reason - the reason for the chat message
+   * @param {boolean} isCreateActiveEffect - true if this chat occurs on creating active effects
+   */
+  async createChatForBatch({ effectsByActor, reason, isCreateActiveEffect }) {
+    // Handle if it set to None
+    if (this._settings.chatMessagePermission > CONST.USER_ROLES.GAMEMASTER)
+      return;
+
+    // Effects with the same name are listed once, described by the first of
+    // them, so effects that are not defined are included as well
+    const changesByEffectName = new Map();
+    for (const { actor, effects } of effectsByActor) {
+      const actorName = actor.token ? actor.token.name : actor.name;
+      for (const effect of effects) {
+        const changes = changesByEffectName.get(effect.name) ?? {
+          effect,
+          actorNames: [],
+        };
+        changes.actorNames.push(actorName);
+        changesByEffectName.set(effect.name, changes);
+      }
+    }
+
+    const content = [...changesByEffectName.values()]
+      .map(({ effect, actorNames }) =>
+        this._getChatContent({
+          effect,
+          reason,
+          actorName: actorNames.join(', '),
+          isCreateActiveEffect,
+        })
+      )
+      .join('');
+
+    if (!content) return;
+
+    await ChatMessage.create({
+      user: game.userId,
+      whisper: this._getBatchChatTargets(
+        effectsByActor.map(({ actor }) => actor)
+      ),
+      content,
+    });
+  }
+
+  _getChatContent({
+    effect,
+    reason,
+    actorName,
+    isCreateActiveEffect,
+    activeEffect,
+  }) {
     let message = `<div class="convenient-effects-chat-header"><strong>${effect.name}</strong> - ${reason} ${actorName}</div>`;
+
+    const turnDurationLabel = isCreateActiveEffect
+      ? this._effectHelpers.getTurnDurationLabel(activeEffect ?? effect)
+      : null;
+    if (turnDurationLabel) {
+      message += `<div class="convenient-effects-chat-duration"><i class="fas fa-hourglass-half"></i> ${turnDurationLabel}</div>`;
+    }
     if (
       this._settings.showChatMessageEffectDescription === 'onAddOrRemove' ||
       (this._settings.showChatMessageEffectDescription === 'onAddOnly' &&
@@ -85,12 +153,22 @@ export default class ChatHandler {
       .map((user) => user.id);
   }
 
+  _getBatchChatTargets(actors) {
+    const chatTargets = actors.map((actor) => this._getChatTargets(actor));
+
+    if (chatTargets.some((targets) => targets === null)) {
+      return null;
+    }
+
+    return [...new Set(chatTargets.flat())];
+  }
+
   _getDescription(effect) {
     const description = this._effectHelpers.getDescription(effect);
     if (description) {
       return description.replace('<p>', '').replace('</p>', '');
     } else {
-      return 'No description';
+      return game.i18n.localize('ConvenientEffects.Chat.NoDescription');
     }
   }
 }
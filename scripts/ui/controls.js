@@ -30,18 +30,20 @@ export default class Controls {
   get _convenientEffectsAppButton() {
     return {
       name: 'convenient-effects',
-      title: 'DFreds Convenient Effects',
+      title: game.i18n.localize('ConvenientEffects.ModuleTitle'),
       icon: 'fas fa-hand-sparkles',
       toolclip: {
         src: 'modules/dfreds-convenient-effects/images/toolclip-ce.webm',
-        heading: 'DFreds Convenient Effects',
+        heading: game.i18n.localize('ConvenientEffects.ModuleTitle'),
         items: [
           {
-            heading: 'Convenient Effects',
+            heading: game.i18n.localize('ConvenientEffects.Title'),
             reference: 'CONTROLS.Click',
           },
           {
-            heading: 'Update Effects',
+            heading: game.i18n.localize(
+              'ConvenientEffects.Controls.UpdateEffects'
+            ),
             reference: 'CONTROLS.ShiftClick',
           },
         ],
@@ -67,7 +69,9 @@ export default class Controls {
 
     if (effectsByActorMappings.length === 0) {
       ui.notifications.warn(
-        'A token with an active effect must be selected to update effects'
+        game.i18n.localize(
+          'ConvenientEffects.Notifications.SelectTokenToUpdate'
+        )
       );
       return;
     }
@@ -108,12 +112,16 @@ export default class Controls {
     );
     return new Dialog(
       {
-        title: 'Update Effects',
+        title: game.i18n.localize(
+          'ConvenientEffects.Dialogs.UpdateEffects.Title'
+        ),
         content: content,
         buttons: {
           remove: {
             icon: '<i class="fas fa-trash"></i>',
-            label: 'Remove',
+            label: game.i18n.localize(
+              'ConvenientEffects.Dialogs.UpdateEffects.Remove'
+            ),
             callback: (html) => {
               const checkedData = html
                 .find('input:checked')
@@ -143,7 +151,9 @@ export default class Controls {
           },
           toggle: {
             icon: '<i class="fas fa-toggle-off"></i>',
-            label: 'Toggle',
+            label: game.i18n.localize(
+              'ConvenientEffects.Dialogs.UpdateEffects.Toggle'
+            ),
             callback: (html) => {
               const checkedData = html
                 .find('input:checked')
@@ -173,7 +183,7 @@ export default class Controls {
           },
           cancel: {
             icon: '<i class="fas fa-times"></i>',
-            label: 'Cancel',
+            label: game.i18n.localize('ConvenientEffects.Dialogs.Cancel'),
             callback: (html) => {
               resolve({
                 effectData: new Map(),
@@ -21,6 +21,7 @@ export default class HandlebarHelpers {
     this._registerIfCustomFolderHelper();
     this._registerConvenientIconsHelper();
     this._registerEffectDescriptionHelper();
+    this._registerEffectIdHelper();
   }
 
   _registerIncHelper() {
@@ -61,13 +62,13 @@ export default class HandlebarHelpers {
     Handlebars.registerHelper('convenientIcons', (effect) => {
       let icons = '';
 
-      const nestedEffectNames =
+      const nestedEffectIds =
         effect.getFlag(Constants.MODULE_ID, Constants.FLAGS.NESTED_EFFECTS) ??
         [];
 
-      const nestedEffects = nestedEffectNames
+      const nestedEffects = nestedEffectIds
         .map((nestedEffect) =>
-          game.dfreds.effectInterface.findEffectByName(nestedEffect)
+          game.dfreds.effectInterface.findEffect(nestedEffect)
         )
         .filter((effect) => effect !== undefined);
 
@@ -78,7 +79,11 @@ export default class HandlebarHelpers {
       const allChanges = [...effect.changes, ...subChanges];
 
       icons += this._getStatusEffectIcon(effect);
+      icons += this._getGmOnlyIcon(effect);
+      icons += this._getExpiryExcludedIcon(effect);
       icons += this._getNestedEffectsIcon(nestedEffects);
+      icons += this._getStackableIcon(effect);
+      icons += this._getTurnDurationIcon(effect);
       icons += this._getMidiIcon(allChanges);
       icons += this._getWireIcon(allChanges);
       icons += this._getAtlIcon(allChanges);
@@ -94,40 +99,81 @@ export default class HandlebarHelpers {
     });
   }
 
+  _registerEffectIdHelper() {
+    Handlebars.registerHelper('effectId', (effect) => {
+      return this._effectHelpers.getCeEffectId(effect);
+    });
+  }
+
   _getStatusEffectIcon(effect) {
     return this._settings.modifyStatusEffects !== 'none' &&
-      this._settings.isStatusEffect(effect.name)
-      ? "<i class='fas fa-street-view integration-icon' title='Token Status Effect'></i>"
+      this._settings.isStatusEffect(this._effectHelpers.getCeEffectId(effect))
+      ? this._getIcon('fa-street-view', 'StatusEffect')
+      : '';
+  }
+
+  _getGmOnlyIcon(effect) {
+    return this._settings.isGmOnlyEffect(
+      this._effectHelpers.getCeEffectId(effect)
+    )
+      ? this._getIcon('fa-lock', 'GmOnly') + ' '
+      : '';
+  }
+
+  _getExpiryExcludedIcon(effect) {
+    return this._settings.autoExpireEffects !== 'none' &&
+      this._settings.isExpiryExcludedEffect(
+        this._effectHelpers.getCeEffectId(effect)
+      )
+      ? this._getIcon('fa-infinity', 'ExpiryExcluded') + ' '
       : '';
   }
 
   _getNestedEffectsIcon(nestedEffects) {
     return nestedEffects.length > 0
-      ? "<i class='fas fa-tree integration-icon' title='Nested Effects'></i> "
+      ? this._getIcon('fa-tree', 'NestedEffects') + ' '
       : '';
   }
 
+  _getStackableIcon(effect) {
+    return this._effectHelpers.isStackable(effect)
+      ? this._getIcon('fa-layer-group', 'Stackable') + ' '
+      : '';
+  }
+
+  _getTurnDurationIcon(effect) {
+    const turnDurationLabel = this._effectHelpers.getTurnDurationLabel(effect);
+    return turnDurationLabel
+      ? `<i class='fas fa-hourglass-half integration-icon' title="${turnDurationLabel}"></i> `
+      : '';
+  }
+
+  _getIcon(iconClass, titleKey) {
+    const title = game.i18n.localize(`ConvenientEffects.App.Icons.${titleKey}`);
+    return `<i class='fas ${iconClass} integration-icon' title='${title}'></i>`;
+  }
+
   _getMidiIcon(changes) {
     return changes.some((change) => change.key.startsWith('flags.midi-qol'))
-      ? "<i class='fas fa-dice-d20 integration-icon' title='Midi-QoL Effects'></i> "
+      ? this._getIcon('fa-dice-d20', 'Midi') + ' '
       : '';
   }
 
   _getWireIcon(changes) {
     return changes.some((change) => change.key.startsWith('flags.wire'))
-      ? "<i class='fas fa-plug integration-icon' title='Wire Effects'></i> "
+      ? this._getIcon('fa-plug', 'Wire') + ' '
       : '';
   }
 
   _getAtlIcon(changes) {
     return changes.some((change) => change.key.startsWith('ATL'))
-      ? "<i class='fas fa-lightbulb integration-icon' title='ATL Effects'></i> "
+      ? this._getIcon('fa-lightbulb', 'Atl') + ' '
       : '';
   }
 
   _getTokenMagicIcon(changes) {
     return changes.some((change) => change.key.startsWith('macro.tokenMagic'))
-      ? "<i class='fas fa-magic integration-icon' title='Token Magic Effects'></i> "
+      ? this._getIcon('fa-magic', 'TokenMagic') + ' '
       : '';
   }
 }
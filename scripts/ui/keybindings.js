@@ -0,0 +1,34 @@
+import Constants from '../constants.js';
+
+/**
+ * Handles registering the keybindings for the module
+ */
+export default class Keybindings {
+  static UNDO = 'undoEffectOperation';
+  static REDO = 'redoEffectOperation';
+
+  /**
+   * Registers the keybindings
+   */
+  registerKeybindings() {
+    game.keybindings.register(Constants.MODULE_ID, Keybindings.UNDO, {
+      name: 'ConvenientEffects.Keybindings.Undo.Name',
+      hint: 'ConvenientEffects.Keybindings.Undo.Hint',
+      editable: [{ key: 'KeyZ', modifiers: ['Alt'] }],
+      onDown: () => {
+        game.dfreds.effectInterface.undo();
+        return true;
+      },
+    });
+
+    game.keybindings.register(Constants.MODULE_ID, Keybindings.REDO, {
+      name: 'ConvenientEffects.Keybindings.Redo.Name',
+      hint: 'ConvenientEffects.Keybindings.Redo.Hint',
+      editable: [{ key: 'KeyZ', modifiers: ['Alt', 'Shift'] }],
+      onDown: () => {
+        game.dfreds.effectInterface.redo();
+        return true;
+      },
+    });
+  }
+}
@@ -1,3 +1,5 @@
+import Constants from '../constants.js';
+
 /**
  * Handles creating macros
  */
@@ -10,16 +12,20 @@ export default class MacroHandler {
    * @param {number} slot - the hotbar slot to use
    */
   async createMacro(data, slot) {
-    if (!data.effectName) return;
+    if (!data.effectId && !data.effectName) return;
 
-    const effect = game.dfreds.effects.all.find(
-      (effect) => effect.name === data.effectName
+    const effect = game.dfreds.effectInterface.findEffect(
+      data.effectId ?? data.effectName
     );
 
     if (!effect) return;
 
+    const effectId = effect.getFlag(
+      Constants.MODULE_ID,
+      Constants.FLAGS.CE_EFFECT_ID
+    );
     const name = `Toggle Convenient Effect - ${effect.name}`;
-    const command = `game.dfreds.effectInterface.toggleEffect("${effect.name}")`;
+    const command = `game.dfreds.effectInterface.toggleEffect("${effectId}")`;
 
     let macro = game.macros.find(
       (macro) => macro.name === name && macro.command === command
@@ -11,8 +11,8 @@ export default class TextEnrichers {
       id: `${Constants.MODULE_ID}-toggle-effect`,
       pattern: new RegExp('@(toggleEffect)\\[([^#\\]]+)](?:{([^}]+)})?', 'g'),
       enricher: (match, options) => {
-        let [method, effectName, name] = match.slice(1, 4);
-        return this._createEffectLink({ method, effectName, name });
+        let [method, effectIdOrName, name] = match.slice(1, 4);
+        return this._createEffectLink({ method, effectIdOrName, name });
       },
     });
 
@@ -26,14 +26,16 @@ export default class TextEnrichers {
 
   async _onClickToggleEffectContentLink(event) {
     event.preventDefault();
-    const effectName = event.currentTarget.dataset.effectName;
+    const effectId = event.currentTarget.dataset.effectId;
 
-    if (effectName) {
-      await game.dfreds.effectInterface.toggleEffect(effectName);
+    if (effectId) {
+      await game.dfreds.effectInterface.toggleEffect(effectId);
     }
   }
 
-  _createEffectLink({ method, effectName, name }) {
+  _createEffectLink({ method, effectIdOrName, name }) {
+    const effect = game.dfreds.effectInterface.findEffect(effectIdOrName);
+
     // Prepare replacement data
     const data = {
       cls: ['content-link', 'ce-content-link'],
@@ -41,13 +43,15 @@ export default class TextEnrichers {
       dataset: {
         uuid: 'nothing', // stops undefined error in foundry a.content-link click listener
       },
-      name: name ?? effectName,
+      name: name ?? effect?.name ?? effectIdOrName,
     };
 
     let broken = false;
-    let hasEffect = !!game.dfreds.effectInterface.findEffectByName(effectName);
-    if (method === 'toggleEffect' && hasEffect) {
-      data.dataset.effectName = effectName;
+    if (method === 'toggleEffect' && effect) {
+      data.dataset.effectId = effect.getFlag(
+        Constants.MODULE_ID,
+        Constants.FLAGS.CE_EFFECT_ID
+      );
     } else {
       broken = true;
     }
@@ -1,3 +1,4 @@
+import Constants from '../constants.js';
 import ConvenientEffectsApp from '../app/convenient-effects-app.js';
 import Settings from '../settings.js';
 
@@ -10,27 +11,66 @@ export default class FoundryHelpers {
   }
 
   /**
-   * Gets all UUIDs for selected or targeted tokens, depending on if priortize
-   * targets is enabled
+   * Gets the UUIDs of the actors to apply effects to for the target mode
    *
-   * @returns {string[]} actor uuids for selected or targeted tokens
+   * @param {object} params - the target params
+   * @param {string} params.targetMode - one of `Constants.TARGET_MODES`:
+   * `selected` for the controlled tokens, `targeted` for the targeted tokens,
+   * `both` for either, `self` for the user's character, `originAndTargets`
+   * for the origin actor along with the targeted tokens, or `auto` to pick
+   * the targeted tokens, the controlled tokens, or the user's character
+   * depending on if prioritize targets is enabled. Defaults to the mode
+   * chosen in the app.
+   * @param {string} params.origin - the origin UUID for `originAndTargets`.
+   * If undefined, the first controlled token or the user's character is the
+   * origin.
+   * @returns {string[]} the actor UUIDs, without duplicates
    */
-  getActorUuids() {
-    if (this._settings.prioritizeTargets && game.user.targets.size !== 0) {
-      // Start with targets if prioritized
-      return Array.from(game.user.targets).map((token) => token.actor.uuid);
-    } else if (canvas.tokens.controlled.length !== 0) {
-      // Use controlled tokens if targets aren't prioritized
-      return canvas.tokens.controlled.map((token) => token.actor.uuid);
-    } else if (game.user.targets.size !== 0) {
-      // Use targets if not prioritized and no controlled tokens
-      return Array.from(game.user.targets).map((token) => token.actor.uuid);
-    } else if (game.user.character) {
-      // Use the default character for the user
-      return [game.user.character.uuid];
-    } else {
-      return [];
+  getActorUuids({ targetMode = this._settings.targetMode, origin } = {}) {
+    const controlled = this._getTokenActorUuids(canvas.tokens?.controlled);
+    const targeted = this._getTokenActorUuids(game.user.targets);
+    const character = game.user.character ? [game.user.character.uuid] : [];
+
+    let uuids;
+    switch (targetMode) {
+      case Constants.TARGET_MODES.SELECTED:
+        uuids = controlled;
+        break;
+      case Constants.TARGET_MODES.TARGETED:
+        uuids = targeted;
+        break;
+      case Constants.TARGET_MODES.BOTH:
+        uuids = [...controlled, ...targeted];
+        break;
+      case Constants.TARGET_MODES.SELF:
+        uuids = character;
+        break;
+      case Constants.TARGET_MODES.ORIGIN_AND_TARGETS: {
+        const originUuid = origin
+          ? this.getActorByOrigin(origin)?.uuid
+          : controlled[0] ?? character[0];
+        uuids = originUuid ? [originUuid, ...targeted] : targeted;
+        break;
+      }
+      default:
+        if (this._settings.prioritizeTargets && targeted.length !== 0) {
+          uuids = targeted;
+        } else if (controlled.length !== 0) {
+          uuids = controlled;
+        } else if (targeted.length !== 0) {
+          uuids = targeted;
+        } else {
+          uuids = character;
+        }
     }
+
+    return [...new Set(uuids)];
+  }
+
+  _getTokenActorUuids(tokens = []) {
+    return Array.from(tokens)
+      .filter((token) => token.actor)
+      .map((token) => token.actor.uuid);
   }
 
   /**
@@ -45,6 +85,227 @@ export default class FoundryHelpers {
     return actor;
   }
 
+  /**
+   * Gets the document an effect origin refers to, such as an item or actor
+   *
+   * @param {string} origin - the origin UUID
+   * @returns {Document | null} the origin document, or null if there is none
+   */
+  getOriginDocument(origin) {
+    if (!origin) return null;
+
+    try {
+      return fromUuidSync(origin) ?? null;
+    } catch {
+      // origins that are not UUIDs, such as those of legacy sub-effects
+      return null;
+    }
+  }
+
+  /**
+   * Gets the actor an effect origin belongs to, such as the owner of the item
+   * or effect with the origin UUID
+   *
+   * @param {string} origin - the origin UUID
+   * @returns {Actor | null} the origin actor, or null if there is none
+   */
+  getActorByOrigin(origin) {
+    let document = this.getOriginDocument(origin);
+    while (document && !(document instanceof Actor)) {
+      document = document.actor ?? document.parent;
+    }
+
+    return document ?? null;
+  }
+
+  /**
+   * Gets the tokens with any part of their area inside of a measured
+   * template, testing the center of each grid space they occupy
+   *
+   * @param {MeasuredTemplateDocument} template - the template to search
+   * @returns {TokenDocument[]} the tokens inside of the template
+   */
+  getTokensInTemplate(template) {
+    const scene = template?.parent;
+
+    // The shape is not computed yet for a template that was just created
+    const shape = template?.object?.shape ?? template?.object?._computeShape();
+    if (!scene || !shape) return [];
+
+    const gridSize = scene.grid.size;
+    return scene.tokens.filter((token) =>
+      this._getGridSpaceCenters(token, gridSize).some(({ x, y }) =>
+        shape.contains(x - template.x, y - template.y)
+      )
+    );
+  }
+
+  /**
+   * Gets the distance between the closest grid spaces two tokens on the same
+   * scene occupy. Tokens on the viewed scene are measured like the ruler, and
+   * on other scenes diagonals count as a single grid space.
+   *
+   * @param {TokenDocument} token - the token to measure from
+   * @param {TokenDocument} otherToken - the token to measure to
+   * @returns {number} the distance in scene distance units
+   */
+  getTokenDistance(token, otherToken) {
+    const scene = token.parent;
+    const gridSize = scene.grid.size;
+    const otherCenters = this._getGridSpaceCenters(otherToken, gridSize);
+
+    return Math.min(
+      ...this._getGridSpaceCenters(token, gridSize).flatMap((center) =>
+        otherCenters.map((otherCenter) =>
+          canvas.ready && scene === canvas.scene
+            ? canvas.grid.measureDistance(center, otherCenter, {
+                gridSpaces: true,
+              })
+            : this._measureGridDistance(scene, center, otherCenter)
+        )
+      )
+    );
+  }
+
+  // The canvas grid only measures the viewed scene
+  _measureGridDistance(scene, origin, destination) {
+    const { size, distance, type } = scene.grid;
+    const columns = Math.abs(destination.x - origin.x) / size;
+    const rows = Math.abs(destination.y - origin.y) / size;
+
+    if (type === CONST.GRID_TYPES.GRIDLESS) {
+      return Math.hypot(columns, rows) * distance;
+    }
+
+    return Math.max(Math.round(columns), Math.round(rows)) * distance;
+  }
+
+  // Tokens smaller than a grid space are tested at their center
+  _getGridSpaceCenters(token, gridSize) {
+    const columns = Math.max(Math.round(token.width), 1);
+    const rows = Math.max(Math.round(token.height), 1);
+    const spaceWidth = (token.width * gridSize) / columns;
+    const spaceHeight = (token.height * gridSize) / rows;
+
+    const centers = [];
+    for (let column = 0; column < columns; column++) {
+      for (let row = 0; row < rows; row++) {
+        centers.push({
+          x: token.x + (column + 0.5) * spaceWidth,
+          y: token.y + (row + 0.5) * spaceHeight,
+        });
+      }
+    }
+
+    return centers;
+  }
+
+  /**
+   * Switches to the measured templates layer and waits for the current user
+   * to place a template. Placing is cancelled by pressing Escape, right
+   * clicking the canvas, or not placing a template in time.
+   *
+   * @param {object} options - additional options
+   * @param {number} options.timeout - the seconds to wait for the template
+   * @returns {Promise<MeasuredTemplateDocument | null>} a promise that resolves
+   * to the template once it is placed, or null if placing was cancelled
+   */
+  async waitForTemplatePlacement({
+    timeout = Constants.SECONDS.IN_ONE_MINUTE,
+  } = {}) {
+    canvas.templates.activate();
+
+    return new Promise((resolve) => {
+      // Every way of finishing removes the others, so a template drawn later
+      // for anything else is never mistaken for this one
+      const finish = (template) => {
+        Hooks.off('createMeasuredTemplate', hookId);
+        document.removeEventListener('keydown', onKeyDown);
+        canvas.app.view.removeEventListener('contextmenu', onContextMenu);
+        clearTimeout(timeoutId);
+        resolve(template);
+      };
+      const onKeyDown = (event) => {
+        if (event.key === 'Escape') finish(null);
+      };
+      const onContextMenu = () => finish(null);
+
+      const hookId = Hooks.on(
+        'createMeasuredTemplate',
+        (template, _options, userId) => {
+          if (userId !== game.user.id) return;
+
+          finish(template);
+        }
+      );
+      document.addEventListener('keydown', onKeyDown);
+      canvas.app.view.addEventListener('contextmenu', onContextMenu);
+      const timeoutId = setTimeout(() => finish(null), timeout * 1000);
+    });
+  }
+
+  /**
+   * Gets every actor in the world, including the actors of unlinked tokens
+   * in every scene. Linked actors are shared by all of their tokens, while
+   * each unlinked token has its own actor.
+   *
+   * @returns {Actor[]} the actors
+   */
+  getAllActors() {
+    const unlinkedActors = game.scenes.contents.flatMap((scene) =>
+      scene.tokens
+        .filter((token) => !token.actorLink && token.actor)
+        .map((token) => token.actor)
+    );
+
+    return [...game.actors.contents, ...unlinkedActors];
+  }
+
+  /**
+   * Gets the combatant for the actor, matching the token for unlinked actors
+   *
+   * @param {Actor} actor - the actor to get the combatant for
+   * @param {Combat} combat - the combat to search
+   * @returns {Combatant | null} the combatant, or null if the actor is not in
+   * the combat
+   */
+  getCombatant(actor, combat = game.combat) {
+    if (!actor || !combat) return null;
+
+    const combatant = actor.isToken
+      ? combat.getCombatantByToken(actor.token.id)
+      : combat.getCombatantByActor(actor.id);
+    return combatant ?? null;
+  }
+
+  /**
+   * Checks if the combat moved forward to a later turn, as opposed to going
+   * back a turn
+   *
+   * @param {Combat} combat - the combat that was updated
+   * @returns {boolean} true if the combat advanced
+   */
+  hasCombatAdvanced(combat) {
+    const { current, previous } = combat;
+    if (!previous || previous.round === null) return true;
+
+    return this.isTurnAfter(current, previous);
+  }
+
+  /**
+   * Checks if a combat turn comes after another
+   *
+   * @param {object} turn - the `round` and `turn` to check
+   * @param {object} otherTurn - the `round` and `turn` to compare against
+   * @returns {boolean} true if the turn comes after the other turn
+   */
+  isTurnAfter(turn, otherTurn) {
+    return (
+      turn.round > otherTurn.round ||
+      (turn.round === otherTurn.round && turn.turn > otherTurn.turn)
+    );
+  }
+
   /**
    * Re-renders the Convenient Effects application if open
    */
@@ -58,4 +319,16 @@ export default class FoundryHelpers {
       convenientEffectsApp.render();
     }
   }
+
+  /**
+   * Updates the actors the app shows a click will affect if the app is open
+   */
+  refreshTargetPreviewIfOpen() {
+    const openApps = Object.values(ui.windows);
+    const convenientEffectsApp = openApps.find(
+      (app) => app instanceof ConvenientEffectsApp
+    );
+
+    convenientEffectsApp?.refreshTargetPreview();
+  }
 }